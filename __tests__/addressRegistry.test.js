@@ -0,0 +1,55 @@
+import { parseCsv, toCsv } from '../src/intelligence/addressRegistry.js';
+
+describe('registry CSV', () => {
+  const entries = [
+    {
+      address: 'DeployerWallet1111111111111111111111111111',
+      list: 'blacklist',
+      type: 'deployer',
+      reason: 'Rugged twice, "serial" launcher',
+      source: 'manual',
+      addedAt: Date.parse('2026-01-02T03:04:05.000Z'),
+      expiresAt: null
+    },
+    {
+      address: 'MintAddress11111111111111111111111111111111',
+      list: 'whitelist',
+      type: 'mint',
+      reason: 'Line one\nline two, with a comma\r\nline three',
+      source: 'import',
+      addedAt: Date.parse('2026-02-03T04:05:06.000Z'),
+      expiresAt: Date.parse('2026-03-04T05:06:07.000Z')
+    }
+  ];
+
+  test('round-trips quotes, commas and line breaks', () => {
+    const rows = parseCsv(toCsv(entries));
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toEqual({
+      address: entries[0].address,
+      list: 'blacklist',
+      type: 'deployer',
+      reason: 'Rugged twice, "serial" launcher',
+      source: 'manual',
+      addedAt: '2026-01-02T03:04:05.000Z',
+      expiresAt: ''
+    });
+    expect(rows[1].reason).toBe(entries[1].reason);
+    expect(rows[1].expiresAt).toBe('2026-03-04T05:06:07.000Z');
+  });
+
+  test('reads CRLF files and skips blank lines', () => {
+    const text = 'address,list,reason\r\nA1,blacklist,"multi\r\nline"\r\n\r\nA2,whitelist,plain\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { address: 'A1', list: 'blacklist', reason: 'multi\r\nline' },
+      { address: 'A2', list: 'whitelist', reason: 'plain' }
+    ]);
+  });
+
+  test('returns nothing for an empty file', () => {
+    expect(parseCsv('')).toEqual([]);
+    expect(parseCsv('\n\n')).toEqual([]);
+  });
+});
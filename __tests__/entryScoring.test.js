@@ -0,0 +1,74 @@
+import { EntryScorer } from '../src/execution/entryScoring.js';
+
+const config = {
+  entry: { minSafetyScore: 40, minHolderHealth: 60, minLiquidity: 5 }
+};
+
+function context(overrides = {}) {
+  return {
+    rugAnalysis: { safetyScore: 80 },
+    holderAnalysis: { healthScore: 70 },
+    liquidityAnalysis: { liquiditySol: 10 },
+    socialAnalysis: { overallScore: 50, source: 'default' },
+    registryCheck: { blacklisted: false, whitelisted: [], reasons: [] },
+    ...overrides
+  };
+}
+
+describe('EntryScorer.evaluate', () => {
+  test('scores 40/20/20/20 when there is no momentum data', () => {
+    const result = new EntryScorer(config).evaluate(context());
+
+    expect(result.score).toBeCloseTo(76);
+    const sentiment = result.criteria.find(item => item.name === 'socialSentiment');
+    expect(sentiment.weight).toBe(20);
+    expect(result.criteria.find(item => item.name === 'socialMomentum').skipped).toBe(true);
+  });
+
+  test('splits the social weight when momentum is measured', () => {
+    const result = new EntryScorer(config).evaluate(context({ socialMomentum: { socialMomentum: 90 } }));
+
+    // 32 + 14 + 20 + 5 + 9
+    expect(result.score).toBeCloseTo(80);
+    expect(result.criteria.find(item => item.name === 'socialSentiment').weight).toBe(10);
+  });
+
+  test('reads the same score from the strategy.json criteria list', () => {
+    const scorer = new EntryScorer({
+      ...config,
+      entryScoring: {
+        criteria: [
+          { name: 'safety', weight: 40, critical: true },
+          { name: 'holderHealth', weight: 20, critical: true },
+          { name: 'liquidity', weight: 20 },
+          { name: 'socialSentiment', weight: 10 },
+          { name: 'socialMomentum', weight: 10 },
+          { name: 'blacklist', critical: true }
+        ]
+      }
+    });
+
+    expect(scorer.evaluate(context()).score).toBeCloseTo(76);
+  });
+
+  test('a failed critical criterion is reported whatever the score', () => {
+    const result = new EntryScorer(config).evaluate(context({
+      registryCheck: { blacklisted: true, whitelisted: [], reasons: ['known rugger'] }
+    }));
+
+    expect(result.criticalFailures.map(item => item.name)).toEqual(['blacklist']);
+    expect(result.score).toBeCloseTo(76);
+  });
+
+  test('fails holder health below the configured minimum', () => {
+    const result = new EntryScorer(config).evaluate(context({ holderAnalysis: { healthScore: 50 } }));
+
+    const holders = result.criteria.find(item => item.name === 'holderHealth');
+    expect(holders.passed).toBe(false);
+    expect(result.criticalFailures).toContain(holders);
+  });
+
+  test('rejects an unknown criterion without a source', () => {
+    expect(() => new EntryScorer({ entryScoring: { criteria: [{ name: 'nope' }] } })).toThrow(/Unknown entry criterion/);
+  });
+});
@@ -0,0 +1,40 @@
+import { LexiconSentimentProvider } from '../src/intelligence/social/lexiconSentiment.js';
+
+describe('LexiconSentimentProvider.score', () => {
+  const provider = new LexiconSentimentProvider();
+
+  test('scores plain positive and negative text', () => {
+    expect(provider.score('bullish, this gem is mooning').score).toBeGreaterThan(0.5);
+    expect(provider.score('scam, dev sold, avoid').score).toBeLessThan(-0.5);
+    expect(provider.score('').score).toBe(0);
+  });
+
+  test('negation flips the next terms', () => {
+    const result = provider.score('not bullish');
+
+    expect(result.matches).toEqual([{ term: 'bullish', weight: 2.5 * -0.75 }]);
+    expect(result.score).toBeLessThan(0);
+    expect(provider.score("don't buy").score).toBeLessThan(0);
+  });
+
+  test('a clause break ends the negation', () => {
+    const result = provider.score("don't sell, bullish");
+
+    expect(result.matches.map(match => match.weight)).toEqual([0.75, 2.5]);
+  });
+
+  test('a cashtag is not read as its word', () => {
+    expect(provider.score('$RUG').matches).toEqual([]);
+    expect(provider.score('$RUG to the moon').matches.map(match => match.term)).toEqual(['to the moon']);
+  });
+
+  test('terms match whole tokens only', () => {
+    expect(provider.score('drug store').matches).toEqual([]);
+  });
+
+  test('config terms extend and remove the built-in lexicon', () => {
+    const custom = new LexiconSentimentProvider({ lexicon: { wen: -1, moon: null } });
+
+    expect(custom.score('wen moon').matches).toEqual([{ term: 'wen', weight: -1 }]);
+  });
+});
@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import { MentionSeries, MOMENTUM_TRENDS } from '../src/intelligence/social/mentionSeries.js';
+
+const NOW = Date.parse('2026-01-01T12:00:30.000Z');
+const MINUTE = 60000;
+
+function record(series, key, count, minutesAgo, prefix) {
+  for (let i = 0; i < count; i++) {
+    series.record(key, {
+      id: `${prefix}-${i}`,
+      timestamp: NOW - minutesAgo * MINUTE,
+      authorId: `${prefix}-author-${i}`,
+      engagement: 10
+    });
+  }
+}
+
+describe('MentionSeries.getMomentum', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('is unavailable below the minimum mention count', () => {
+    const series = new MentionSeries();
+    record(series, 'mint', 4, 1, 'a');
+
+    expect(series.getMomentum('mint')).toMatchObject({
+      available: false,
+      totalMentions: 4,
+      socialMomentum: null,
+      trend: null
+    });
+  });
+
+  test('scores accelerating mentions from many authors as rising', () => {
+    const series = new MentionSeries();
+    record(series, 'mint', 2, 7, 'previous');
+    record(series, 'mint', 8, 1, 'current');
+
+    const momentum = series.getMomentum('mint');
+
+    expect(momentum.available).toBe(true);
+    expect(momentum.trend).toBe(MOMENTUM_TRENDS.RISING);
+    expect(momentum.mentions.velocity).toBeCloseTo(1.6);
+    expect(momentum.mentions.growth).toBeCloseTo(24);
+    expect(momentum.breadth).toBe(1);
+    expect(momentum.socialMomentum).toBe(95);
+  });
+
+  test('scores slowing mentions as fading', () => {
+    const series = new MentionSeries();
+    record(series, 'mint', 8, 7, 'previous');
+    record(series, 'mint', 2, 1, 'current');
+
+    const momentum = series.getMomentum('mint');
+
+    expect(momentum.trend).toBe(MOMENTUM_TRENDS.FADING);
+    expect(momentum.socialMomentum).toBe(44);
+  });
+
+  test('counts a tweet seen twice once', () => {
+    const series = new MentionSeries();
+
+    expect(series.record('mint', { id: 't1', timestamp: NOW })).toBe(true);
+    expect(series.record('mint', { id: 't1', timestamp: NOW })).toBe(false);
+    expect(series.getSeries('mint')).toEqual([
+      { start: NOW - 30000, mentions: 1, engagement: 0, uniqueAuthors: 0 }
+    ]);
+  });
+
+  test('drops mentions older than the retention window', () => {
+    const series = new MentionSeries();
+
+    expect(series.record('mint', { id: 'old', timestamp: NOW - 121 * MINUTE })).toBe(false);
+    expect(series.getSeries('mint')).toEqual([]);
+  });
+});
@@ -0,0 +1,144 @@
+import bs58 from 'bs58';
+import { RAYDIUM_CPMM_PROGRAM_ID, INITIALIZE_ACCOUNTS, isInitializeLog, decodeInitialize } from '../src/intelligence/decoders/raydiumCpmm.js';
+import { RAYDIUM_CLMM_PROGRAM_ID, CREATE_POOL_ACCOUNTS, decodeCreatePool, sqrtPriceX64ToPrice } from '../src/intelligence/decoders/raydiumClmm.js';
+import { ORCA_WHIRLPOOL_PROGRAM_ID, INITIALIZE_POOL_ACCOUNTS, isInitializePoolLog, decodeInitializePool } from '../src/intelligence/decoders/orcaWhirlpool.js';
+import { METEORA_DLMM_PROGRAM_ID, INITIALIZE_LB_PAIR_ACCOUNTS, decodeInitializeLbPair, binIdToPrice } from '../src/intelligence/decoders/meteoraDlmm.js';
+
+/**
+ * Anchor instruction data: 8-byte discriminator followed by the fields
+ */
+function anchorData(discriminator, fields) {
+  const parts = fields.map(([type, value]) => {
+    const buffer = Buffer.alloc({ u8: 1, u16: 2, i32: 4, u64: 8, u128: 16 }[type]);
+    if (type === 'u8') buffer.writeUInt8(value);
+    if (type === 'u16') buffer.writeUInt16LE(value);
+    if (type === 'i32') buffer.writeInt32LE(value);
+    if (type === 'u64') buffer.writeBigUInt64LE(value);
+    if (type === 'u128') {
+      buffer.writeBigUInt64LE(value & ((1n << 64n) - 1n));
+      buffer.writeBigUInt64LE(value >> 64n, 8);
+    }
+    return buffer;
+  });
+
+  return bs58.encode(Buffer.concat([Buffer.from(discriminator), ...parts]));
+}
+
+/**
+ * Named accounts padded with placeholders up to the instruction's account count
+ */
+function accountList(layout, count) {
+  const accounts = Array.from({ length: count }, (_, index) => `extra${index}`);
+  for (const [name, index] of Object.entries(layout)) {
+    accounts[index] = name;
+  }
+  return accounts;
+}
+
+function txWith(programId, accounts, data) {
+  return {
+    transaction: { message: { instructions: [{ programId, accounts, data }], accountKeys: [] } },
+    meta: { innerInstructions: [] }
+  };
+}
+
+describe('Raydium CPMM initialize', () => {
+  const data = anchorData([175, 175, 109, 31, 13, 152, 155, 237], [['u64', 1_000_000n], ['u64', 5_000_000_000n], ['u64', 1700000000n]]);
+
+  test('decodes the pool and deposits', () => {
+    const pool = decodeInitialize(txWith(RAYDIUM_CPMM_PROGRAM_ID, accountList(INITIALIZE_ACCOUNTS, 20), data));
+
+    expect(pool).toEqual({
+      poolId: 'poolState',
+      ammConfig: 'ammConfig',
+      authority: 'authority',
+      creator: 'creator',
+      lpMint: 'lpMint',
+      baseMint: 'token0Mint',
+      quoteMint: 'token1Mint',
+      baseVault: 'token0Vault',
+      quoteVault: 'token1Vault',
+      openTime: 1700000000,
+      initialAmounts: { base: '1000000', quote: '5000000000' }
+    });
+  });
+
+  test('ignores too few accounts, other programs and other instructions', () => {
+    expect(decodeInitialize(txWith(RAYDIUM_CPMM_PROGRAM_ID, accountList(INITIALIZE_ACCOUNTS, 14), data))).toBeNull();
+    expect(decodeInitialize(txWith(RAYDIUM_CLMM_PROGRAM_ID, accountList(INITIALIZE_ACCOUNTS, 20), data))).toBeNull();
+
+    const swap = anchorData([143, 190, 90, 218, 196, 30, 51, 222], [['u64', 1n]]);
+    expect(decodeInitialize(txWith(RAYDIUM_CPMM_PROGRAM_ID, accountList(INITIALIZE_ACCOUNTS, 20), swap))).toBeNull();
+  });
+
+  test('matches only the exact instruction log line', () => {
+    expect(isInitializeLog(['Program log: Instruction: Initialize'])).toBe(true);
+    expect(isInitializeLog(['Program log: Instruction: InitializeAccount'])).toBe(false);
+  });
+});
+
+describe('Raydium CLMM create_pool', () => {
+  test('decodes the pool and initial price', () => {
+    const sqrtPriceX64 = 2n ** 64n * 3n;
+    const data = anchorData([233, 146, 209, 142, 207, 104, 64, 188], [['u128', sqrtPriceX64], ['u64', 0n]]);
+    const pool = decodeCreatePool(txWith(RAYDIUM_CLMM_PROGRAM_ID, accountList(CREATE_POOL_ACCOUNTS, 13), data));
+
+    expect(pool).toMatchObject({
+      poolId: 'poolState',
+      creator: 'poolCreator',
+      lpMint: null,
+      baseMint: 'tokenMint0',
+      quoteVault: 'tokenVault1',
+      sqrtPriceX64: sqrtPriceX64.toString()
+    });
+    expect(sqrtPriceX64ToPrice(pool.sqrtPriceX64)).toBeCloseTo(9);
+  });
+});
+
+describe('Orca Whirlpool initialize_pool', () => {
+  const sqrtPrice = 2n ** 64n;
+
+  test('decodes v1 (with the bump byte)', () => {
+    const data = anchorData([95, 180, 10, 172, 84, 174, 232, 40], [['u8', 255], ['u16', 64], ['u128', sqrtPrice]]);
+    const pool = decodeInitializePool(txWith(ORCA_WHIRLPOOL_PROGRAM_ID, accountList(INITIALIZE_POOL_ACCOUNTS.initializePool, 11), data));
+
+    expect(pool).toMatchObject({
+      poolId: 'whirlpool',
+      creator: 'funder',
+      baseMint: 'tokenMintA',
+      quoteMint: 'tokenMintB',
+      baseVault: 'tokenVaultA',
+      tickSpacing: 64,
+      sqrtPriceX64: sqrtPrice.toString()
+    });
+  });
+
+  test('decodes v2 with its own account order', () => {
+    const data = anchorData([207, 45, 87, 242, 27, 63, 204, 67], [['u16', 8], ['u128', sqrtPrice]]);
+    const pool = decodeInitializePool(txWith(ORCA_WHIRLPOOL_PROGRAM_ID, accountList(INITIALIZE_POOL_ACCOUNTS.initializePoolV2, 14), data));
+
+    expect(pool).toMatchObject({ poolId: 'whirlpool', creator: 'funder', quoteVault: 'tokenVaultB', tickSpacing: 8 });
+  });
+
+  test('recognizes both instruction logs', () => {
+    expect(isInitializePoolLog(['Program log: Instruction: InitializePoolV2'])).toBe(true);
+    expect(isInitializePoolLog(['Program log: Instruction: Swap'])).toBe(false);
+  });
+});
+
+describe('Meteora DLMM initialize_lb_pair', () => {
+  test('decodes the pair and its starting bin', () => {
+    const data = anchorData([45, 154, 237, 210, 221, 15, 166, 92], [['i32', -120], ['u16', 25]]);
+    const pair = decodeInitializeLbPair(txWith(METEORA_DLMM_PROGRAM_ID, accountList(INITIALIZE_LB_PAIR_ACCOUNTS, 14), data));
+
+    expect(pair).toMatchObject({
+      poolId: 'lbPair',
+      creator: 'funder',
+      baseMint: 'tokenMintX',
+      quoteVault: 'reserveY',
+      activeId: -120,
+      binStep: 25
+    });
+    expect(binIdToPrice(pair.activeId, pair.binStep)).toBeCloseTo(Math.pow(1.0025, -120));
+  });
+});
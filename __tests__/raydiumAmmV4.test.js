@@ -0,0 +1,109 @@
+import bs58 from 'bs58';
+import {
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  INITIALIZE2_ACCOUNTS,
+  isInitialize2Log,
+  decodeInitialize2Data,
+  decodeInitialize2
+} from '../src/intelligence/decoders/raydiumAmmV4.js';
+
+const WSOL = 'So11111111111111111111111111111111111111112';
+
+function initialize2Data({ nonce = 254, openTime = 1700000000n, pc = 25_000_000_000n, coin = 800_000_000_000_000n } = {}) {
+  const data = Buffer.alloc(26);
+  data.writeUInt8(1, 0);
+  data.writeUInt8(nonce, 1);
+  data.writeBigUInt64LE(openTime, 2);
+  data.writeBigUInt64LE(pc, 10);
+  data.writeBigUInt64LE(coin, 18);
+  return bs58.encode(data);
+}
+
+function initialize2Accounts(overrides = {}) {
+  const accounts = Object.keys(INITIALIZE2_ACCOUNTS).map(name => `${name}Account`);
+  for (const [name, address] of Object.entries(overrides)) {
+    accounts[INITIALIZE2_ACCOUNTS[name]] = address;
+  }
+  return accounts;
+}
+
+function poolCreationTx({ inner = false, data = initialize2Data() } = {}) {
+  const accounts = initialize2Accounts({ coinMint: 'TokenMint', pcMint: WSOL });
+  const ix = { programId: RAYDIUM_AMM_V4_PROGRAM_ID, accounts, data };
+
+  return {
+    transaction: {
+      message: {
+        accountKeys: [{ pubkey: 'poolCoinTokenAccountAccount' }, { pubkey: 'poolPcTokenAccountAccount' }],
+        instructions: inner ? [{ programId: 'SomeRouter', accounts: [], data: '' }] : [ix]
+      }
+    },
+    meta: {
+      innerInstructions: inner ? [{ index: 0, instructions: [ix] }] : [],
+      postTokenBalances: [
+        { accountIndex: 0, mint: 'TokenMint', uiTokenAmount: { amount: '800000000000000', decimals: 6, uiAmount: 800000000 } }
+      ],
+      preTokenBalances: []
+    }
+  };
+}
+
+describe('Raydium AMM v4 initialize2', () => {
+  test('recognizes pool creation logs', () => {
+    expect(isInitialize2Log(['Program log: initialize2: InitializeInstruction2 { nonce: 254 }'])).toBe(true);
+    expect(isInitialize2Log(['Program log: ray_log: swap'])).toBe(false);
+    expect(isInitialize2Log(null)).toBe(false);
+  });
+
+  test('decodes instruction data', () => {
+    expect(decodeInitialize2Data(initialize2Data())).toEqual({
+      nonce: 254,
+      openTime: 1700000000n,
+      initPcAmount: 25_000_000_000n,
+      initCoinAmount: 800_000_000_000_000n
+    });
+  });
+
+  test('rejects other instructions and short data', () => {
+    const swap = Buffer.alloc(26);
+    swap.writeUInt8(9, 0);
+
+    expect(decodeInitialize2Data(swap)).toBeNull();
+    expect(decodeInitialize2Data(Buffer.alloc(10, 1))).toBeNull();
+  });
+
+  test('decodes the pool from a creation transaction', () => {
+    const pool = decodeInitialize2(poolCreationTx());
+
+    expect(pool).toMatchObject({
+      ammId: 'ammAccount',
+      lpMint: 'lpMintAccount',
+      marketId: 'serumMarketAccount',
+      baseMint: 'TokenMint',
+      quoteMint: WSOL,
+      baseVault: 'poolCoinTokenAccountAccount',
+      quoteVault: 'poolPcTokenAccountAccount',
+      nonce: 254,
+      openTime: 1700000000,
+      initialReserves: {
+        base: '800000000000000',
+        quote: '25000000000',
+        baseDecimals: 6,
+        quoteDecimals: 9,
+        baseUi: 800000000,
+        quoteUi: 25
+      }
+    });
+  });
+
+  test('finds the instruction among inner instructions', () => {
+    expect(decodeInitialize2(poolCreationTx({ inner: true }))?.ammId).toBe('ammAccount');
+  });
+
+  test('returns null without an initialize2 instruction', () => {
+    const swap = Buffer.alloc(26);
+    swap.writeUInt8(9, 0);
+
+    expect(decodeInitialize2(poolCreationTx({ data: bs58.encode(swap) }))).toBeNull();
+  });
+});
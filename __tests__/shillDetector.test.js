@@ -0,0 +1,72 @@
+import { ShillDetector, SHILL_SIGNALS } from '../src/intelligence/social/shillDetector.js';
+
+const MINT = 'So11111111111111111111111111111111111111112';
+const OLD_ACCOUNT = '2015-01-01T00:00:00.000Z';
+
+function user(followers = 500, following = 200, createdAt = OLD_ACCOUNT) {
+  return { created_at: createdAt, public_metrics: { followers_count: followers, following_count: following } };
+}
+
+describe('ShillDetector.analyze', () => {
+  const detector = new ShillDetector();
+
+  test('leaves organic tweets at full weight', () => {
+    const tweets = [
+      { id: '1', author_id: 'a', text: 'chart looks healthy after the first dip, holding my bag' },
+      { id: '2', author_id: 'b', text: 'dev answered every question in the voice chat today' }
+    ];
+    const result = detector.analyze(tweets, new Map([['a', user()], ['b', user()]]));
+
+    expect(result.flaggedTweets).toBe(0);
+    expect(result.organicRatio).toBe(1);
+    expect(Array.from(result.weights.values())).toEqual([1, 1]);
+  });
+
+  test('flags copy-paste text', () => {
+    const tweets = [
+      { id: '1', author_id: 'a', text: 'This is the next 100x gem, get in before it moons https://t.co/x' },
+      { id: '2', author_id: 'b', text: 'this is the next 100x gem get in before it moons!! @friend' },
+      { id: '3', author_id: 'c', text: 'not sure about this one yet, waiting for the chart' }
+    ];
+    const result = detector.analyze(tweets, new Map([['a', user()], ['b', user()], ['c', user()]]));
+
+    expect(result.flags.get('1')).toEqual([SHILL_SIGNALS.DUPLICATE_TEXT]);
+    expect(result.flags.get('2')).toEqual([SHILL_SIGNALS.DUPLICATE_TEXT]);
+    expect(result.flags.get('3')).toEqual([]);
+    expect(result.weights.get('1')).toBe(0.25);
+    expect(result.organicRatio).toBeCloseTo(1 / 3);
+  });
+
+  test('excludes tweets with two signals', () => {
+    const tweets = [{ id: '1', author_id: 'a', text: `${MINT} 🚀` }];
+    const fresh = user(3, 900, new Date().toISOString());
+    const result = detector.analyze(tweets, new Map([['a', fresh]]));
+
+    expect(result.flags.get('1')).toEqual([SHILL_SIGNALS.NEW_ACCOUNT, SHILL_SIGNALS.LOW_FOLLOWER_RATIO, SHILL_SIGNALS.CA_SPAM]);
+    expect(result.weights.get('1')).toBe(0);
+    expect(result.excludedTweets).toBe(1);
+  });
+
+  test('flags authors repeating themselves in a burst', () => {
+    const start = Date.parse('2026-01-01T12:00:00.000Z');
+    const texts = ['buy now', 'going up', 'dont miss it', 'lfg', 'so early', 'next leg', 'chart', 'send'];
+    const tweets = texts.map((text, i) => ({
+      id: String(i),
+      author_id: i % 2 === 0 ? 'a' : 'b',
+      text,
+      created_at: new Date(start + i * 30000).toISOString()
+    }));
+    const result = detector.analyze(tweets, new Map([['a', user()], ['b', user()]]));
+
+    expect(result.signalCounts[SHILL_SIGNALS.AUTHOR_BURST]).toBe(8);
+    expect(result.organicRatio).toBe(0);
+  });
+
+  test('flags nothing when disabled', () => {
+    const disabled = new ShillDetector({ social: { shillDetection: { enabled: false } } });
+    const result = disabled.analyze([{ id: '1', author_id: 'a', text: MINT }]);
+
+    expect(result.flaggedTweets).toBe(0);
+    expect(result.weights.get('1')).toBe(1);
+  });
+});
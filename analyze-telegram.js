@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Telegram Activity Analysis (offline)
+ *
+ * Replays recorded Telegram Bot API updates (JSON array or JSONL of Update
+ * objects) through SocialMonitor, the same way TELEGRAM_MOCK_UPDATES_FILE does
+ * for the bot, and prints the Telegram score for a token. Message dates are
+ * shifted so the last update happens now.
+ *
+ * Usage:
+ *   node analyze-telegram.js <updates.jsonl> <SYMBOL> [mint]
+ */
+
+import config from './src/utils/config.js';
+import { SocialMonitor } from './src/intelligence/socialMonitor.js';
+
+const [updatesFile, tokenSymbol, tokenMint = null] = process.argv.slice(2);
+
+if (!updatesFile || !tokenSymbol) {
+  console.error('Usage: node analyze-telegram.js <updates.jsonl> <SYMBOL> [mint]');
+  process.exit(1);
+}
+
+process.env.TELEGRAM_MOCK_UPDATES_FILE = updatesFile;
+
+const botConfig = config.getConfig();
+const socialMonitor = new SocialMonitor({
+  ...botConfig,
+  social: { ...botConfig.social, telegram: { ...botConfig.social?.telegram, enabled: true, mockReplaySpeed: 0 } }
+});
+
+await socialMonitor.start();
+const result = await socialMonitor.analyzeTelegram(tokenSymbol, tokenMint);
+const stats = socialMonitor.getStats().telegram;
+await socialMonitor.stop();
+
+console.log(`\n📨 ${tokenSymbol}${tokenMint ? ` (${tokenMint})` : ''} - last ${result.windowMinutes} minutes`);
+console.log(`   Updates read:      ${stats.updates} (${stats.ignored} from chats not in social.telegram.chats)`);
+console.log(`   Mentions:          ${result.recentMessages} (${result.messagesPerHour.toFixed(1)}/hour) in ${result.chats} chat(s)`);
+console.log(`   Unique posters:    ${result.uniquePosters}`);
+console.log(`   New member joins:  ${result.newMemberJoins}`);
+console.log(`   Sentiment:         +${result.positiveMessages} / -${result.negativeMessages} (ratio ${result.sentimentRatio.toFixed(2)})`);
+console.log(`   Telegram score:    ${result.score}/100\n`);
+
+process.exit(0);
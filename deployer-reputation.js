@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Deployer Reputation CLI
+ *
+ * Inspect the deployer launch history (data/deployers.json) and manually flag
+ * wallets. A running bot picks up changes on its next analysis.
+ *
+ * Usage:
+ *   node deployer-reputation.js list
+ *   node deployer-reputation.js show <address>
+ *   node deployer-reputation.js flag <address> [reason...]
+ *   node deployer-reputation.js unflag <address>
+ */
+
+import config from './src/utils/config.js';
+import { DeployerReputation } from './src/intelligence/deployerReputation.js';
+
+const [command, address, ...reasonParts] = process.argv.slice(2);
+
+// Flags and history only - no RPC needed
+const reputation = new DeployerReputation(null, config.getConfig());
+
+function printReputation(entry) {
+  const lifetime = entry.avgLifetimeMs !== null ? `${Math.round(entry.avgLifetimeMs / 60000)} min` : 'n/a';
+  console.log(`${entry.address}`);
+  console.log(`   Risk: ${entry.riskScore}/100${entry.reject ? ' (REJECTED)' : ''}${entry.flagged ? ' 🚩 flagged' : ''}`);
+  console.log(`   Launches: ${entry.launched} | Rugged: ${entry.rugged} | Survived: ${entry.survived} | Active: ${entry.active} | Avg lifetime: ${lifetime}`);
+  if (entry.reasons.length > 0) {
+    console.log(`   Reasons: ${entry.reasons.join('; ')}`);
+  }
+}
+
+switch (command) {
+  case 'list': {
+    const deployers = reputation.list();
+    if (deployers.length === 0) {
+      console.log('No deployers recorded yet');
+      break;
+    }
+    deployers.forEach(printReputation);
+    break;
+  }
+
+  case 'show':
+    if (!address) {
+      console.error('Usage: node deployer-reputation.js show <address>');
+      process.exit(1);
+    }
+    printReputation(reputation.getReputation(address));
+    break;
+
+  case 'flag':
+    if (!address) {
+      console.error('Usage: node deployer-reputation.js flag <address> [reason...]');
+      process.exit(1);
+    }
+    printReputation(reputation.flag(address, reasonParts.join(' ') || null));
+    break;
+
+  case 'unflag': {
+    if (!address) {
+      console.error('Usage: node deployer-reputation.js unflag <address>');
+      process.exit(1);
+    }
+    const entry = reputation.unflag(address);
+    if (!entry) {
+      console.log(`${address} is not flagged`);
+      break;
+    }
+    printReputation(entry);
+    break;
+  }
+
+  default:
+    console.error('Usage: node deployer-reputation.js <list|show|flag|unflag> [address] [reason...]');
+    process.exit(1);
+}
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Blacklist / Whitelist Registry CLI
+ *
+ * Manage the registry of mints, deployers and funding wallets (data/registry.json)
+ * and share lists as JSON or CSV. A running bot picks up changes on its next check.
+ *
+ * Usage:
+ *   node registry.js add <blacklist|whitelist> <mint|deployer|funder> <address> [--days N] [reason...]
+ *   node registry.js remove <address>
+ *   node registry.js list [blacklist|whitelist] [mint|deployer|funder]
+ *   node registry.js import <file.json|file.csv>
+ *   node registry.js export <file.json|file.csv> [blacklist|whitelist]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from './src/utils/config.js';
+import { AddressRegistry, REGISTRY_LISTS, REGISTRY_TYPES, toCsv, parseCsv } from './src/intelligence/addressRegistry.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+const registry = new AddressRegistry(config.getConfig());
+
+function usage(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function printEntry(entry) {
+  const icon = entry.list === 'blacklist' ? '⛔' : '✅';
+  const expires = entry.expiresAt ? `expires ${new Date(entry.expiresAt).toISOString()}` : 'permanent';
+  console.log(`${icon} ${entry.list.padEnd(9)} ${entry.type.padEnd(8)} ${entry.address}`);
+  console.log(`   ${entry.reason || 'no reason'} | ${entry.source} | ${expires}`);
+}
+
+function formatOf(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension !== '.json' && extension !== '.csv') {
+    usage(`Unsupported file type "${extension}" - use .json or .csv`);
+  }
+  return extension.slice(1);
+}
+
+switch (command) {
+  case 'add': {
+    const daysIndex = args.indexOf('--days');
+    const days = daysIndex === -1 ? null : parseFloat(args[daysIndex + 1]);
+    const positional = daysIndex === -1 ? args : [...args.slice(0, daysIndex), ...args.slice(daysIndex + 2)];
+    const [list, type, address, ...reasonParts] = positional;
+
+    if (!REGISTRY_LISTS.includes(list) || !REGISTRY_TYPES.includes(type) || !address) {
+      usage('Usage: node registry.js add <blacklist|whitelist> <mint|deployer|funder> <address> [--days N] [reason...]');
+    }
+    if (daysIndex !== -1 && !(days > 0)) {
+      usage('--days must be a positive number');
+    }
+
+    try {
+      printEntry(registry.add({
+        address,
+        list,
+        type,
+        reason: reasonParts.join(' ') || null,
+        expiresAt: days ? Date.now() + days * 86400000 : null
+      }));
+    } catch (error) {
+      usage(`Cannot add ${address}: ${error.message}`);
+    }
+    break;
+  }
+
+  case 'remove': {
+    const [address] = args;
+    if (!address) {
+      usage('Usage: node registry.js remove <address>');
+    }
+
+    const entry = registry.remove(address);
+    console.log(entry ? `Removed ${address} from the ${entry.list}` : `${address} is not in the registry`);
+    break;
+  }
+
+  case 'list': {
+    const list = args.find(arg => REGISTRY_LISTS.includes(arg)) || null;
+    const type = args.find(arg => REGISTRY_TYPES.includes(arg)) || null;
+    const entries = registry.list({ list, type });
+
+    if (entries.length === 0) {
+      console.log('Registry is empty');
+      break;
+    }
+    entries.forEach(printEntry);
+    break;
+  }
+
+  case 'import': {
+    const [file] = args;
+    if (!file) {
+      usage('Usage: node registry.js import <file.json|file.csv>');
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    const entries = formatOf(file) === 'csv' ? parseCsv(text) : JSON.parse(text);
+    if (!Array.isArray(entries)) {
+      usage(`${file} must contain an array of entries`);
+    }
+
+    const result = registry.importEntries(entries, `import:${path.basename(file)}`);
+    console.log(`Imported ${result.added} new, ${result.updated} updated, ${result.skipped} skipped`);
+    result.errors.forEach(error => console.log(`   ⚠️  ${error}`));
+    break;
+  }
+
+  case 'export': {
+    const [file, list] = args;
+    if (!file) {
+      usage('Usage: node registry.js export <file.json|file.csv> [blacklist|whitelist]');
+    }
+
+    const entries = registry.exportEntries({ list: REGISTRY_LISTS.includes(list) ? list : null });
+    const content = formatOf(file) === 'csv' ? toCsv(entries) : JSON.stringify(entries, null, 2);
+    fs.writeFileSync(file, content, 'utf8');
+    console.log(`Exported ${entries.length} entries to ${file}`);
+    break;
+  }
+
+  default:
+    usage('Usage: node registry.js <add|remove|list|import|export> [...]');
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Discovery Session Replay
+ *
+ * Replays a session recorded with DISCOVERY_RECORD_FILE through TokenDiscovery
+ * using only the recorded RPC responses, then reports what was accepted and rejected.
+ *
+ * Usage:
+ *   node replay-discovery.js <session.jsonl> [--speed <factor>] [--fast]
+ *
+ *   --speed 1    replay at recorded pace (default)
+ *   --speed 20   replay 20x faster
+ *   --fast       no delays between notifications
+ */
+
+import config from './src/utils/config.js';
+import { TokenDiscovery } from './src/intelligence/tokenDiscovery.js';
+import { readSession, DiscoveryReplayer } from './src/intelligence/discovery/sessionReplay.js';
+
+const args = process.argv.slice(2);
+let sessionFile = null;
+let speed = 1;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--fast') speed = 0;
+  else if (args[i] === '--speed') speed = parseFloat(args[++i]);
+  else sessionFile = args[i];
+}
+
+if (!sessionFile) {
+  console.error('Usage: node replay-discovery.js <session.jsonl> [--speed <factor>] [--fast]');
+  process.exit(1);
+}
+
+if (Number.isNaN(speed) || speed < 0) {
+  console.error('--speed must be a non-negative number');
+  process.exit(1);
+}
+
+// Never record a replay into another session file
+delete process.env.DISCOVERY_RECORD_FILE;
+
+async function replay() {
+  const entries = readSession(sessionFile);
+  const replayer = new DiscoveryReplayer(entries, { speed });
+
+  const botConfig = config.getConfig();
+  const discovery = new TokenDiscovery(replayer.connection, {
+    ...botConfig,
+    discovery: { ...botConfig.discovery, recordFile: undefined }
+  });
+
+  // Process every recorded notification regardless of DISCOVERY_SAMPLING
+  discovery.samplingRate = 1;
+
+  const accepted = [];
+  const rejected = [];
+
+  discovery.emit = (event, data) => {
+    if (event === 'tokenDiscovered') accepted.push(data);
+    if (event === 'tokenRejected') rejected.push(data);
+  };
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`🔁 REPLAYING DISCOVERY SESSION: ${sessionFile}`);
+  console.log(`   ${entries.length} entries | speed: ${speed === 0 ? 'no delays' : `${speed}x`}`);
+  console.log('='.repeat(80) + '\n');
+
+  await discovery.start();
+  const replayStats = await replayer.replay();
+  await discovery.stop();
+
+  console.log('\n' + '='.repeat(80));
+  console.log('📊 REPLAY RESULTS');
+  console.log('='.repeat(80));
+  console.log(`Notifications replayed: ${replayStats.notifications} (${replayStats.unsubscribed} for disabled adapters)`);
+  console.log(`Logs received:          ${discovery.stats.logsReceived}`);
+  console.log(`Non-launch ignored:     ${discovery.stats.logsIgnored}`);
+  console.log(`Launches processed:     ${discovery.stats.logsProcessed}`);
+  console.log(`Duplicates:             ${discovery.stats.duplicatesSkipped}`);
+  console.log(`RPC responses served:   ${replayer.connection.stats.transactionsServed} tx | ${replayer.connection.stats.accountsServed} accounts | ${replayer.connection.stats.misses} missing`);
+
+  console.log(`\n✅ ACCEPTED (${accepted.length})`);
+  for (const token of accepted) {
+    console.log(`   ${token.dex.padEnd(14)} ${token.tokenMint}  ${token.liquidity.toFixed(4)} SOL`);
+  }
+
+  console.log(`\n❌ REJECTED (${rejected.length})`);
+  for (const token of rejected) {
+    console.log(`   ${token.dex.padEnd(14)} ${token.tokenMint}  ${token.rejectionReason}`);
+  }
+
+  console.log(`\n📝 Per-token details: ${discovery.verboseLogPath}\n`);
+}
+
+replay()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Replay failed:', error);
+    process.exit(1);
+  });
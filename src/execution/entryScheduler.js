@@ -0,0 +1,233 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Entry Scheduler
+ * Parks tokens whose pool opens in the future (Raydium openTime), refreshes
+ * their analysis shortly before opening and fires the entry at open minus a lead time.
+ */
+
+export class EntryScheduler {
+  /**
+   * @param {Object} config - Bot config (uses the scheduledEntry section)
+   * @param {Object} handlers
+   * @param {Function} handlers.refresh - async (tokenInfo) => entryPlan | null (null = no longer a buy)
+   * @param {Function} handlers.execute - async (entryPlan, tokenInfo) => void
+   */
+  constructor(config, handlers) {
+    const options = config.scheduledEntry || {};
+
+    this.enabled = options.enabled !== false;
+    this.leadTimeMs = options.leadTimeMs ?? 500;
+    this.refreshBeforeMs = options.refreshBeforeMs ?? 30000;
+    this.maxWaitMs = options.maxWaitMs ?? 3600000;
+
+    this.handlers = handlers;
+    this.scheduled = new Map();
+    this.stats = {
+      scheduled: 0,
+      refreshed: 0,
+      rejectedOnRefresh: 0,
+      executed: 0,
+      failed: 0,
+      cancelled: 0,
+      tooFarAhead: 0
+    };
+  }
+
+  /**
+   * Milliseconds until the pool opens (0 if already open or unknown)
+   */
+  getTimeUntilOpen(tokenInfo) {
+    if (!tokenInfo.openTime) return 0;
+    return Math.max(tokenInfo.openTime * 1000 - Date.now(), 0);
+  }
+
+  /**
+   * Whether the token should wait for its pool to open instead of entering now
+   */
+  shouldSchedule(tokenInfo) {
+    return this.enabled && this.getTimeUntilOpen(tokenInfo) > this.leadTimeMs;
+  }
+
+  /**
+   * Park a token until its pool opens
+   * @returns {Object} { scheduled, reason?, entry? }
+   */
+  schedule(tokenInfo, entryPlan) {
+    const { tokenMint } = tokenInfo;
+    const timeUntilOpen = this.getTimeUntilOpen(tokenInfo);
+
+    if (this.scheduled.has(tokenMint)) {
+      return { scheduled: false, reason: 'Already scheduled' };
+    }
+
+    if (timeUntilOpen > this.maxWaitMs) {
+      this.stats.tooFarAhead++;
+      const reason = `Pool opens in ${Math.round(timeUntilOpen / 60000)} min (> ${Math.round(this.maxWaitMs / 60000)} min max wait)`;
+      logger.info(`⏭️  Not scheduling ${tokenMint}: ${reason}`);
+      return { scheduled: false, reason };
+    }
+
+    const openAt = tokenInfo.openTime * 1000;
+    const entry = {
+      tokenMint,
+      poolId: tokenInfo.poolId,
+      dex: tokenInfo.dex,
+      tokenInfo,
+      entryPlan,
+      openAt,
+      refreshAt: openAt - this.refreshBeforeMs,
+      executeAt: openAt - this.leadTimeMs,
+      status: 'SCHEDULED',
+      scheduledAt: Date.now(),
+      refreshedAt: null,
+      refreshPromise: null,
+      timers: []
+    };
+
+    // Skip the refresh when the initial analysis is already inside the refresh window
+    if (entry.refreshAt > Date.now()) {
+      entry.timers.push(setTimeout(() => this.runRefresh(entry), entry.refreshAt - Date.now()));
+    }
+
+    entry.timers.push(setTimeout(() => this.runExecute(entry), entry.executeAt - Date.now()));
+
+    this.scheduled.set(tokenMint, entry);
+    this.stats.scheduled++;
+
+    logger.info(`⏰ Scheduled entry for ${tokenMint}: pool opens ${new Date(openAt).toISOString()} (in ${(timeUntilOpen / 1000).toFixed(0)}s), entering ${this.leadTimeMs}ms before open`);
+
+    return { scheduled: true, entry: this.describe(entry) };
+  }
+
+  /**
+   * Re-run analysis shortly before open; drop the token if it no longer qualifies
+   */
+  async runRefresh(entry) {
+    if (entry.status !== 'SCHEDULED') return;
+
+    entry.status = 'REFRESHING';
+    logger.info(`🔄 Refreshing analysis for ${entry.tokenMint} before pool open`);
+
+    entry.refreshPromise = (async () => {
+      try {
+        const entryPlan = await this.handlers.refresh(entry.tokenInfo);
+
+        // Cancelled while the refresh was running
+        if (entry.status !== 'REFRESHING') return;
+
+        if (!entryPlan) {
+          this.stats.rejectedOnRefresh++;
+          this.cancel(entry.tokenMint, 'Rejected on pre-open refresh');
+          return;
+        }
+
+        entry.entryPlan = entryPlan;
+        entry.refreshedAt = Date.now();
+        entry.status = 'SCHEDULED';
+        this.stats.refreshed++;
+
+      } catch (error) {
+        // Keep the original plan - a failed refresh shouldn't cost the entry
+        logger.error(`Pre-open refresh failed for ${entry.tokenMint}:`, error);
+        if (entry.status === 'REFRESHING') {
+          entry.status = 'SCHEDULED';
+        }
+      }
+    })();
+
+    await entry.refreshPromise;
+  }
+
+  /**
+   * Fire the entry at open minus lead time
+   */
+  async runExecute(entry) {
+    if (entry.refreshPromise) {
+      await entry.refreshPromise;
+    }
+
+    if (entry.status !== 'SCHEDULED') return;
+
+    entry.status = 'EXECUTING';
+    this.scheduled.delete(entry.tokenMint);
+
+    logger.info(`🚀 Pool opening for ${entry.tokenMint} - executing scheduled entry`);
+
+    try {
+      await this.handlers.execute(entry.entryPlan, entry.tokenInfo);
+      entry.status = 'EXECUTED';
+      this.stats.executed++;
+    } catch (error) {
+      entry.status = 'FAILED';
+      this.stats.failed++;
+      logger.error(`Scheduled entry failed for ${entry.tokenMint}:`, error);
+    }
+  }
+
+  /**
+   * Cancel a scheduled entry
+   * @returns {Object|null} The cancelled entry, or null if nothing was scheduled
+   */
+  cancel(tokenMint, reason = 'Cancelled manually') {
+    const entry = this.scheduled.get(tokenMint);
+    if (!entry) return null;
+
+    entry.timers.forEach(timer => clearTimeout(timer));
+    entry.status = 'CANCELLED';
+    entry.cancelReason = reason;
+    this.scheduled.delete(tokenMint);
+    this.stats.cancelled++;
+
+    logger.info(`🚫 Scheduled entry cancelled for ${tokenMint}: ${reason}`);
+
+    return this.describe(entry);
+  }
+
+  /**
+   * Cancel every scheduled entry
+   */
+  cancelAll(reason = 'Scheduler stopped') {
+    return Array.from(this.scheduled.keys()).map(tokenMint => this.cancel(tokenMint, reason));
+  }
+
+  /**
+   * Pending schedule, soonest first
+   */
+  getScheduled() {
+    return Array.from(this.scheduled.values())
+      .sort((a, b) => a.openAt - b.openAt)
+      .map(entry => this.describe(entry));
+  }
+
+  /**
+   * Plain view of a scheduled entry (no timers or plan internals)
+   */
+  describe(entry) {
+    return {
+      tokenMint: entry.tokenMint,
+      poolId: entry.poolId,
+      dex: entry.dex,
+      status: entry.status,
+      positionSize: entry.entryPlan?.positionSize,
+      openTime: new Date(entry.openAt).toISOString(),
+      executeAt: new Date(entry.executeAt).toISOString(),
+      refreshAt: entry.refreshAt > entry.scheduledAt ? new Date(entry.refreshAt).toISOString() : null,
+      refreshedAt: entry.refreshedAt ? new Date(entry.refreshedAt).toISOString() : null,
+      msUntilOpen: Math.max(entry.openAt - Date.now(), 0),
+      cancelReason: entry.cancelReason
+    };
+  }
+
+  /**
+   * Get scheduler stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.scheduled.size
+    };
+  }
+}
+
+export default EntryScheduler;
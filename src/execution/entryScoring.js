@@ -0,0 +1,299 @@
+/**
+ * Entry Scoring
+ * Config-driven criteria for EntryStrategy.evaluateEntry (`entryScoring` in
+ * strategy.json). Each criterion reads a value from the evaluation context,
+ * normalizes it to 0..1 and earns `normalized × weight` points; the score is
+ * the points over the weights of the criteria that had a value, out of 100.
+ * A skipped criterion with `fallbackTo` hands its weight to that criterion
+ * instead, so the built-in weights stay 40/20/20/20 without momentum data.
+ * A criterion fails when its value breaks the hard-fail threshold, and a
+ * failed critical criterion rejects the entry whatever the score.
+ *
+ * Criterion fields (config entries override the registry entry of the same name):
+ * - source: dotted path into the context, e.g. "holderAnalysis.healthScore"
+ * - normalize: { type: 'linear', min, max } (min > max for lower-is-better),
+ *   { type: 'threshold', min | max } (all or nothing) or { type: 'boolean' }
+ * - weight: points at a normalized value of 1 (0 = gate only)
+ * - hardFail: { min } or { max } on the raw value
+ * - critical: a failure rejects the entry
+ * - missing: 'skip' (left out of the score), 'default' (use `default`) or 'fail'
+ * - fallbackTo: criterion that takes over the weight when this one is skipped
+ *
+ * The context holds tokenInfo, rugAnalysis, holderAnalysis, liquidityAnalysis,
+ * socialAnalysis, socialMomentum, deployerReputation and registryCheck.
+ */
+
+const criteria = new Map([
+  ['safety', {
+    label: 'Safety Score',
+    source: 'rugAnalysis.safetyScore',
+    normalize: { type: 'linear', min: 0, max: 100 },
+    weight: 40,
+    hardFail: (config) => ({ min: config.entry?.minSafetyScore || 40 }),
+    critical: true,
+    missing: 'default',
+    default: 0
+  }],
+  ['holderHealth', {
+    label: 'Holder Distribution',
+    source: 'holderAnalysis.healthScore',
+    normalize: { type: 'linear', min: 0, max: 100 },
+    weight: 20,
+    hardFail: (config) => ({ min: config.entry?.minHolderHealth || 60 }),
+    critical: true,
+    missing: 'default',
+    default: 0
+  }],
+  ['liquidity', {
+    label: 'Liquidity',
+    source: 'liquidityAnalysis.liquiditySol',
+    normalize: (config) => ({ type: 'threshold', min: config.entry?.minLiquidity || 5 }),
+    weight: 20,
+    hardFail: (config) => ({ min: config.entry?.minLiquidity || 5 }),
+    critical: false,
+    missing: 'default',
+    default: 0
+  }],
+  ['socialSentiment', {
+    label: 'Social Sentiment',
+    source: 'socialAnalysis.overallScore',
+    normalize: { type: 'linear', min: 0, max: 100 },
+    weight: 10,
+    hardFail: { min: 50 },
+    critical: false,
+    missing: 'default',
+    default: 50,
+    // Whether the score was measured, cached or the neutral default
+    details: (context) => ({ dataSource: context.socialAnalysis?.source || 'default' })
+  }],
+  ['socialMomentum', {
+    label: 'Social Momentum',
+    source: 'socialMomentum.socialMomentum',
+    normalize: { type: 'linear', min: 0, max: 100 },
+    weight: 10,
+    hardFail: (config) => ({ min: config.social?.momentum?.minEntryMomentum ?? 40 }),
+    critical: false,
+    missing: 'skip',
+    fallbackTo: 'socialSentiment'
+  }],
+  ['honeypotTax', {
+    label: 'Honeypot Tax',
+    source: 'rugAnalysis.details.honeypot.roundTripTaxPercent',
+    normalize: (config) => ({ type: 'linear', min: config.honeypot?.maxRoundTripTaxPercent ?? 25, max: 0 }),
+    weight: 0,
+    hardFail: (config) => ({ max: config.honeypot?.maxRoundTripTaxPercent ?? 25 }),
+    critical: true,
+    missing: 'skip'
+  }],
+  ['deployerScore', {
+    label: 'Deployer Reputation',
+    source: 'deployerReputation.riskScore',
+    normalize: { type: 'linear', min: 100, max: 0 },
+    weight: 0,
+    hardFail: (config) => ({ max: config.deployerReputation?.maxRiskScore ?? 70 }),
+    critical: true,
+    missing: 'skip',
+    // Whitelisted deployers pass; flagged serial ruggers fail whatever their score
+    check: (value, context, passed) => {
+      if (context.registryCheck?.whitelisted.some(match => match.role === 'deployer')) return true;
+      return passed && !context.deployerReputation.reject;
+    }
+  }],
+  ['blacklist', {
+    label: 'Blacklist',
+    value: (context) => context.registryCheck
+      ? (context.registryCheck.blacklisted ? context.registryCheck.reasons.join('; ') : 'clear')
+      : undefined,
+    normalize: { type: 'boolean' },
+    weight: 0,
+    critical: true,
+    missing: 'skip',
+    check: (value, context) => !context.registryCheck.blacklisted
+  }]
+]);
+
+const DEFAULT_ORDER = ['safety', 'holderHealth', 'liquidity', 'socialSentiment', 'socialMomentum', 'blacklist', 'deployerScore', 'honeypotTax'];
+
+/**
+ * Register an additional named criterion (code-defined criteria may use
+ * value(context) and check(value, context, passed) instead of source / hardFail)
+ */
+export function registerEntryCriterion(name, definition) {
+  criteria.set(name, definition);
+}
+
+/**
+ * Names of all registered criteria
+ */
+export function getRegisteredEntryCriteria() {
+  return Array.from(criteria.keys());
+}
+
+export class EntryScorer {
+  /**
+   * @param {Object} config - Bot config (uses entryScoring; registry thresholds read entry, social, honeypot, deployerReputation)
+   */
+  constructor(config = {}) {
+    this.config = config;
+
+    const configured = config.entryScoring?.criteria || DEFAULT_ORDER.map(name => ({ name }));
+    this.criteria = configured
+      .filter(entry => entry.enabled !== false)
+      .map(entry => this.resolve(entry));
+  }
+
+  /**
+   * Merge a config entry over its registry definition and resolve config-dependent fields
+   */
+  resolve(entry) {
+    const base = criteria.get(entry.name);
+    if (!base && !entry.source) {
+      throw new Error(`Unknown entry criterion "${entry.name}" without a source (registered: ${getRegisteredEntryCriteria().join(', ')})`);
+    }
+
+    const definition = { missing: 'skip', critical: false, weight: 0, ...base, ...entry };
+    // A config source replaces the registry's value function
+    if (entry.source) delete definition.value;
+
+    return {
+      ...definition,
+      label: definition.label || entry.name,
+      normalize: this.fromConfig(definition.normalize) || { type: 'linear', min: 0, max: 100 },
+      hardFail: this.fromConfig(definition.hardFail) || null
+    };
+  }
+
+  fromConfig(field) {
+    return typeof field === 'function' ? field(this.config) : field;
+  }
+
+  /**
+   * @param {Object} context - Analyses for the token
+   * @returns {Object} { score (0-100), maxScore, criteria: [breakdown], criticalFailures, explanation: [lines] }
+   */
+  evaluate(context) {
+    const breakdown = this.criteria.map(criterion => this.evaluateCriterion(criterion, context));
+    this.reassignSkippedWeight(breakdown);
+
+    const scored = breakdown.filter(item => !item.skipped);
+    const totalWeight = scored.reduce((sum, item) => sum + item.weight, 0);
+    const points = scored.reduce((sum, item) => sum + item.points, 0);
+    const score = totalWeight > 0 ? (points / totalWeight) * 100 : 0;
+
+    return {
+      score,
+      maxScore: 100,
+      criteria: breakdown,
+      criticalFailures: breakdown.filter(item => item.critical && !item.passed),
+      explanation: breakdown.map(item => explain(item, totalWeight))
+    };
+  }
+
+  /**
+   * Move the weight of skipped criteria with a fallbackTo onto that criterion
+   */
+  reassignSkippedWeight(breakdown) {
+    this.criteria.forEach((criterion, index) => {
+      if (!breakdown[index].skipped || !criterion.fallbackTo) return;
+
+      const target = breakdown.find(item => item.name === criterion.fallbackTo && !item.skipped);
+      if (!target) return;
+
+      target.weight += criterion.weight;
+      target.points = target.normalized * target.weight;
+    });
+  }
+
+  evaluateCriterion(criterion, context) {
+    let value = criterion.value ? criterion.value(context) : readPath(context, criterion.source);
+    const isMissing = value === undefined || value === null || Number.isNaN(value);
+
+    const item = {
+      name: criterion.name,
+      label: criterion.label,
+      source: criterion.source || 'computed',
+      value,
+      normalized: 0,
+      weight: criterion.weight,
+      points: 0,
+      hardFail: criterion.hardFail,
+      critical: Boolean(criterion.critical),
+      passed: true,
+      skipped: false,
+      missing: isMissing
+    };
+
+    if (isMissing) {
+      if (criterion.missing === 'skip') {
+        return { ...item, weight: 0, skipped: true };
+      }
+      if (criterion.missing === 'fail') {
+        return { ...item, passed: false };
+      }
+      value = criterion.default ?? 0;
+      item.value = value;
+    }
+
+    const thresholdPassed = meetsThreshold(value, criterion.hardFail);
+    item.passed = criterion.check ? criterion.check(value, context, thresholdPassed) : thresholdPassed;
+    item.normalized = normalize(value, criterion.normalize);
+    item.points = item.normalized * criterion.weight;
+
+    return {
+      ...item,
+      ...criterion.details?.(context)
+    };
+  }
+}
+
+/**
+ * Read "a.b.c" from an object (undefined when any step is missing)
+ */
+function readPath(object, path) {
+  return path.split('.').reduce((current, key) => current?.[key], object);
+}
+
+function meetsThreshold(value, hardFail) {
+  if (!hardFail) return true;
+  if (hardFail.min !== undefined && !(value >= hardFail.min)) return false;
+  if (hardFail.max !== undefined && !(value <= hardFail.max)) return false;
+  return true;
+}
+
+/**
+ * Value to 0..1
+ */
+function normalize(value, rule = {}) {
+  const { type = 'linear', min = 0, max = 100 } = rule;
+
+  if (type === 'boolean') return value ? 1 : 0;
+  if (type === 'threshold') return meetsThreshold(value, rule) ? 1 : 0;
+
+  if (typeof value !== 'number' || min === max) return 0;
+  return Math.max(0, Math.min(1, (value - min) / (max - min)));
+}
+
+/**
+ * One line per criterion, e.g. "Safety Score: 72 → 0.72 × 40 = 28.8 pts (min 40 ✓, critical)"
+ */
+function explain(item, totalWeight) {
+  const value = typeof item.value === 'number' ? Number(item.value.toFixed(2)) : item.value;
+  const threshold = item.hardFail
+    ? [item.hardFail.min !== undefined && `min ${item.hardFail.min}`, item.hardFail.max !== undefined && `max ${item.hardFail.max}`].filter(Boolean).join(', ')
+    : null;
+  const flags = [threshold && `${threshold} ${item.passed ? '✓' : '✗'}`, !threshold && !item.passed && '✗', item.critical && 'critical', item.dataSource]
+    .filter(Boolean).join(', ');
+
+  if (item.skipped) {
+    return `${item.label}: no data (${item.source}), not scored`;
+  }
+
+  const share = totalWeight > 0 && item.weight > 0 ? ` (${((item.weight / totalWeight) * 100).toFixed(0)}% of score)` : '';
+  const scoring = item.weight > 0
+    ? `${item.normalized.toFixed(2)} × ${item.weight} = ${item.points.toFixed(1)} pts${share}`
+    : 'gate only';
+
+  return `${item.label}: ${value}${item.missing ? ' (default)' : ''} → ${scoring}${flags ? ` [${flags}]` : ''}`;
+}
+
+export default EntryScorer;
@@ -1,4 +1,5 @@
 import { logger } from '../utils/logger.js';
+import { EntryScorer } from './entryScoring.js';
 
 /**
  * Entry Strategy Module
@@ -6,112 +7,60 @@ import { logger } from '../utils/logger.js';
  */
 
 export class EntryStrategy {
-  constructor(config) {
+  /**
+   * @param {Object} options - { registry } blacklist / whitelist checked before entry
+   */
+  constructor(config, { registry = null } = {}) {
     this.config = config;
+    this.registry = registry;
+    this.scorer = new EntryScorer(config);
     this.pendingEntries = new Map();
   }
 
   /**
-   * Evaluate if token meets entry criteria
+   * Evaluate if token meets entry criteria (scored by the `entryScoring` criteria, see entryScoring.js)
    */
   async evaluateEntry(tokenInfo, analysis) {
     logger.info(`Evaluating entry for ${tokenInfo.tokenSymbol || tokenInfo.tokenMint}`);
 
-    const {
-      rugAnalysis,
-      holderAnalysis,
-      socialAnalysis,
-      liquidityAnalysis
-    } = analysis;
-
-    const criteria = [];
-    let score = 0;
-    const maxScore = 100;
-
-    // 1. Safety check (40 points)
-    const safetyScore = rugAnalysis?.safetyScore || 0;
-    const safetyPoints = (safetyScore / 100) * 40;
-    score += safetyPoints;
-    
-    const minSafetyThreshold = this.config.entry?.minSafetyScore || 40;
-    const safetyPassed = safetyScore >= minSafetyThreshold;
-    logger.info(`🔍 Safety check: score=${safetyScore}, threshold=${minSafetyThreshold}, passed=${safetyPassed}`);
-
-    criteria.push({
-      name: 'Safety Score',
-      value: safetyScore,
-      points: safetyPoints,
-      weight: 40,
-      passed: safetyPassed
-    });
+    const { rugAnalysis, holderAnalysis } = analysis;
 
-    // 2. Holder distribution (20 points)
-    const holderHealth = holderAnalysis?.healthScore || 0;
-    const holderPoints = (holderHealth / 100) * 20;
-    score += holderPoints;
-
-    const minHolderHealth = this.config.entry?.minHolderHealth || 60;
-    const holderPassed = holderHealth >= minHolderHealth;
-    logger.info(`🔍 Holder health check: score=${holderHealth}, threshold=${minHolderHealth}, passed=${holderPassed}`);
-
-    criteria.push({
-      name: 'Holder Distribution',
-      value: holderHealth,
-      points: holderPoints,
-      weight: 20,
-      passed: holderPassed
+    // Registry: blacklisted mint, deployer or funding wallet
+    const deployers = tokenInfo.deployers || [tokenInfo.creator].filter(Boolean);
+    const registryCheck = this.registry?.check({
+      tokenMint: tokenInfo.tokenMint,
+      deployers,
+      funders: [...new Set(Object.values(holderAnalysis?.clusters?.fundingGraph?.ancestorsOf || {}).flat())]
     });
 
-    // 3. Liquidity (20 points)
-    const liquiditySol = liquidityAnalysis?.liquiditySol || 0;
-    const minLiquidity = this.config.entry?.minLiquidity || 5;
-    const liquidityPassed = liquiditySol >= minLiquidity;
-    const liquidityPoints = liquidityPassed ? 20 : 0;
-    score += liquidityPoints;
-
-    criteria.push({
-      name: 'Liquidity',
-      value: liquiditySol,
-      points: liquidityPoints,
-      weight: 20,
-      passed: liquidityPassed
+    const { score, maxScore, criteria, criticalFailures, explanation } = this.scorer.evaluate({
+      ...analysis,
+      tokenInfo,
+      deployerReputation: analysis.deployerReputation || rugAnalysis?.details?.deployer,
+      registryCheck
     });
 
-    // 4. Social sentiment (20 points)
-    const socialScore = socialAnalysis?.overallScore || 50;
-    const socialPoints = (socialScore / 100) * 20;
-    score += socialPoints;
-
-    criteria.push({
-      name: 'Social Sentiment',
-      value: socialScore,
-      points: socialPoints,
-      weight: 20,
-      passed: socialScore >= 50
-    });
+    explanation.forEach(line => logger.info(`🔍 ${line}`));
 
     // Determine if entry should be taken (lowered to 50 for paper trading practice)
-    const minScore = this.config.entry?.minEntryScore || 50;
+    const minScore = this.config.entryScoring?.minScore ?? this.config.entry?.minEntryScore ?? 50;
     const shouldEnter = score >= minScore;
 
-    // Check for critical failures (safety score and holder health are critical)
-    const criticalFailures = criteria.filter(c =>
-      (c.name === 'Safety Score' || c.name === 'Holder Distribution') && !c.passed
-    );
-
     const result = {
       shouldEnter: shouldEnter && criticalFailures.length === 0,
       score,
       maxScore,
+      minScore,
       criteria,
       criticalFailures,
+      explanation,
       recommendation: this.getRecommendation(score, criticalFailures.length > 0),
       timestamp: Date.now()
     };
 
-    logger.info(`Entry evaluation: ${result.recommendation} (score: ${score}/${maxScore}) | shouldEnter: ${shouldEnter} | criticalFailures: ${criticalFailures.length} | final: ${result.shouldEnter}`);
+    logger.info(`Entry evaluation: ${result.recommendation} (score: ${score.toFixed(1)}/${maxScore}, min ${minScore}) | shouldEnter: ${shouldEnter} | criticalFailures: ${criticalFailures.length} | final: ${result.shouldEnter}`);
     if (criticalFailures.length > 0) {
-      logger.warn(`⚠️ Critical failures detected: ${criticalFailures.map(c => `${c.name}=${c.value}`).join(', ')}`);
+      logger.warn(`⚠️ Critical failures detected: ${criticalFailures.map(c => `${c.label}=${c.value}`).join(', ')}`);
     }
 
     return result;
@@ -253,7 +202,8 @@ export class EntryStrategy {
       tokenSymbol,
       evaluation,
       positionSize,
-      entryMethod
+      entryMethod,
+      poolInfo
     } = params;
 
     const plan = {
@@ -262,6 +212,7 @@ export class EntryStrategy {
       tokenSymbol,
       evaluation,
       positionSize,
+      poolInfo: poolInfo || null,
       entryMethod: entryMethod || this.calculateOptimalEntry(tokenMint, evaluation.currentPrice),
       status: 'PENDING',
       createdAt: Date.now(),
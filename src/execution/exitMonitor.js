@@ -6,11 +6,16 @@ import { logger } from '../utils/logger.js';
  * - Take-profit (+50%)
  * - Trailing stop (15% from peak)
  * - Max hold time (30 minutes)
+ * - Distribution signals from signal sources (e.g. holder tracking, fading social momentum)
  */
 export class ExitMonitor {
-  constructor(paperTradingManager, config = {}, priceFeedManager = null) {
+  /**
+   * @param {Array} signalSources - Objects with consumeSignals(tokenMint) returning [{ type, reason }]
+   */
+  constructor(paperTradingManager, config = {}, priceFeedManager = null, signalSources = []) {
     this.paperTradingManager = paperTradingManager;
     this.priceFeedManager = priceFeedManager;
+    this.signalSources = signalSources;
     this.config = {
       stopLossPercent: config.stopLossPercent || 0.25,      // -25% (was 0.30)
       takeProfitPercent: config.takeProfitPercent || 0.60,  // +60% (was 0.50)
@@ -129,6 +134,9 @@ export class ExitMonitor {
     const simulation = this.priceSimulations.get(tokenAddress);
     const peakPrice = simulation.peak;
 
+    // Drain signals every check so a stale one can't fire later
+    const positionSignals = this.signalSources.flatMap(source => source.consumeSignals(tokenAddress));
+
     // Check exit conditions (in priority order)
     let exitReason = null;
     let exitType = null;
@@ -148,7 +156,14 @@ export class ExitMonitor {
       exitPercent = 1.0;  // Full exit on stop-loss
     }
 
-    // 3. Take-profit (tiered or single) - PHASE 3
+    // 3. Position watcher events (holders leaving, supply concentrating, social momentum fading)
+    else if (positionSignals.length > 0) {
+      exitReason = positionSignals[0].reason;
+      exitType = positionSignals[0].type;
+      exitPercent = 1.0;  // Full exit on distribution events
+    }
+
+    // 4. Take-profit (tiered or single) - PHASE 3
     else if (this.config.exitMode === 'tiered') {
       // Check tier 1 first
       if (position.tier1Sold !== true && priceChangePercent >= this.config.tier1Target * 100) {
@@ -171,7 +186,7 @@ export class ExitMonitor {
       }
     }
 
-    // 4. Trailing stop (SMART: only protect profits after +20% gain)
+    // 5. Trailing stop (SMART: only protect profits after +20% gain)
     // Only check if no exit condition was met yet
     if (!exitReason) {
       // Calculate if we've reached the profit zone to activate trailing stop
@@ -95,6 +95,16 @@ export class ExitStrategy {
       });
     }
 
+    // 8. Position watcher events (holders leaving, supply concentrating, whale sells, social momentum fading)
+    for (const holderSignal of analysis.holderSignals || []) {
+      signals.push({
+        type: holderSignal.type,
+        priority: 'HIGH',
+        reason: holderSignal.reason,
+        shouldExit: true
+      });
+    }
+
     // Determine if should exit
     const criticalSignals = signals.filter(s => s.priority === 'CRITICAL');
     const highSignals = signals.filter(s => s.priority === 'HIGH');
@@ -203,6 +213,7 @@ export class ExitStrategy {
 
       // Execute sell via order executor
       const result = await executor.executeSell({
+        wallet: plan.wallet,
         tokenMint: plan.tokenMint,
         tokenAmount: position.tokenAmount,
         slippageBps: plan.slippageBps,
@@ -302,19 +313,26 @@ export class ExitStrategy {
 
   /**
    * Emergency exit (liquidate immediately)
+   * @param {Object} options - { reason, wallet } exit reason recorded on the position and the wallet holding it
    */
-  async emergencyExit(position, executor, positionManager) {
-    logger.warn(`🚨 EMERGENCY EXIT: ${position.tokenSymbol}`);
+  async emergencyExit(position, executor, positionManager, { reason = 'EMERGENCY', wallet = null } = {}) {
+    logger.warn(`🚨 EMERGENCY EXIT: ${position.tokenSymbol} (${reason})`);
 
     const plan = {
       id: this.generatePlanId(),
       positionId: position.id,
       tokenMint: position.tokenMint,
-      exitReason: 'EMERGENCY',
+      tokenSymbol: position.tokenSymbol,
+      exitReason: reason,
+      wallet,
       slippageBps: 1000, // 10% slippage tolerance for emergency
-      urgency: 'CRITICAL'
+      urgency: 'CRITICAL',
+      status: 'PENDING',
+      createdAt: Date.now()
     };
 
+    this.exitSignals.set(plan.id, plan);
+
     return await this.executeExitPlan(plan.id, executor, positionManager);
   }
 
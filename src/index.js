@@ -3,12 +3,20 @@ import ThrottledConnection from './utils/ThrottledConnection.js';
 import config from './utils/config.js';
 import { logger } from './utils/logger.js';
 import database from './utils/database.js';
+import AnalysisQueue from './utils/analysisQueue.js';
 
 // Intelligence modules
 import { TokenDiscovery } from './intelligence/tokenDiscovery.js';
+import { getDisplaySymbol } from './intelligence/tokenMetadata.js';
 import { RugDetection } from './intelligence/rugDetection.js';
+import { HoneypotSimulator } from './intelligence/honeypotSimulator.js';
+import { DeployerReputation } from './intelligence/deployerReputation.js';
 import { SocialMonitor } from './intelligence/socialMonitor.js';
 import { HolderAnalysis } from './intelligence/holderAnalysis.js';
+import { HolderTracker } from './intelligence/holderTracker.js';
+import { WhaleWatch } from './intelligence/whaleWatch.js';
+import { RugWatch, RUG_TRIGGERS } from './intelligence/rugWatch.js';
+import { AddressRegistry } from './intelligence/addressRegistry.js';
 
 // Wallet modules
 import { WalletManager } from './wallet/walletManager.js';
@@ -24,6 +32,7 @@ import { RiskCalculator } from './risk/riskCalculator.js';
 import { EntryStrategy } from './execution/entryStrategy.js';
 import { ExitStrategy } from './execution/exitStrategy.js';
 import { OrderExecutor } from './execution/orderExecutor.js';
+import { EntryScheduler } from './execution/entryScheduler.js';
 import SwapExecutor from './execution/swapExecutor.js';
 import JitoManager from './execution/jitoManager.js';
 
@@ -92,11 +101,27 @@ class MememcoinTradingBot {
   async initializeModules() {
     logger.info('Initializing modules...');
 
+    // Blacklist / whitelist of mints, deployers and funding wallets
+    this.modules.registry = new AddressRegistry(this.config);
+
     // Intelligence modules
-    this.modules.tokenDiscovery = new TokenDiscovery(this.connection, this.config);
-    this.modules.rugDetection = new RugDetection(this.connection, this.config);
+    this.modules.tokenDiscovery = new TokenDiscovery(this.connection, this.config, {
+      registry: this.modules.registry
+    });
     this.modules.socialMonitor = new SocialMonitor(this.config);
     this.modules.holderAnalysis = new HolderAnalysis(this.connection, this.config);
+    this.modules.holderTracker = new HolderTracker(this.connection, this.modules.holderAnalysis, this.config);
+    this.modules.whaleWatch = new WhaleWatch(this.modules.holderAnalysis, this.config);
+    this.modules.rugWatch = new RugWatch(
+      this.connection,
+      this.config,
+      (tokenMint, trigger) => this.handleRugTrigger(tokenMint, trigger)
+    );
+    this.modules.deployerReputation = new DeployerReputation(this.connection, this.config);
+    this.modules.analysisQueue = new AnalysisQueue(
+      (tokenInfo) => this.handleTokenDiscovered(tokenInfo),
+      this.config.analysisQueue
+    );
 
     // Wallet modules
     this.modules.walletManager = new WalletManager(this.connection, this.config);
@@ -116,14 +141,31 @@ class MememcoinTradingBot {
     const balances = await this.modules.walletManager.updateBalances();
     logger.info(`Loaded ${wallets.length} wallets with total ${balances.reduce((sum, b) => sum + b.sol, 0).toFixed(4)} SOL`);
 
+    // Rug detection simulates honeypot round trips (never broadcast) as honeypot.simulationPayer,
+    // or the primary wallet when none is set
+    this.modules.honeypotSimulator = new HoneypotSimulator(
+      this.connection,
+      this.modules.transactionBuilder,
+      this.config,
+      wallets[0].publicKey
+    );
+    this.modules.rugDetection = new RugDetection(this.connection, this.config, {
+      honeypotSimulator: this.modules.honeypotSimulator,
+      deployerReputation: this.modules.deployerReputation
+    });
+
     // Risk modules
     this.modules.positionManager = new PositionManager(this.config, this.modules.walletManager);
     this.modules.stopLoss = new StopLoss(this.config, this.modules.positionManager);
     this.modules.riskCalculator = new RiskCalculator(this.config);
 
     // Execution modules
-    this.modules.entryStrategy = new EntryStrategy(this.config);
+    this.modules.entryStrategy = new EntryStrategy(this.config, { registry: this.modules.registry });
     this.modules.exitStrategy = new ExitStrategy(this.config);
+    this.modules.entryScheduler = new EntryScheduler(this.config, {
+      refresh: (tokenInfo) => this.analyzeToken(tokenInfo),
+      execute: (entryPlan) => this.executePlannedEntry(entryPlan)
+    });
     this.modules.orderExecutor = new OrderExecutor(
       this.connection,
       this.config,
@@ -189,6 +231,7 @@ class MememcoinTradingBot {
         this.config.paperTrading?.startingBalance || 10,
         this.config.paperTrading?.reportInterval || 120000
       );
+      this.modules.paperTrading.onPositionClosed = (tokenMint) => this.releasePosition(tokenMint);
       logger.info(`📝 Paper Trading enabled - Starting balance: ${this.config.paperTrading?.startingBalance || 10} SOL`);
       
       // Initialize exit monitor for paper trading
@@ -213,7 +256,8 @@ class MememcoinTradingBot {
           priceVolatility: 0.05,
           useRealPrices: useRealPrices
         },
-        useRealPrices ? this.modules.priceFeedManager : null
+        useRealPrices ? this.modules.priceFeedManager : null,
+        [this.modules.holderTracker, this.modules.whaleWatch, this.modules.socialMonitor]
       );
       logger.info(`✅ Exit Monitor initialized (${useRealPrices ? 'Real Prices' : 'Simulated Prices'})`);
     }
@@ -250,6 +294,15 @@ class MememcoinTradingBot {
         this.modules.exitMonitor.start();
       }
 
+      // Watch recorded launches for rugs (deployer reputation)
+      this.modules.deployerReputation.start();
+
+      // Track the holder base of open positions
+      this.modules.holderTracker.start();
+
+      // Listen to the configured Telegram groups
+      await this.modules.socialMonitor.start();
+
       // Start safety monitor
       if (this.modules.safetyMonitor) {
         this.modules.safetyMonitor.start();
@@ -273,10 +326,10 @@ class MememcoinTradingBot {
   async startTokenDiscovery() {
     logger.info('Starting token discovery...');
 
-    // Override emit method to handle discovered tokens
+    // Override emit method to queue discovered tokens for bounded, prioritized analysis
     this.modules.tokenDiscovery.emit = async (event, data) => {
       if (event === 'tokenDiscovered') {
-        await this.handleTokenDiscovered(data);
+        this.modules.analysisQueue.enqueue(data);
       }
     };
 
@@ -288,66 +341,185 @@ class MememcoinTradingBot {
    */
   async handleTokenDiscovered(tokenInfo) {
     try {
-      logger.info(`🆕 Analyzing new token: ${tokenInfo.tokenMint}`);
+      await this.enrichTokenMetadata(tokenInfo);
+      tokenInfo.deployers = await this.modules.deployerReputation.recordLaunch(tokenInfo);
+      logger.info(`🆕 Analyzing new token: ${getDisplaySymbol(tokenInfo)} ${tokenInfo.tokenMint} (${tokenInfo.dex || tokenInfo.launchpad})`);
 
-      // Run safety analysis
-      const rugAnalysis = await this.modules.rugDetection.analyzeToken(tokenInfo.tokenMint);
+      const entryPlan = await this.analyzeToken(tokenInfo);
+      if (!entryPlan) return;
 
-      // PAPER TRADING MODE: Lower threshold to 40 to see more activity (was 60)
-      // Still filters out the worst tokens (0-39), accepts moderate-risk for practice
-      if (rugAnalysis.safetyScore < 40) {
-        logger.warn(`Token ${tokenInfo.tokenMint} rejected: low safety score (${rugAnalysis.safetyScore})`);
+      // Pool not open for swaps yet - wait for openTime instead of trading into a closed pool
+      if (this.modules.entryScheduler.shouldSchedule(tokenInfo)) {
+        this.modules.entryScheduler.schedule(tokenInfo, entryPlan);
         return;
       }
 
-      // Run holder analysis
-      const holderAnalysis = await this.modules.holderAnalysis.analyzeHolders(tokenInfo.tokenMint);
+      await this.executePlannedEntry(entryPlan);
 
-      // Evaluate entry
-      logger.info(`🎯 Evaluating entry for ${tokenInfo.tokenMint} (Safety: ${rugAnalysis.safetyScore}, Holders: ${holderAnalysis.healthScore || 'N/A'})`);
-      const evaluation = await this.modules.entryStrategy.evaluateEntry(tokenInfo, {
-        rugAnalysis,
-        holderAnalysis,
-        liquidityAnalysis: { liquiditySol: tokenInfo.liquidity }
-      });
+    } catch (error) {
+      logger.error('Error handling discovered token:', error);
+    }
+  }
 
-      if (!evaluation.shouldEnter) {
-        logger.warn(`❌ Token ${tokenInfo.tokenMint} rejected by entry strategy: ${evaluation.recommendation}`);
-        return;
-      }
+  /**
+   * Attach on-chain metadata (name, symbol, URI, mutability) to a discovered token
+   */
+  async enrichTokenMetadata(tokenInfo) {
+    const metadata = await this.modules.tokenDiscovery.getTokenMetadata(tokenInfo.tokenMint);
+    if (!metadata) return tokenInfo;
 
-      logger.info(`✅ Entry approved for ${tokenInfo.tokenMint}! Preparing to trade...`);
+    tokenInfo.metadata = metadata;
+    tokenInfo.name = metadata.name || tokenInfo.name || null;
+    tokenInfo.symbol = metadata.symbol || tokenInfo.symbol || null;
+    tokenInfo.uri = metadata.uri || tokenInfo.uri || null;
+    tokenInfo.tokenSymbol = getDisplaySymbol(tokenInfo);
 
-      // Calculate position size
-      const positionSize = this.modules.positionManager.calculatePositionSize(
-        tokenInfo.tokenMint,
-        tokenInfo.liquidity / 100, // Estimate price
-        rugAnalysis
-      );
+    return tokenInfo;
+  }
 
-      // Create entry plan
-      const entryPlan = this.modules.entryStrategy.createEntryPlan({
-        tokenMint: tokenInfo.tokenMint,
-        tokenSymbol: tokenInfo.tokenMint.slice(0, 8),
-        evaluation,
-        positionSize
-      });
+  /**
+   * Run launchpad filters, safety, holder and entry analysis
+   * @returns {Object|null} Entry plan, or null if the token is rejected
+   */
+  async analyzeToken(tokenInfo) {
+    // Launchpad-specific filters
+    const launchpadCheck = await this.passesLaunchpadFilters(tokenInfo);
+    if (!launchpadCheck.passed) {
+      logger.warn(`Token ${tokenInfo.tokenMint} rejected by ${tokenInfo.launchpad} filters: ${launchpadCheck.reason}`);
+      return null;
+    }
 
-      logger.info(`📋 Entry plan created for ${tokenInfo.tokenMint}: ${positionSize} SOL`);
+    // Social analysis runs alongside safety and holder analysis (bounded by social.entryAnalysis.budgetMs)
+    const socialPromise = this.modules.socialMonitor.getEntrySentiment(tokenInfo.symbol || null, tokenInfo.tokenMint);
 
-      // Execute entry (paper trading mode executes automatically)
-      if (this.config.paperTrading?.enabled) {
-        logger.info(`💰 Executing paper trade for ${tokenInfo.tokenMint}...`);
-        await this.executeEntry(entryPlan);
-      } else {
-        logger.info(`⏸️ Paper trading disabled - entry plan created but not executed (enable with PAPER_TRADING_ENABLED=true)`);
-      }
+    // Run safety analysis
+    const rugAnalysis = await this.modules.rugDetection.analyzeToken(tokenInfo.tokenMint, tokenInfo);
 
-    } catch (error) {
-      logger.error('Error handling discovered token:', error);
+    // PAPER TRADING MODE: Lower threshold to 40 to see more activity (was 60)
+    // Still filters out the worst tokens (0-39), accepts moderate-risk for practice
+    const minSafetyScore = launchpadCheck.minSafetyScore ?? 40;
+    if (rugAnalysis.safetyScore < minSafetyScore) {
+      const reason = rugAnalysis.hardRejected ? rugAnalysis.hardRejectReasons.join('; ') : `low safety score (${rugAnalysis.safetyScore})`;
+      logger.warn(`Token ${tokenInfo.tokenMint} rejected: ${reason}`);
+      return null;
+    }
+
+    // Run holder analysis
+    const holderAnalysis = await this.modules.holderAnalysis.analyzeHolders(tokenInfo.tokenMint, tokenInfo);
+    const socialAnalysis = await socialPromise;
+
+    // Evaluate entry
+    logger.info(`🎯 Evaluating entry for ${tokenInfo.tokenMint} (Safety: ${rugAnalysis.safetyScore}, Holders: ${holderAnalysis.healthScore || 'N/A'}, Social: ${socialAnalysis.overallScore.toFixed(0)} ${socialAnalysis.source})`);
+    const evaluation = await this.modules.entryStrategy.evaluateEntry(tokenInfo, {
+      rugAnalysis,
+      holderAnalysis,
+      socialAnalysis,
+      liquidityAnalysis: { liquiditySol: tokenInfo.liquidity },
+      socialMomentum: socialAnalysis.momentum || this.modules.socialMonitor.getMomentum(tokenInfo.tokenMint)
+    });
+
+    if (!evaluation.shouldEnter) {
+      logger.warn(`❌ Token ${tokenInfo.tokenMint} rejected by entry strategy: ${evaluation.recommendation}`);
+      return null;
+    }
+
+    logger.info(`✅ Entry approved for ${tokenInfo.tokenMint}! Preparing to trade...`);
+
+    // Calculate position size
+    const positionSize = this.modules.positionManager.calculatePositionSize(
+      tokenInfo.tokenMint,
+      tokenInfo.liquidity / 100, // Estimate price
+      rugAnalysis
+    );
+
+    // Create entry plan
+    const entryPlan = this.modules.entryStrategy.createEntryPlan({
+      tokenMint: tokenInfo.tokenMint,
+      tokenSymbol: getDisplaySymbol(tokenInfo),
+      evaluation,
+      positionSize,
+      poolInfo: tokenInfo
+    });
+
+    logger.info(`📋 Entry plan created for ${entryPlan.tokenSymbol} (${tokenInfo.tokenMint}): ${positionSize} SOL`);
+
+    return entryPlan;
+  }
+
+  /**
+   * Execute an approved entry plan (paper trading mode executes automatically)
+   */
+  async executePlannedEntry(entryPlan) {
+    if (this.config.paperTrading?.enabled) {
+      logger.info(`💰 Executing paper trade for ${entryPlan.tokenMint}...`);
+      await this.executeEntry(entryPlan);
+    } else {
+      logger.info(`⏸️ Paper trading disabled - entry plan created but not executed (enable with PAPER_TRADING_ENABLED=true)`);
     }
   }
 
+  /**
+   * Pending entries waiting for their pool to open
+   */
+  getScheduledEntries() {
+    return this.modules.entryScheduler?.getScheduled() || [];
+  }
+
+  /**
+   * Cancel a scheduled entry by token mint
+   */
+  cancelScheduledEntry(tokenMint) {
+    return this.modules.entryScheduler?.cancel(tokenMint) || null;
+  }
+
+  /**
+   * Manually flag a deployer wallet - its tokens are rejected until unflagged
+   */
+  flagDeployer(address, reason = null) {
+    return this.modules.deployerReputation.flag(address, reason);
+  }
+
+  unflagDeployer(address) {
+    return this.modules.deployerReputation.unflag(address);
+  }
+
+  /**
+   * Apply launchpad-specific filters before analysis
+   */
+  async passesLaunchpadFilters(tokenInfo) {
+    if (tokenInfo.launchpad !== 'pumpfun') {
+      return { passed: true };
+    }
+
+    const pumpConfig = this.config.discovery?.pumpfun || {};
+    const maxProgress = pumpConfig.maxCurveProgress ?? 90;
+
+    // Curve state moves fast - re-read it so we don't analyze a token that is about to migrate
+    const adapter = this.modules.tokenDiscovery.getAdapter(tokenInfo.dex);
+    const curve = adapter ? await adapter.getBondingCurveState(tokenInfo.bondingCurveAddress) : null;
+
+    if (!curve) {
+      return { passed: false, reason: 'Bonding curve not readable' };
+    }
+
+    tokenInfo.bondingCurve = curve;
+    tokenInfo.liquidity = curve.realSol;
+
+    if (curve.complete) {
+      return { passed: false, reason: 'Bonding curve complete - wait for the migrated pool' };
+    }
+
+    if (curve.progressPercent > maxProgress) {
+      return { passed: false, reason: `Curve progress ${curve.progressPercent.toFixed(2)}% > ${maxProgress}%` };
+    }
+
+    // Fresh curves always carry new-token and low-holder penalties, so they get their own safety floor
+    return {
+      passed: true,
+      minSafetyScore: pumpConfig.minSafetyScore ?? 40
+    };
+  }
+
   /**
    * Execute entry plan
    */
@@ -364,7 +536,7 @@ class MememcoinTradingBot {
 
       // PAPER TRADING MODE
       if (tradingMode === 'paper' && this.modules.paperTrading) {
-        logger.info(`📝 Paper Trading: Executing BUY for ${entryPlan.tokenMint}`);
+        logger.info(`📝 Paper Trading: Executing BUY for ${entryPlan.tokenSymbol} (${entryPlan.tokenMint})`);
         
         const paperResult = await this.modules.paperTrading.simulateBuy(
           entryPlan.tokenMint,
@@ -373,12 +545,16 @@ class MememcoinTradingBot {
           entryPlan.positionSize
         );
         
+        if (paperResult) {
+          await this.watchPosition(entryPlan);
+        }
+
         logger.info(`✅ Paper trade executed! Balance: ${this.modules.paperTrading.balance.toFixed(4)} SOL`);
         return;
       }
 
       // LIVE TRADING MODE
-      logger.info(`🔴 LIVE TRADING: Executing REAL BUY for ${entryPlan.tokenMint}`);
+      logger.info(`🔴 LIVE TRADING: Executing REAL BUY for ${entryPlan.tokenSymbol} (${entryPlan.tokenMint})`);
       logger.warn(`⚠️  REAL MONEY: ${entryPlan.positionSize} SOL will be spent`);
 
       // Ensure swap executor is initialized
@@ -467,6 +643,8 @@ class MememcoinTradingBot {
 
       logger.info(`✅ Position opened: ${position.tokenSymbol} | ${position.entryAmount} SOL`);
 
+      await this.watchPosition(entryPlan, { owner: position.walletPublicKey });
+
       // Save to database
       database.insert('trades', position);
 
@@ -476,6 +654,78 @@ class MememcoinTradingBot {
     }
   }
 
+  /**
+   * Start the post-entry watchers for a newly opened position
+   * @param {Object} options - { owner } wallet holding the position (live only)
+   */
+  async watchPosition(entryPlan, options = {}) {
+    const watchers = [this.modules.rugWatch, this.modules.holderTracker, this.modules.whaleWatch, this.modules.socialMonitor];
+
+    for (const watcher of watchers) {
+      try {
+        await watcher.track(entryPlan.tokenMint, entryPlan.poolInfo, options);
+      } catch (error) {
+        logger.error(`Failed to start ${watcher.constructor.name} for ${entryPlan.tokenMint}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Stop the post-entry watchers once a position is fully closed
+   */
+  releasePosition(tokenMint) {
+    this.modules.holderTracker.untrack(tokenMint);
+    this.modules.whaleWatch.untrack(tokenMint)
+      .catch(error => logger.error(`Failed to stop whale watch for ${tokenMint}:`, error));
+    this.modules.rugWatch.untrack(tokenMint)
+      .catch(error => logger.error(`Failed to stop rug watch for ${tokenMint}:`, error));
+    this.modules.socialMonitor.untrack(tokenMint);
+  }
+
+  /**
+   * Rug watch fired (liquidity pulled or drained, authority re-enabled, account frozen): exit immediately
+   */
+  async handleRugTrigger(tokenMint, trigger) {
+    const tradingMode = process.env.TRADING_MODE || 'paper';
+
+    // Whoever launched it doesn't get another chance; a drained vault may just be a dump
+    if (trigger.type !== RUG_TRIGGERS.LIQUIDITY_DRAINED) {
+      this.modules.registry.blacklistDeployers(
+        this.modules.deployerReputation.getDeployersOf(tokenMint),
+        `${trigger.type} on ${tokenMint}`
+      );
+    }
+
+    if (tradingMode === 'paper' && this.modules.paperTrading) {
+      const position = this.modules.paperTrading.getPosition(tokenMint);
+      if (!position) return;
+
+      // The last price predates the rug; mark it down by the liquidity that left the pool
+      const exitPrice = position.currentPrice * (trigger.liquidityRemaining ?? 1);
+
+      await this.modules.paperTrading.simulateSell(
+        tokenMint,
+        position.tokenSymbol,
+        exitPrice,
+        trigger.type
+      );
+      return;
+    }
+
+    const position = this.modules.positionManager.getActivePositions().find(p => p.tokenMint === tokenMint);
+    if (!position) return;
+
+    const wallet = this.modules.walletManager.getWalletByPublicKey(position.walletPublicKey);
+    await this.modules.exitStrategy.emergencyExit(
+      position,
+      this.modules.orderExecutor,
+      this.modules.positionManager,
+      { reason: trigger.type, wallet }
+    );
+
+    this.releasePosition(tokenMint);
+  }
+
   /**
    * Start position monitoring
    */
@@ -506,7 +756,13 @@ class MememcoinTradingBot {
         this.modules.positionManager.updatePosition(position.id, currentPrice);
 
         // Check exit conditions
-        const exitEval = this.modules.exitStrategy.evaluateExit(position, currentPrice);
+        const exitEval = this.modules.exitStrategy.evaluateExit(position, currentPrice, {
+          holderSignals: [
+            ...this.modules.holderTracker.consumeSignals(position.tokenMint),
+            ...this.modules.whaleWatch.consumeSignals(position.tokenMint),
+            ...this.modules.socialMonitor.consumeSignals(position.tokenMint)
+          ]
+        });
 
         if (exitEval.shouldExit) {
           await this.executeExit(position, exitEval);
@@ -547,6 +803,7 @@ class MememcoinTradingBot {
       });
 
       logger.info(`✅ Position closed: ${closedPosition.tokenSymbol} | P&L: ${closedPosition.realizedPnl} SOL`);
+      this.releasePosition(position.tokenMint);
 
       // Update database
       database.insert('trades', closedPosition);
@@ -605,6 +862,16 @@ class MememcoinTradingBot {
 
     this.isRunning = false;
 
+    // Stop discovery subscriptions
+    await this.modules.tokenDiscovery?.stop();
+    this.modules.analysisQueue?.clear();
+    this.modules.entryScheduler?.cancelAll();
+    this.modules.deployerReputation?.stop();
+    this.modules.holderTracker?.stop();
+    await this.modules.whaleWatch?.stop();
+    await this.modules.rugWatch?.stop();
+    await this.modules.socialMonitor?.stop();
+
     // Stop monitoring
     this.modules.stopLoss.stopAllMonitoring();
     
@@ -629,7 +896,19 @@ class MememcoinTradingBot {
       isRunning: this.isRunning,
       portfolioStats: this.modules.positionManager?.getPortfolioStats(),
       walletStats: this.modules.walletManager?.getWalletStats(),
-      executionStats: this.modules.orderExecutor?.getExecutionStats()
+      executionStats: this.modules.orderExecutor?.getExecutionStats(),
+      analysisQueue: this.modules.analysisQueue?.getStats(),
+      honeypotSimulator: this.modules.honeypotSimulator?.getStats(),
+      deployerReputation: this.modules.deployerReputation?.getStats(),
+      holderTracking: this.modules.holderTracker?.getStats(),
+      whaleWatch: this.modules.whaleWatch?.getStats(),
+      rugWatch: this.modules.rugWatch?.getStats(),
+      registry: this.modules.registry?.getStats(),
+      social: this.modules.socialMonitor?.getStats(),
+      scheduledEntries: {
+        ...this.modules.entryScheduler?.getStats(),
+        entries: this.getScheduledEntries()
+      }
     };
   }
 }
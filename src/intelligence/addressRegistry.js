@@ -0,0 +1,345 @@
+import fs from 'fs';
+import { PublicKey } from '@solana/web3.js';
+import { logger } from '../utils/logger.js';
+import database from '../utils/database.js';
+
+/**
+ * Address Registry
+ * Persistent blacklist / whitelist of token mints, deployers and funding
+ * wallets (data/registry.json), each entry with a reason, a source and an
+ * optional expiry. One entry per address: adding it to the other list
+ * replaces it. A whitelisted address is never blacklisted automatically.
+ *
+ * Mints in filters.blacklistedTokens are treated as permanent blacklist
+ * entries (source "config") and are never written to the file.
+ *
+ * Like the deployer history, the file is re-read whenever it changes on disk,
+ * so lists edited or imported from the CLI (registry.js) apply to a running bot.
+ */
+
+const COLLECTION = 'registry';
+
+export const REGISTRY_LISTS = ['blacklist', 'whitelist'];
+export const REGISTRY_TYPES = ['mint', 'deployer', 'funder'];
+
+const CSV_COLUMNS = ['address', 'list', 'type', 'reason', 'source', 'addedAt', 'expiresAt'];
+
+export class AddressRegistry {
+  constructor(config = {}) {
+    const options = config.registry || {};
+
+    this.autoBlacklistDeployers = options.autoBlacklistDeployers !== false;
+    this.autoBlacklistDays = options.autoBlacklistDays ?? null;
+    this.configEntries = new Map((config.filters?.blacklistedTokens || []).map(address => [address, {
+      address,
+      list: 'blacklist',
+      type: 'mint',
+      reason: 'filters.blacklistedTokens',
+      source: 'config',
+      addedAt: null,
+      expiresAt: null
+    }]));
+
+    this.filePath = database.getFilePath(COLLECTION);
+    this.entries = new Map();
+    this.loadedMtimeMs = 0;
+
+    this.load();
+  }
+
+  /**
+   * Add or replace an entry
+   * @param {Object} entry - { address, list, type, reason, expiresAt (ms), source }
+   * @returns {Object} The stored entry
+   */
+  add({ address, list = 'blacklist', type = 'mint', reason = null, expiresAt = null, source = 'manual', addedAt = null }) {
+    const entry = validateEntry({ address, list, type, reason, expiresAt, source, addedAt: addedAt || Date.now() });
+
+    this.sync();
+    this.entries.set(entry.address, entry);
+    this.save();
+
+    logger.info(`📒 ${entry.list === 'blacklist' ? '⛔' : '✅'} ${entry.type} ${entry.address} ${entry.list}ed${entry.reason ? `: ${entry.reason}` : ''}`);
+    return entry;
+  }
+
+  /**
+   * @returns {Object|null} The removed entry
+   */
+  remove(address) {
+    this.sync();
+
+    const entry = this.entries.get(address);
+    if (!entry) return null;
+
+    this.entries.delete(address);
+    this.save();
+
+    logger.info(`📒 ${address} removed from the ${entry.list}`);
+    return entry;
+  }
+
+  /**
+   * Active (unexpired) entry for an address
+   */
+  get(address) {
+    if (!address) return null;
+    this.sync();
+
+    const entry = this.entries.get(address) || this.configEntries.get(address);
+    return entry && !isExpired(entry) ? entry : null;
+  }
+
+  isBlacklisted(address) {
+    return this.get(address)?.list === 'blacklist';
+  }
+
+  isWhitelisted(address) {
+    return this.get(address)?.list === 'whitelist';
+  }
+
+  /**
+   * Check a token's mint, deployers and funding wallets
+   * @returns {Object} { blacklisted, matches, whitelisted, reasons }
+   */
+  check({ tokenMint = null, deployers = [], funders = [] } = {}) {
+    const candidates = [
+      ...[tokenMint].filter(Boolean).map(address => ({ address, role: 'mint' })),
+      ...deployers.map(address => ({ address, role: 'deployer' })),
+      ...funders.map(address => ({ address, role: 'funder' }))
+    ];
+
+    const found = candidates
+      .map(candidate => ({ ...candidate, entry: this.get(candidate.address) }))
+      .filter(candidate => candidate.entry);
+
+    const matches = found.filter(candidate => candidate.entry.list === 'blacklist');
+    const whitelisted = found.filter(candidate => candidate.entry.list === 'whitelist');
+
+    return {
+      blacklisted: matches.length > 0,
+      matches,
+      whitelisted,
+      reasons: matches.map(({ address, role, entry }) =>
+        `Blacklisted ${role} ${address}${entry.reason ? ` (${entry.reason})` : ''}`)
+    };
+  }
+
+  /**
+   * Blacklist the deployers of a token that rugged one of our positions
+   * @returns {Array} Entries added (whitelisted and already blacklisted deployers are skipped)
+   */
+  blacklistDeployers(deployers, reason) {
+    if (!this.autoBlacklistDeployers) return [];
+
+    const expiresAt = this.autoBlacklistDays ? Date.now() + this.autoBlacklistDays * 86400000 : null;
+
+    return deployers
+      .filter(address => !this.isWhitelisted(address) && !this.isBlacklisted(address))
+      .map(address => this.add({ address, list: 'blacklist', type: 'deployer', reason, expiresAt, source: 'auto' }));
+  }
+
+  /**
+   * Entries, newest first
+   * @param {Object} filter - { list, type, includeExpired }
+   */
+  list({ list = null, type = null, includeExpired = false } = {}) {
+    this.sync();
+
+    return [...this.entries.values(), ...this.configEntries.values()]
+      .filter(entry => (!list || entry.list === list) && (!type || entry.type === type))
+      .filter(entry => includeExpired || !isExpired(entry))
+      .sort((a, b) => (b.addedAt || 0) - (a.addedAt || 0));
+  }
+
+  /**
+   * Merge entries from a shared list; invalid rows are skipped
+   * @returns {Object} { added, updated, skipped, errors }
+   */
+  importEntries(entries, source = 'import') {
+    this.sync();
+
+    const result = { added: 0, updated: 0, skipped: 0, errors: [] };
+
+    for (const raw of entries) {
+      try {
+        const entry = validateEntry({ ...raw, source: raw.source || source, addedAt: raw.addedAt || Date.now() });
+        if (isExpired(entry)) {
+          result.skipped++;
+          continue;
+        }
+
+        result[this.entries.has(entry.address) ? 'updated' : 'added']++;
+        this.entries.set(entry.address, entry);
+      } catch (error) {
+        result.skipped++;
+        result.errors.push(`${raw.address || '(no address)'}: ${error.message}`);
+      }
+    }
+
+    this.save();
+    logger.info(`📒 Imported ${result.added} new and ${result.updated} updated registry entries (${result.skipped} skipped)`);
+
+    return result;
+  }
+
+  /**
+   * Active file entries (config entries stay in strategy.json)
+   */
+  exportEntries(filter = {}) {
+    return this.list(filter).filter(entry => entry.source !== 'config');
+  }
+
+  load() {
+    this.entries = new Map(database.read(COLLECTION).map(entry => [entry.address, entry]));
+    this.loadedMtimeMs = this.getFileMtime();
+  }
+
+  /**
+   * Reload when another process (the CLI) changed the file
+   */
+  sync() {
+    if (this.getFileMtime() > this.loadedMtimeMs) {
+      this.load();
+    }
+  }
+
+  save() {
+    // Expired entries are dropped on the next write
+    const active = Array.from(this.entries.values()).filter(entry => !isExpired(entry));
+    this.entries = new Map(active.map(entry => [entry.address, entry]));
+
+    database.write(COLLECTION, active);
+    this.loadedMtimeMs = this.getFileMtime();
+  }
+
+  getFileMtime() {
+    return fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : 0;
+  }
+
+  getStats() {
+    const entries = this.list();
+    const count = (list, type) => entries.filter(entry => entry.list === list && entry.type === type).length;
+
+    return Object.fromEntries(REGISTRY_LISTS.map(list => [list, Object.fromEntries(
+      REGISTRY_TYPES.map(type => [type, count(list, type)])
+    )]));
+  }
+}
+
+/**
+ * Normalize an entry, throwing on anything we can't store
+ */
+function validateEntry({ address, list, type, reason, expiresAt, source, addedAt }) {
+  if (!address) throw new Error('Missing address');
+  new PublicKey(address); // throws on invalid base58 / length
+
+  if (!REGISTRY_LISTS.includes(list)) throw new Error(`Unknown list "${list}" (${REGISTRY_LISTS.join(', ')})`);
+  if (!REGISTRY_TYPES.includes(type)) throw new Error(`Unknown type "${type}" (${REGISTRY_TYPES.join(', ')})`);
+
+  return {
+    address,
+    list,
+    type,
+    reason: reason || null,
+    source: source || 'manual',
+    addedAt: toTimestamp(addedAt),
+    expiresAt: toTimestamp(expiresAt)
+  };
+}
+
+function isExpired(entry) {
+  return entry.expiresAt !== null && entry.expiresAt !== undefined && entry.expiresAt <= Date.now();
+}
+
+/**
+ * Timestamps may come in as ms, numeric strings or ISO dates (CSV)
+ */
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) throw new Error(`Invalid date "${value}"`);
+  return parsed;
+}
+
+/**
+ * Entries as CSV (dates in ISO format)
+ */
+export function toCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+    const value = column === 'addedAt' || column === 'expiresAt'
+      ? (entry[column] ? new Date(entry[column]).toISOString() : '')
+      : (entry[column] ?? '');
+    return escapeCsv(String(value));
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Parse CSV with a header row (quoted fields may contain commas, quotes and line breaks)
+ */
+export function parseCsv(text) {
+  const rows = splitCsvRows(text).filter(row => row.some(value => value.trim()));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(column => column.trim());
+
+  return rows.slice(1).map(values =>
+    Object.fromEntries(header.map((column, index) => [column, values[index]?.trim() ?? '']))
+  );
+}
+
+function escapeCsv(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Rows of fields; line breaks only end a row outside quotes
+ */
+function splitCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(current);
+      current = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(current);
+      rows.push(row);
+      row = [];
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current || row.length > 0) {
+    row.push(current);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+export default AddressRegistry;
@@ -0,0 +1,79 @@
+import { PublicKey } from '@solana/web3.js';
+
+/**
+ * Borsh Reader
+ * Minimal little-endian reader for on-chain account and instruction data
+ */
+export class BorshReader {
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  remaining() {
+    return this.buffer.length - this.offset;
+  }
+
+  string() {
+    const length = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  publicKey() {
+    const value = new PublicKey(this.buffer.subarray(this.offset, this.offset + 32)).toBase58();
+    this.offset += 32;
+    return value;
+  }
+
+  u8() {
+    const value = this.buffer.readUInt8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  u16() {
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  u32() {
+    const value = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  i32() {
+    const value = this.buffer.readInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  u64() {
+    const value = this.buffer.readBigUInt64LE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  i64() {
+    const value = this.buffer.readBigInt64LE(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  u128() {
+    const low = this.buffer.readBigUInt64LE(this.offset);
+    const high = this.buffer.readBigUInt64LE(this.offset + 8);
+    this.offset += 16;
+    return (high << 64n) | low;
+  }
+
+  bool() {
+    const value = this.buffer.readUInt8(this.offset) !== 0;
+    this.offset += 1;
+    return value;
+  }
+}
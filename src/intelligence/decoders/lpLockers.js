@@ -0,0 +1,131 @@
+import { BorshReader } from './borshReader.js';
+
+/**
+ * LP Locker Decoders
+ * Burn destinations and token-lock programs used to lock LP tokens
+ *
+ * Each locker exposes the offset of the locked mint in its state accounts
+ * (for a getProgramAccounts memcmp filter) and a decoder returning
+ * { lockedAmount: bigint, unlockAt: unix seconds | null } or null when nothing is locked.
+ * unlockAt is null for permanent locks.
+ */
+
+// Tokens sent here can never be moved again
+export const INCINERATOR_ADDRESS = '1nc1nerator11111111111111111111111111111111';
+
+export const STREAMFLOW_PROGRAM_ID = 'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m';
+export const BONFIDA_VESTING_PROGRAM_ID = 'CChTq6PthWU82YZkbveA3WDf7s97BWhBK4Vx9bmsT743';
+export const RAYDIUM_LOCK_PROGRAM_ID = 'LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE';
+
+// Raydium Burn & Earn LockedCpLiquidityState: discriminator, locked_lp_amount, claimed_lp_amount,
+// unclaimed_lp_amount, last_lp, last_k (u128), recent_epoch, pool_id, fee_nft_mint, locked_owner, locked_lp_mint
+const RAYDIUM_CP_LOCK = {
+  discriminator: [25, 10, 238, 197, 207, 234, 73, 22],
+  lockedLpAmount: 8,
+  claimedLpAmount: 16,
+  lockedLpMint: 160
+};
+
+// Streamflow Contract layout (streamflow-js-sdk stream layout)
+const STREAMFLOW_OFFSETS = {
+  withdrawnAmount: 17,
+  canceledAt: 25,
+  endTime: 33,
+  mint: 177,
+  startTime: 409,
+  netAmountDeposited: 417,
+  cliff: 441
+};
+
+/**
+ * Streamflow stream / token lock
+ * Funds start releasing at the cliff (or start time when there is no cliff)
+ */
+export function decodeStreamflowLock(data) {
+  const buffer = Buffer.from(data);
+  if (buffer.length < STREAMFLOW_OFFSETS.cliff + 8) return null;
+
+  const read = (offset) => buffer.readBigUInt64LE(offset);
+
+  if (read(STREAMFLOW_OFFSETS.canceledAt) > 0n) return null;
+
+  const deposited = read(STREAMFLOW_OFFSETS.netAmountDeposited);
+  const withdrawn = read(STREAMFLOW_OFFSETS.withdrawnAmount);
+  if (deposited <= withdrawn) return null;
+
+  const cliff = Number(read(STREAMFLOW_OFFSETS.cliff));
+  const startTime = Number(read(STREAMFLOW_OFFSETS.startTime));
+  const endTime = Number(read(STREAMFLOW_OFFSETS.endTime));
+  if (endTime === 0) return null;
+
+  return {
+    lockedAmount: deposited - withdrawn,
+    unlockAt: Math.min(cliff || startTime || endTime, endTime)
+  };
+}
+
+/**
+ * Bonfida token vesting
+ * Header: destination, mint, is_initialized; then (release_time u64, amount u64) schedules.
+ * Released schedules are zeroed, so the remaining amounts are still locked.
+ */
+export function decodeBonfidaVesting(data) {
+  const buffer = Buffer.from(data);
+  const headerSize = 65;
+  if (buffer.length < headerSize || buffer.readUInt8(64) === 0) return null;
+
+  const reader = new BorshReader(buffer, headerSize);
+  let lockedAmount = 0n;
+  let unlockAt = null;
+
+  while (reader.remaining() >= 16) {
+    const releaseTime = Number(reader.u64());
+    const amount = reader.u64();
+    if (amount === 0n) continue;
+
+    lockedAmount += amount;
+    unlockAt = unlockAt === null ? releaseTime : Math.min(unlockAt, releaseTime);
+  }
+
+  return lockedAmount > 0n ? { lockedAmount, unlockAt } : null;
+}
+
+/**
+ * Raydium Burn & Earn (CPMM LP locked in exchange for a fee-claim NFT)
+ * Locks are permanent; fee claims take LP out of the lock, so only the unclaimed part stays locked.
+ */
+export function decodeRaydiumCpLock(data) {
+  const buffer = Buffer.from(data);
+  if (buffer.length < RAYDIUM_CP_LOCK.lockedLpMint + 32) return null;
+  if (!RAYDIUM_CP_LOCK.discriminator.every((byte, i) => buffer[i] === byte)) return null;
+
+  const locked = buffer.readBigUInt64LE(RAYDIUM_CP_LOCK.lockedLpAmount);
+  const claimed = buffer.readBigUInt64LE(RAYDIUM_CP_LOCK.claimedLpAmount);
+  if (locked <= claimed) return null;
+
+  return {
+    lockedAmount: locked - claimed,
+    unlockAt: null
+  };
+}
+
+export const LP_LOCKERS = [
+  {
+    name: 'streamflow',
+    programId: STREAMFLOW_PROGRAM_ID,
+    mintOffset: STREAMFLOW_OFFSETS.mint,
+    decode: decodeStreamflowLock
+  },
+  {
+    name: 'bonfida-vesting',
+    programId: BONFIDA_VESTING_PROGRAM_ID,
+    mintOffset: 32,
+    decode: decodeBonfidaVesting
+  },
+  {
+    name: 'raydium-burn-and-earn',
+    programId: RAYDIUM_LOCK_PROGRAM_ID,
+    mintOffset: RAYDIUM_CP_LOCK.lockedLpMint,
+    decode: decodeRaydiumCpLock
+  }
+];
@@ -0,0 +1,65 @@
+import { PublicKey } from '@solana/web3.js';
+import { BorshReader } from './borshReader.js';
+
+/**
+ * Metaplex Token Metadata Decoder
+ * Derives and decodes the metadata PDA of a mint (Metadata V1 account)
+ */
+
+export const METAPLEX_METADATA_PROGRAM_ID = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+
+// Account key discriminant for Metadata V1
+const METADATA_V1_KEY = 4;
+
+/**
+ * Metadata PDA: ["metadata", program id, mint]
+ */
+export function getMetadataAddress(mint) {
+  const programId = new PublicKey(METAPLEX_METADATA_PROGRAM_ID);
+  const [address] = PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), programId.toBuffer(), new PublicKey(mint).toBuffer()],
+    programId
+  );
+  return address;
+}
+
+/**
+ * Decode a Metadata V1 account
+ * Returns null when the data is not a metadata account
+ */
+export function decodeMetadata(data) {
+  const buffer = Buffer.from(data);
+  if (buffer.length < 1 || buffer.readUInt8(0) !== METADATA_V1_KEY) return null;
+
+  const reader = new BorshReader(buffer, 1);
+  const metadata = {
+    updateAuthority: reader.publicKey(),
+    mint: reader.publicKey(),
+    // Name, symbol and URI are stored in fixed-size, null-padded fields
+    name: stripPadding(reader.string()),
+    symbol: stripPadding(reader.string()),
+    uri: stripPadding(reader.string()),
+    sellerFeeBasisPoints: reader.u16(),
+    creators: []
+  };
+
+  if (reader.bool()) {
+    const count = reader.u32();
+    for (let i = 0; i < count; i++) {
+      metadata.creators.push({
+        address: reader.publicKey(),
+        verified: reader.bool(),
+        share: reader.u8()
+      });
+    }
+  }
+
+  metadata.primarySaleHappened = reader.bool();
+  metadata.isMutable = reader.bool();
+
+  return metadata;
+}
+
+function stripPadding(value) {
+  return value.replace(/\0/g, '').trim();
+}
@@ -0,0 +1,71 @@
+import { BorshReader } from './borshReader.js';
+import { findAnchorInstruction, hasInstructionLog } from './transactionUtils.js';
+
+/**
+ * Meteora DLMM Decoder
+ * Decodes the initialize_lb_pair instruction (liquidity book pair creation)
+ */
+
+export const METEORA_DLMM_PROGRAM_ID = 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo';
+
+// initialize_lb_pair data: discriminator, i32 active_id, u16 bin_step
+const INITIALIZE_LB_PAIR_LAYOUT = {
+  name: 'initializeLbPair',
+  discriminator: [45, 154, 237, 210, 221, 15, 166, 92],
+  minAccounts: 14
+};
+
+// Account order of initialize_lb_pair (dlmm-sdk idl)
+export const INITIALIZE_LB_PAIR_ACCOUNTS = {
+  lbPair: 0,
+  binArrayBitmapExtension: 1,
+  tokenMintX: 2,
+  tokenMintY: 3,
+  reserveX: 4,
+  reserveY: 5,
+  oracle: 6,
+  presetParameter: 7,
+  funder: 8
+};
+
+/**
+ * Check whether a log notification belongs to a pair creation
+ */
+export function isInitializeLbPairLog(logs) {
+  return hasInstructionLog(logs, ['InitializeLbPair']);
+}
+
+/**
+ * Decode pair identity and starting bin from a DLMM pair creation transaction
+ */
+export function decodeInitializeLbPair(tx) {
+  const instruction = findAnchorInstruction(tx, METEORA_DLMM_PROGRAM_ID, [INITIALIZE_LB_PAIR_LAYOUT]);
+  if (!instruction) return null;
+
+  const { accounts, data } = instruction;
+  const account = (name) => accounts[INITIALIZE_LB_PAIR_ACCOUNTS[name]];
+  const reader = new BorshReader(data, 8);
+
+  const activeId = reader.i32();
+  const binStep = reader.u16();
+
+  return {
+    poolId: account('lbPair'),
+    creator: account('funder'),
+    lpMint: null,
+    baseMint: account('tokenMintX'),
+    quoteMint: account('tokenMintY'),
+    baseVault: account('reserveX'),
+    quoteVault: account('reserveY'),
+    openTime: null,
+    activeId,
+    binStep
+  };
+}
+
+/**
+ * Raw (undecimalized) Y-per-X price of a bin
+ */
+export function binIdToPrice(activeId, binStep) {
+  return Math.pow(1 + binStep / 10000, activeId);
+}
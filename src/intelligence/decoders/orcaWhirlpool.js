@@ -0,0 +1,92 @@
+import { BorshReader } from './borshReader.js';
+import { findAnchorInstruction, hasInstructionLog } from './transactionUtils.js';
+
+/**
+ * Orca Whirlpool Decoder
+ * Decodes initialize_pool and initialize_pool_v2 instructions
+ */
+
+export const ORCA_WHIRLPOOL_PROGRAM_ID = 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc';
+
+// initialize_pool data: discriminator, u8 whirlpool_bump, u16 tick_spacing, u128 initial_sqrt_price
+const INITIALIZE_POOL_LAYOUT = {
+  name: 'initializePool',
+  discriminator: [95, 180, 10, 172, 84, 174, 232, 40],
+  minAccounts: 11
+};
+
+// initialize_pool_v2 data: discriminator, u16 tick_spacing, u128 initial_sqrt_price
+const INITIALIZE_POOL_V2_LAYOUT = {
+  name: 'initializePoolV2',
+  discriminator: [207, 45, 87, 242, 27, 63, 204, 67],
+  minAccounts: 14
+};
+
+// Account order per instruction (whirlpools programs/whirlpool/src/instructions)
+export const INITIALIZE_POOL_ACCOUNTS = {
+  initializePool: {
+    whirlpoolsConfig: 0,
+    tokenMintA: 1,
+    tokenMintB: 2,
+    funder: 3,
+    whirlpool: 4,
+    tokenVaultA: 5,
+    tokenVaultB: 6,
+    feeTier: 7
+  },
+  initializePoolV2: {
+    whirlpoolsConfig: 0,
+    tokenMintA: 1,
+    tokenMintB: 2,
+    tokenBadgeA: 3,
+    tokenBadgeB: 4,
+    funder: 5,
+    whirlpool: 6,
+    tokenVaultA: 7,
+    tokenVaultB: 8,
+    feeTier: 9
+  }
+};
+
+/**
+ * Check whether a log notification belongs to a pool creation
+ */
+export function isInitializePoolLog(logs) {
+  return hasInstructionLog(logs, ['InitializePool', 'InitializePoolV2']);
+}
+
+/**
+ * Decode pool identity and initial price from a Whirlpool creation transaction
+ */
+export function decodeInitializePool(tx) {
+  const instruction = findAnchorInstruction(tx, ORCA_WHIRLPOOL_PROGRAM_ID, [
+    INITIALIZE_POOL_LAYOUT,
+    INITIALIZE_POOL_V2_LAYOUT
+  ]);
+  if (!instruction) return null;
+
+  const { name, accounts, data } = instruction;
+  const layout = INITIALIZE_POOL_ACCOUNTS[name];
+  const account = (key) => accounts[layout[key]];
+  const reader = new BorshReader(data, 8);
+
+  if (name === 'initializePool') {
+    reader.u8(); // whirlpool bump
+  }
+  const tickSpacing = reader.u16();
+  const initialSqrtPrice = reader.u128();
+
+  return {
+    poolId: account('whirlpool'),
+    whirlpoolsConfig: account('whirlpoolsConfig'),
+    creator: account('funder'),
+    lpMint: null,
+    baseMint: account('tokenMintA'),
+    quoteMint: account('tokenMintB'),
+    baseVault: account('tokenVaultA'),
+    quoteVault: account('tokenVaultB'),
+    openTime: null,
+    tickSpacing,
+    sqrtPriceX64: initialSqrtPrice.toString()
+  };
+}
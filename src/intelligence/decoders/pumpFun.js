@@ -0,0 +1,116 @@
+import { BorshReader } from './borshReader.js';
+
+/**
+ * Pump.fun Decoder
+ * Decodes create events from program logs and bonding-curve account state
+ */
+
+export const PUMP_FUN_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+// Anchor discriminators: sha256("event:CreateEvent") / sha256("account:BondingCurve"), first 8 bytes
+const CREATE_EVENT_DISCRIMINATOR = Buffer.from([27, 114, 169, 77, 222, 235, 99, 118]);
+const BONDING_CURVE_DISCRIMINATOR = Buffer.from([23, 183, 248, 55, 96, 216, 172, 96]);
+
+// Real token reserves every curve starts with (793.1M tokens, 6 decimals)
+const INITIAL_REAL_TOKEN_RESERVES = 793100000000000n;
+
+export const PUMP_FUN_TOKEN_DECIMALS = 6;
+
+/**
+ * Check whether a log notification belongs to a token launch
+ */
+export function isCreateLog(logs) {
+  return Array.isArray(logs) && logs.some(line => line === 'Program log: Instruction: Create');
+}
+
+/**
+ * Decode the CreateEvent emitted in "Program data:" log lines
+ * Returns null when the logs carry no create event
+ */
+export function decodeCreateEvent(logs) {
+  for (const line of logs || []) {
+    if (!line.startsWith('Program data: ')) continue;
+
+    const data = Buffer.from(line.slice('Program data: '.length), 'base64');
+    if (data.length < 8 || !data.subarray(0, 8).equals(CREATE_EVENT_DISCRIMINATOR)) continue;
+
+    const reader = new BorshReader(data, 8);
+    const event = {
+      name: reader.string(),
+      symbol: reader.string(),
+      uri: reader.string(),
+      mint: reader.publicKey(),
+      bondingCurve: reader.publicKey(),
+      user: reader.publicKey()
+    };
+
+    // Newer program versions append the creator and launch timestamp
+    if (reader.remaining() >= 40) {
+      event.creator = reader.publicKey();
+      event.timestamp = Number(reader.i64());
+    }
+
+    return event;
+  }
+
+  return null;
+}
+
+/**
+ * Decode bonding-curve account data
+ */
+export function decodeBondingCurve(data) {
+  const buffer = Buffer.from(data);
+
+  if (buffer.length < 49 || !buffer.subarray(0, 8).equals(BONDING_CURVE_DISCRIMINATOR)) {
+    return null;
+  }
+
+  const reader = new BorshReader(buffer, 8);
+  const curve = {
+    virtualTokenReserves: reader.u64(),
+    virtualSolReserves: reader.u64(),
+    realTokenReserves: reader.u64(),
+    realSolReserves: reader.u64(),
+    tokenTotalSupply: reader.u64(),
+    complete: reader.bool()
+  };
+
+  if (reader.remaining() >= 32) {
+    curve.creator = reader.publicKey();
+  }
+
+  return {
+    ...curve,
+    virtualTokenReserves: curve.virtualTokenReserves.toString(),
+    virtualSolReserves: curve.virtualSolReserves.toString(),
+    realTokenReserves: curve.realTokenReserves.toString(),
+    realSolReserves: curve.realSolReserves.toString(),
+    tokenTotalSupply: curve.tokenTotalSupply.toString(),
+    realSol: Number(curve.realSolReserves) / 1e9,
+    priceSol: calculateCurvePrice(curve),
+    progressPercent: calculateCurveProgress(curve)
+  };
+}
+
+/**
+ * Percentage of the curve's sellable supply that has been bought (100 = ready to migrate)
+ */
+export function calculateCurveProgress(curve) {
+  if (curve.complete) return 100;
+
+  const remaining = BigInt(curve.realTokenReserves);
+  if (remaining >= INITIAL_REAL_TOKEN_RESERVES) return 0;
+
+  const sold = INITIAL_REAL_TOKEN_RESERVES - remaining;
+  return Number((sold * 10000n) / INITIAL_REAL_TOKEN_RESERVES) / 100;
+}
+
+/**
+ * Spot price in SOL per token from virtual reserves
+ */
+export function calculateCurvePrice(curve) {
+  const virtualTokens = Number(curve.virtualTokenReserves) / Math.pow(10, PUMP_FUN_TOKEN_DECIMALS);
+  const virtualSol = Number(curve.virtualSolReserves) / 1e9;
+  return virtualTokens > 0 ? virtualSol / virtualTokens : 0;
+}
@@ -0,0 +1,168 @@
+import bs58 from 'bs58';
+import { PublicKey } from '@solana/web3.js';
+import { WSOL_MINT, getAllInstructions, getTokenBalance, getMintDecimals } from './transactionUtils.js';
+
+/**
+ * Raydium AMM v4 Decoder
+ * Decodes the initialize2 instruction (pool creation) and its account layout
+ */
+
+export const RAYDIUM_AMM_V4_PROGRAM_ID = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+
+// initialize2 data: u8 tag, u8 nonce, u64 open_time, u64 init_pc_amount, u64 init_coin_amount
+const INITIALIZE2_TAG = 1;
+const INITIALIZE2_DATA_LENGTH = 26;
+
+// Account order of initialize2 (raydium-amm program/src/instruction.rs)
+export const INITIALIZE2_ACCOUNTS = {
+  tokenProgram: 0,
+  associatedTokenProgram: 1,
+  systemProgram: 2,
+  rent: 3,
+  amm: 4,
+  ammAuthority: 5,
+  ammOpenOrders: 6,
+  lpMint: 7,
+  coinMint: 8,
+  pcMint: 9,
+  poolCoinTokenAccount: 10,
+  poolPcTokenAccount: 11,
+  poolWithdrawQueue: 12,
+  ammTargetOrders: 13,
+  poolTempLp: 14,
+  serumProgram: 15,
+  serumMarket: 16,
+  userWallet: 17,
+  userTokenCoin: 18,
+  userTokenPc: 19,
+  userLpTokenAccount: 20
+};
+
+const INITIALIZE2_ACCOUNT_COUNT = 21;
+
+/**
+ * Check whether a log notification belongs to a pool creation
+ */
+export function isInitialize2Log(logs) {
+  return Array.isArray(logs) && logs.some(line => line.includes('initialize2'));
+}
+
+/**
+ * Decode initialize2 instruction data (base58 string or Buffer)
+ */
+export function decodeInitialize2Data(data) {
+  const buffer = typeof data === 'string' ? Buffer.from(bs58.decode(data)) : Buffer.from(data);
+
+  if (buffer.length < INITIALIZE2_DATA_LENGTH || buffer.readUInt8(0) !== INITIALIZE2_TAG) {
+    return null;
+  }
+
+  return {
+    nonce: buffer.readUInt8(1),
+    openTime: buffer.readBigUInt64LE(2),
+    initPcAmount: buffer.readBigUInt64LE(10),
+    initCoinAmount: buffer.readBigUInt64LE(18)
+  };
+}
+
+/**
+ * Find the initialize2 instruction in a parsed transaction
+ * Looks at top-level instructions first, then inner instructions (pool created via CPI)
+ */
+export function findInitialize2Instruction(tx) {
+  for (const ix of getAllInstructions(tx)) {
+    if (ix.programId?.toString() !== RAYDIUM_AMM_V4_PROGRAM_ID) continue;
+    if (!ix.data || !ix.accounts || ix.accounts.length < INITIALIZE2_ACCOUNT_COUNT) continue;
+
+    const decoded = decodeInitialize2Data(ix.data);
+    if (decoded) {
+      return {
+        accounts: ix.accounts.map(account => account.toString()),
+        data: decoded
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode pool identity and initial reserves from a pool creation transaction
+ * Returns null when the transaction has no initialize2 instruction
+ */
+export function decodeInitialize2(tx) {
+  const instruction = findInitialize2Instruction(tx);
+  if (!instruction) return null;
+
+  const { accounts, data } = instruction;
+  const account = (name) => accounts[INITIALIZE2_ACCOUNTS[name]];
+
+  const baseMint = account('coinMint');
+  const quoteMint = account('pcMint');
+  const baseVault = account('poolCoinTokenAccount');
+  const quoteVault = account('poolPcTokenAccount');
+
+  const baseDecimals = getVaultDecimals(tx, baseVault, baseMint);
+  const quoteDecimals = getVaultDecimals(tx, quoteVault, quoteMint);
+
+  return {
+    ammId: account('amm'),
+    ammAuthority: account('ammAuthority'),
+    openOrders: account('ammOpenOrders'),
+    marketId: account('serumMarket'),
+    creator: account('userWallet'),
+    lpMint: account('lpMint'),
+    baseMint,
+    quoteMint,
+    baseVault,
+    quoteVault,
+    nonce: data.nonce,
+    openTime: Number(data.openTime),
+    initialReserves: {
+      base: data.initCoinAmount.toString(),
+      quote: data.initPcAmount.toString(),
+      baseDecimals,
+      quoteDecimals,
+      baseUi: toUiAmount(data.initCoinAmount, baseDecimals),
+      quoteUi: toUiAmount(data.initPcAmount, quoteDecimals)
+    }
+  };
+}
+
+/**
+ * Resolve vault decimals from the transaction's token balances
+ */
+function getVaultDecimals(tx, vault, mint) {
+  const vaultBalance = getTokenBalance(tx, vault);
+  if (vaultBalance) return vaultBalance.decimals;
+
+  const mintDecimals = getMintDecimals(tx, mint);
+  if (mintDecimals !== null) return mintDecimals;
+
+  return mint === WSOL_MINT ? 9 : null;
+}
+
+function toUiAmount(rawAmount, decimals) {
+  if (decimals === null || decimals === undefined) return null;
+  return Number(rawAmount) / Math.pow(10, decimals);
+}
+
+// AmmInfo account offsets (raydium-amm program/src/state.rs)
+const AMM_INFO_LP_MINT_OFFSET = 464;
+const AMM_INFO_LP_RESERVE_OFFSET = 720;
+const AMM_INFO_SIZE = 752;
+
+/**
+ * Decode the LP supply tracked by an AmmInfo account
+ * lp_reserve only moves on deposit/withdraw, so LP burned straight through
+ * the token program shows up as lp_reserve minus the LP mint's supply
+ */
+export function decodeAmmLpReserve(data) {
+  const buffer = Buffer.from(data);
+  if (buffer.length < AMM_INFO_SIZE) return null;
+
+  return {
+    lpMint: new PublicKey(buffer.subarray(AMM_INFO_LP_MINT_OFFSET, AMM_INFO_LP_MINT_OFFSET + 32)).toBase58(),
+    lpReserve: buffer.readBigUInt64LE(AMM_INFO_LP_RESERVE_OFFSET)
+  };
+}
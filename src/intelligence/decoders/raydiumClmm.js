@@ -0,0 +1,73 @@
+import { BorshReader } from './borshReader.js';
+import { findAnchorInstruction, hasInstructionLog } from './transactionUtils.js';
+
+/**
+ * Raydium CLMM Decoder
+ * Decodes the concentrated-liquidity create_pool instruction
+ */
+
+export const RAYDIUM_CLMM_PROGRAM_ID = 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK';
+
+// create_pool data: discriminator, u128 sqrt_price_x64, u64 open_time
+const CREATE_POOL_LAYOUT = {
+  name: 'createPool',
+  discriminator: [233, 146, 209, 142, 207, 104, 64, 188],
+  minAccounts: 13
+};
+
+// Account order of create_pool (raydium-clmm programs/amm/src/instructions/create_pool.rs)
+export const CREATE_POOL_ACCOUNTS = {
+  poolCreator: 0,
+  ammConfig: 1,
+  poolState: 2,
+  tokenMint0: 3,
+  tokenMint1: 4,
+  tokenVault0: 5,
+  tokenVault1: 6,
+  observationState: 7,
+  tickArrayBitmap: 8
+};
+
+/**
+ * Check whether a log notification belongs to a pool creation
+ */
+export function isCreatePoolLog(logs) {
+  return hasInstructionLog(logs, ['CreatePool']);
+}
+
+/**
+ * Decode pool identity and initial price from a CLMM pool creation transaction
+ * Liquidity is added by separate open-position instructions, often in the same transaction
+ */
+export function decodeCreatePool(tx) {
+  const instruction = findAnchorInstruction(tx, RAYDIUM_CLMM_PROGRAM_ID, [CREATE_POOL_LAYOUT]);
+  if (!instruction) return null;
+
+  const { accounts, data } = instruction;
+  const account = (name) => accounts[CREATE_POOL_ACCOUNTS[name]];
+  const reader = new BorshReader(data, 8);
+
+  const sqrtPriceX64 = reader.u128();
+  const openTime = reader.u64();
+
+  return {
+    poolId: account('poolState'),
+    ammConfig: account('ammConfig'),
+    creator: account('poolCreator'),
+    lpMint: null,
+    baseMint: account('tokenMint0'),
+    quoteMint: account('tokenMint1'),
+    baseVault: account('tokenVault0'),
+    quoteVault: account('tokenVault1'),
+    openTime: Number(openTime),
+    sqrtPriceX64: sqrtPriceX64.toString()
+  };
+}
+
+/**
+ * Convert a Q64.64 square-root price to a raw (undecimalized) token1-per-token0 price
+ */
+export function sqrtPriceX64ToPrice(sqrtPriceX64) {
+  const sqrtPrice = Number(BigInt(sqrtPriceX64)) / Math.pow(2, 64);
+  return sqrtPrice * sqrtPrice;
+}
@@ -0,0 +1,100 @@
+import { BorshReader } from './borshReader.js';
+import { findAnchorInstruction, hasInstructionLog } from './transactionUtils.js';
+
+/**
+ * Raydium CPMM Decoder
+ * Decodes the constant-product (CPMM) initialize instruction
+ */
+
+export const RAYDIUM_CPMM_PROGRAM_ID = 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C';
+
+// initialize data: discriminator, u64 init_amount_0, u64 init_amount_1, u64 open_time
+const INITIALIZE_LAYOUT = {
+  name: 'initialize',
+  discriminator: [175, 175, 109, 31, 13, 152, 155, 237],
+  minAccounts: 20
+};
+
+// Account order of initialize (raydium-cp-swap programs/cp-swap/src/instructions/initialize.rs)
+export const INITIALIZE_ACCOUNTS = {
+  creator: 0,
+  ammConfig: 1,
+  authority: 2,
+  poolState: 3,
+  token0Mint: 4,
+  token1Mint: 5,
+  lpMint: 6,
+  creatorToken0: 7,
+  creatorToken1: 8,
+  creatorLpToken: 9,
+  token0Vault: 10,
+  token1Vault: 11,
+  createPoolFee: 12,
+  observationState: 13
+};
+
+/**
+ * Check whether a log notification belongs to a pool creation
+ */
+export function isInitializeLog(logs) {
+  return hasInstructionLog(logs, ['Initialize']);
+}
+
+/**
+ * Decode pool identity and deposited amounts from a CPMM pool creation transaction
+ */
+export function decodeInitialize(tx) {
+  const instruction = findAnchorInstruction(tx, RAYDIUM_CPMM_PROGRAM_ID, [INITIALIZE_LAYOUT]);
+  if (!instruction) return null;
+
+  const { accounts, data } = instruction;
+  const account = (name) => accounts[INITIALIZE_ACCOUNTS[name]];
+  const reader = new BorshReader(data, 8);
+
+  const initAmount0 = reader.u64();
+  const initAmount1 = reader.u64();
+  const openTime = reader.u64();
+
+  return {
+    poolId: account('poolState'),
+    ammConfig: account('ammConfig'),
+    authority: account('authority'),
+    creator: account('creator'),
+    lpMint: account('lpMint'),
+    baseMint: account('token0Mint'),
+    quoteMint: account('token1Mint'),
+    baseVault: account('token0Vault'),
+    quoteVault: account('token1Vault'),
+    openTime: Number(openTime),
+    initialAmounts: {
+      base: initAmount0.toString(),
+      quote: initAmount1.toString()
+    }
+  };
+}
+
+// PoolState account (raydium-cp-swap programs/cp-swap/src/states/pool.rs), after the 8-byte discriminator:
+// amm_config, pool_creator, token_0_vault, token_1_vault, lp_mint, token_0_mint, token_1_mint,
+// token_0_program, token_1_program, observation_key, auth_bump, status, lp_mint_decimals,
+// mint_0_decimals, mint_1_decimals, lp_supply, ...
+const POOL_STATE_DISCRIMINATOR = [247, 237, 227, 245, 215, 195, 222, 70];
+
+/**
+ * Decode the LP supply tracked by a CPMM PoolState account
+ * lp_supply only moves on deposit/withdraw, so burned LP shows up as lp_supply minus the LP mint's supply
+ */
+export function decodePoolLpSupply(data) {
+  const buffer = Buffer.from(data);
+  if (buffer.length < 341 || !buffer.subarray(0, 8).equals(Buffer.from(POOL_STATE_DISCRIMINATOR))) {
+    return null;
+  }
+
+  const reader = new BorshReader(buffer, 8 + 32 * 4);
+  const lpMint = reader.publicKey();
+
+  reader.offset = 8 + 32 * 10 + 5;
+  return {
+    lpMint,
+    lpSupply: reader.u64()
+  };
+}
@@ -0,0 +1,33 @@
+import { PublicKey } from '@solana/web3.js';
+import { BorshReader } from './borshReader.js';
+
+/**
+ * Token-2022 Metadata Extension Decoder
+ * Decodes the TokenMetadata TLV entry stored on the mint itself
+ */
+
+/**
+ * Decode TokenMetadata extension data
+ * Layout: update_authority (zeroed = none), mint, name, symbol, uri, additional_metadata
+ */
+export function decodeTokenMetadataExtension(data) {
+  const reader = new BorshReader(Buffer.from(data), 0);
+
+  const updateAuthority = reader.publicKey();
+  const metadata = {
+    updateAuthority: updateAuthority === PublicKey.default.toString() ? null : updateAuthority,
+    mint: reader.publicKey(),
+    name: reader.string(),
+    symbol: reader.string(),
+    uri: reader.string(),
+    additionalMetadata: {}
+  };
+
+  const count = reader.u32();
+  for (let i = 0; i < count; i++) {
+    const key = reader.string();
+    metadata.additionalMetadata[key] = reader.string();
+  }
+
+  return metadata;
+}
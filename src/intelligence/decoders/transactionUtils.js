@@ -0,0 +1,85 @@
+import bs58 from 'bs58';
+
+/**
+ * Transaction Utilities
+ * Shared helpers for locating instructions and token balances in parsed transactions
+ */
+
+export const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * All instructions of a parsed transaction: top-level first, then inner (CPI) instructions
+ */
+export function getAllInstructions(tx) {
+  const topLevel = tx.transaction?.message?.instructions || [];
+  const inner = (tx.meta?.innerInstructions || []).flatMap(group => group.instructions);
+  return [...topLevel, ...inner];
+}
+
+/**
+ * Find an Anchor instruction by its 8-byte discriminator
+ * @param {Object} tx - Parsed transaction
+ * @param {string} programId - Program that owns the instruction
+ * @param {Array} layouts - [{ name, discriminator: number[], minAccounts }]
+ * @returns {Object|null} { name, accounts: string[], data: Buffer }
+ */
+export function findAnchorInstruction(tx, programId, layouts) {
+  for (const ix of getAllInstructions(tx)) {
+    if (ix.programId?.toString() !== programId || !ix.data || !ix.accounts) continue;
+
+    const data = Buffer.from(bs58.decode(ix.data));
+    if (data.length < 8) continue;
+
+    const layout = layouts.find(l =>
+      data.subarray(0, 8).equals(Buffer.from(l.discriminator)) &&
+      ix.accounts.length >= l.minAccounts
+    );
+
+    if (layout) {
+      return {
+        name: layout.name,
+        accounts: ix.accounts.map(account => account.toString()),
+        data
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Post-transaction token balance of an account (falls back to the pre balance)
+ * @returns {Object|null} { mint, amount, uiAmount, decimals }
+ */
+export function getTokenBalance(tx, address) {
+  const accountKeys = tx.transaction?.message?.accountKeys || [];
+  const balances = [...(tx.meta?.postTokenBalances || []), ...(tx.meta?.preTokenBalances || [])];
+
+  const balance = balances.find(b => accountKeys[b.accountIndex]?.pubkey?.toString() === address);
+  if (!balance) return null;
+
+  return {
+    mint: balance.mint,
+    amount: balance.uiTokenAmount.amount,
+    uiAmount: balance.uiTokenAmount.uiAmount || 0,
+    decimals: balance.uiTokenAmount.decimals
+  };
+}
+
+/**
+ * Decimals of a mint as seen in any token balance of the transaction
+ */
+export function getMintDecimals(tx, mint) {
+  const balances = [...(tx.meta?.postTokenBalances || []), ...(tx.meta?.preTokenBalances || [])];
+  const balance = balances.find(b => b.mint === mint);
+  return balance ? balance.uiTokenAmount.decimals : null;
+}
+
+/**
+ * Check whether a log notification contains an exact "Instruction: <name>" line
+ */
+export function hasInstructionLog(logs, names) {
+  if (!Array.isArray(logs)) return false;
+  const lines = names.map(name => `Program log: Instruction: ${name}`);
+  return logs.some(line => lines.includes(line));
+}
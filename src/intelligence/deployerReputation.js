@@ -0,0 +1,513 @@
+import fs from 'fs';
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { AccountLayout, MintLayout } from '@solana/spl-token';
+import { logger } from '../utils/logger.js';
+import database from '../utils/database.js';
+import { WSOL_MINT } from './decoders/transactionUtils.js';
+import { decodeBondingCurve } from './decoders/pumpFun.js';
+
+/**
+ * Deployer Reputation
+ * Persistent per-wallet launch history (data/deployers.json). Every discovered
+ * token is attributed to its pool creator and mint deployer; launches are then
+ * watched for rugWindowMinutes and marked RUGGED when the LP is pulled, or
+ * SURVIVED when the window passes (or the bonding curve graduates).
+ *
+ * Pulled LP means the LP mint supply fell rugLpWithdrawPercent below its peak
+ * with the SOL vault draining along with it (burned LP shrinks the supply too
+ * but leaves the SOL in the pool). A sell-off alone never counts: only pools
+ * without an LP mint (bonding curves, concentrated liquidity) fall back to the
+ * SOL liquidity dropping rugLiquidityDropPercent below its peak.
+ *
+ * Flags set from the CLI (deployer-reputation.js) are picked up because the
+ * history is re-read whenever the file changes on disk. Every write re-reads
+ * the file right before saving, with no await in between, so a flag set while
+ * an RPC call was in flight is never overwritten.
+ */
+
+const COLLECTION = 'deployers';
+// Accounts per getMultipleAccountsInfo call (RPC limit)
+const ACCOUNTS_PER_REQUEST = 100;
+// Fields of a launch the rug check owns; everything else is left as found on disk
+const LAUNCH_STATUS_FIELDS = ['status', 'endedAt', 'peakLiquidity', 'lastLiquidity', 'peakLpSupply', 'lastLpSupply', 'lastCheckedAt'];
+
+export class DeployerReputation {
+  constructor(connection, config = {}) {
+    const options = config.deployerReputation || {};
+
+    this.connection = connection;
+    this.enabled = options.enabled !== false;
+    this.rugWindowMs = (options.rugWindowMinutes || 60) * 60000;
+    this.rugLpWithdrawPercent = options.rugLpWithdrawPercent || 50;
+    this.rugLiquidityDropPercent = options.rugLiquidityDropPercent || 80;
+    this.minPeakLiquiditySol = options.minPeakLiquiditySol ?? 1;
+    this.checkIntervalMs = options.checkIntervalMs || 60000;
+    this.maxRiskScore = options.maxRiskScore ?? 70;
+    this.warnRiskScore = options.warnRiskScore ?? 40;
+    this.rejectAfterRugs = options.rejectAfterRugs ?? 2;
+    this.serialLaunchCount = options.serialLaunchCount ?? 5;
+    this.maxLaunchesPerDeployer = options.maxLaunchesPerDeployer || 100;
+
+    this.filePath = database.getFilePath(COLLECTION);
+    this.deployers = new Map();
+    this.loadedMtimeMs = 0;
+    this.monitorInterval = null;
+
+    this.load();
+  }
+
+  /**
+   * Start watching active launches for rugs
+   */
+  start() {
+    if (!this.enabled || this.monitorInterval) return;
+
+    this.monitorInterval = setInterval(() => {
+      this.checkActiveLaunches().catch(error => logger.error('Deployer launch check failed:', error));
+    }, this.checkIntervalMs);
+
+    logger.info(`👤 Deployer reputation tracking ${this.deployers.size} deployers`);
+  }
+
+  stop() {
+    if (this.monitorInterval) {
+      clearInterval(this.monitorInterval);
+      this.monitorInterval = null;
+    }
+  }
+
+  /**
+   * Attribute a discovered token to its deployer wallets and start tracking it
+   * @returns {Array<string>} Deployer wallets (pool creator and mint deployer)
+   */
+  async recordLaunch(tokenInfo) {
+    const mintDeployer = await this.findMintDeployer(tokenInfo.tokenMint);
+    const deployers = [...new Set([tokenInfo.creator, mintDeployer].filter(Boolean))];
+
+    if (!this.enabled || deployers.length === 0) return deployers;
+
+    const launch = {
+      tokenMint: tokenInfo.tokenMint,
+      symbol: tokenInfo.symbol || null,
+      poolId: tokenInfo.poolId || null,
+      dex: tokenInfo.dex || tokenInfo.launchpad || null,
+      liquidityAccount: getLiquidityAccount(tokenInfo),
+      lpMint: tokenInfo.lpMint || null,
+      peakLpSupply: null,
+      launchedAt: tokenInfo.blockTime ? tokenInfo.blockTime * 1000 : Date.now(),
+      initialLiquidity: tokenInfo.liquidity || 0,
+      peakLiquidity: tokenInfo.liquidity || 0,
+      lastLiquidity: tokenInfo.liquidity || 0,
+      status: 'ACTIVE',
+      endedAt: null
+    };
+
+    if (!launch.liquidityAccount) {
+      launch.status = 'UNTRACKED';
+    }
+
+    this.update(() => {
+      for (const address of deployers) {
+        const record = this.getOrCreate(address);
+        if (record.launches.some(existing => existing.tokenMint === launch.tokenMint)) continue;
+
+        record.launches.push({ ...launch });
+        record.launches = record.launches.slice(-this.maxLaunchesPerDeployer);
+        record.lastLaunchAt = launch.launchedAt;
+      }
+    });
+
+    return deployers;
+  }
+
+  /**
+   * Wallet that paid for the mint's first transaction (the mint initialization)
+   * Only resolved for fresh mints whose whole history fits in one page
+   */
+  async findMintDeployer(tokenMint) {
+    try {
+      const signatures = await this.connection.getSignaturesForAddress(new PublicKey(tokenMint), { limit: 1000 });
+      if (signatures.length === 0 || signatures.length === 1000) return null;
+
+      const oldest = signatures[signatures.length - 1];
+      const tx = await this.connection.getParsedTransaction(oldest.signature, {
+        maxSupportedTransactionVersion: 0
+      });
+
+      const feePayer = tx?.transaction.message.accountKeys[0];
+      return feePayer ? feePayer.pubkey.toBase58() : null;
+
+    } catch (error) {
+      logger.debug(`Could not resolve mint deployer for ${tokenMint}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Risk assessment for a set of deployer wallets (the riskiest one wins)
+   * @returns {Object} { riskScore (0-100), reject, reasons, deployers: [...] }
+   */
+  assess(addresses = []) {
+    this.sync();
+
+    const deployers = addresses.filter(Boolean).map(address => this.getReputation(address));
+    if (deployers.length === 0) {
+      return { riskScore: 0, reject: false, known: false, reasons: [], deployers };
+    }
+
+    const worst = deployers.reduce((a, b) => (b.riskScore > a.riskScore ? b : a));
+
+    return {
+      riskScore: worst.riskScore,
+      reject: deployers.some(deployer => deployer.reject),
+      known: deployers.some(deployer => deployer.launched > 1 || deployer.flagged),
+      reasons: deployers.flatMap(deployer => deployer.reasons),
+      deployers
+    };
+  }
+
+  /**
+   * History and risk score for one deployer
+   */
+  getReputation(address) {
+    const record = this.deployers.get(address);
+    const launches = record?.launches || [];
+
+    const rugged = launches.filter(launch => launch.status === 'RUGGED');
+    const resolved = launches.filter(launch => launch.status === 'RUGGED' || launch.status === 'SURVIVED');
+    const dayAgo = Date.now() - 86400000;
+    const launchesLast24h = launches.filter(launch => launch.launchedAt >= dayAgo).length;
+
+    // Lifetime = time until the rug, or time alive so far
+    const lifetimes = launches
+      .filter(launch => launch.status !== 'UNTRACKED')
+      .map(launch => (launch.endedAt && launch.status === 'RUGGED' ? launch.endedAt : Date.now()) - launch.launchedAt);
+
+    const reasons = [];
+    let riskScore = 0;
+
+    if (resolved.length > 0) {
+      // Confidence grows with the number of finished launches
+      const confidence = Math.min(resolved.length / 2, 1);
+      riskScore = (rugged.length / resolved.length) * 100 * confidence;
+    }
+
+    if (rugged.length > 0) {
+      reasons.push(`${rugged.length}/${resolved.length} previous launches rugged`);
+    }
+
+    if (launchesLast24h >= this.serialLaunchCount) {
+      riskScore += 20;
+      reasons.push(`${launchesLast24h} launches in 24h`);
+    }
+
+    if (record?.flagged) {
+      riskScore = 100;
+      reasons.push(`Manually flagged${record.flagReason ? `: ${record.flagReason}` : ''}`);
+    }
+
+    riskScore = Math.min(Math.round(riskScore), 100);
+
+    return {
+      address,
+      launched: launches.length,
+      rugged: rugged.length,
+      survived: resolved.length - rugged.length,
+      active: launches.filter(launch => launch.status === 'ACTIVE').length,
+      launchesLast24h,
+      avgLifetimeMs: lifetimes.length > 0 ? Math.round(lifetimes.reduce((a, b) => a + b, 0) / lifetimes.length) : null,
+      flagged: record?.flagged || false,
+      flagReason: record?.flagReason || null,
+      riskScore,
+      reject: riskScore >= this.maxRiskScore || (this.rejectAfterRugs > 0 && rugged.length >= this.rejectAfterRugs),
+      reasons
+    };
+  }
+
+  /**
+   * Re-check liquidity for launches still inside their rug window
+   * (vaults, bonding curves and LP mints read in batched account fetches)
+   */
+  async checkActiveLaunches() {
+    this.sync();
+
+    const now = Date.now();
+    const active = new Map();
+
+    // The same launch can sit under both the pool creator and the mint deployer
+    for (const record of this.deployers.values()) {
+      for (const launch of record.launches) {
+        if (launch.status === 'ACTIVE' && !active.has(launch.tokenMint)) {
+          active.set(launch.tokenMint, { ...launch });
+        }
+      }
+    }
+
+    if (active.size === 0) return;
+
+    const launches = Array.from(active.values());
+    const addresses = launches.flatMap(launch => [launch.liquidityAccount.address, launch.lpMint].filter(Boolean));
+    const accounts = await this.getAccounts(addresses);
+
+    const updates = new Map();
+    for (const launch of launches) {
+      const liquidity = readLiquidity(launch.liquidityAccount, accounts.get(launch.liquidityAccount.address));
+      const lpSupply = launch.lpMint ? readSupply(accounts.get(launch.lpMint)) : null;
+
+      if (liquidity === undefined || lpSupply === undefined) {
+        logger.debug(`Liquidity check failed for ${launch.tokenMint}: account not readable`);
+        continue;
+      }
+
+      // Graduated bonding curve - liquidity moved to an AMM, not pulled
+      const update = liquidity === null
+        ? { status: 'SURVIVED', endedAt: now, lastCheckedAt: now }
+        : this.evaluateLaunch(launch, liquidity, now, lpSupply);
+      updates.set(launch.tokenMint, update);
+
+      if (update.status === 'RUGGED') {
+        const lpWithdrawn = update.peakLpSupply ? `, ${percentDrop(BigInt(update.peakLpSupply), lpSupply).toFixed(0)}% of LP withdrawn` : '';
+        logger.warn(`🚩 Launch ${launch.symbol || launch.tokenMint} rugged after ${Math.round((update.endedAt - launch.launchedAt) / 60000)} min (liquidity ${liquidity.toFixed(2)} SOL, peak ${update.peakLiquidity.toFixed(2)} SOL${lpWithdrawn})`);
+      }
+    }
+
+    if (updates.size === 0) return;
+
+    // Apply onto the history as it is on disk now, touching only the launch status
+    this.update(() => {
+      for (const record of this.deployers.values()) {
+        for (const launch of record.launches) {
+          const update = updates.get(launch.tokenMint);
+          if (!update || launch.status !== 'ACTIVE') continue;
+
+          for (const field of LAUNCH_STATUS_FIELDS) {
+            if (field in update) launch[field] = update[field];
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Next state of a launch given its current SOL liquidity and LP supply
+   * @param {bigint|null} lpSupply - Current LP mint supply (launches with an LP mint)
+   */
+  evaluateLaunch(launch, liquidity, now = Date.now(), lpSupply = null) {
+    const peakLiquidity = Math.max(launch.peakLiquidity || 0, liquidity);
+    const update = { peakLiquidity, lastLiquidity: liquidity, lastCheckedAt: now };
+
+    const dropPercent = peakLiquidity > 0 ? (1 - liquidity / peakLiquidity) * 100 : 0;
+    let rugged;
+
+    if (launch.lpMint && lpSupply !== null) {
+      const peakLpSupply = launch.peakLpSupply && BigInt(launch.peakLpSupply) > lpSupply ? BigInt(launch.peakLpSupply) : lpSupply;
+      update.peakLpSupply = peakLpSupply.toString();
+      update.lastLpSupply = lpSupply.toString();
+
+      // Withdrawing LP takes the SOL with it; burning LP doesn't
+      const withdrawnPercent = percentDrop(peakLpSupply, lpSupply);
+      rugged = withdrawnPercent >= this.rugLpWithdrawPercent && dropPercent >= withdrawnPercent / 2;
+    } else {
+      rugged = dropPercent >= this.rugLiquidityDropPercent;
+    }
+
+    if (rugged && peakLiquidity >= this.minPeakLiquiditySol) {
+      return { ...update, status: 'RUGGED', endedAt: now };
+    }
+
+    if (now - launch.launchedAt >= this.rugWindowMs) {
+      return { ...update, status: 'SURVIVED', endedAt: now };
+    }
+
+    return update;
+  }
+
+  /**
+   * Account data by address, ACCOUNTS_PER_REQUEST addresses per call
+   * @returns {Promise<Map<string, Object|null>>}
+   */
+  async getAccounts(addresses) {
+    const unique = [...new Set(addresses)];
+    const accounts = new Map();
+
+    for (let i = 0; i < unique.length; i += ACCOUNTS_PER_REQUEST) {
+      const batch = unique.slice(i, i + ACCOUNTS_PER_REQUEST);
+      try {
+        const infos = await this.connection.getMultipleAccountsInfo(batch.map(address => new PublicKey(address)));
+        batch.forEach((address, index) => accounts.set(address, infos[index]));
+      } catch (error) {
+        logger.debug(`Launch account fetch failed (${batch.length} accounts): ${error.message}`);
+      }
+    }
+
+    return accounts;
+  }
+
+  /**
+   * Manually flag a deployer (always rejected until unflagged)
+   */
+  flag(address, reason = null) {
+    this.sync();
+
+    const record = this.getOrCreate(address);
+    record.flagged = true;
+    record.flagReason = reason;
+    record.flaggedAt = Date.now();
+    this.save();
+
+    logger.warn(`🚩 Deployer ${address} flagged${reason ? `: ${reason}` : ''}`);
+    return this.getReputation(address);
+  }
+
+  unflag(address) {
+    this.sync();
+
+    const record = this.deployers.get(address);
+    if (!record?.flagged) return null;
+
+    record.flagged = false;
+    record.flagReason = null;
+    record.flaggedAt = null;
+    this.save();
+
+    logger.info(`Deployer ${address} unflagged`);
+    return this.getReputation(address);
+  }
+
+  /**
+   * Deployer wallets a token was attributed to
+   */
+  getDeployersOf(tokenMint) {
+    this.sync();
+
+    return Array.from(this.deployers.values())
+      .filter(record => record.launches.some(launch => launch.tokenMint === tokenMint))
+      .map(record => record.address);
+  }
+
+  /**
+   * Every known deployer with its reputation, riskiest first
+   */
+  list() {
+    this.sync();
+
+    return Array.from(this.deployers.keys())
+      .map(address => this.getReputation(address))
+      .sort((a, b) => b.riskScore - a.riskScore);
+  }
+
+  getOrCreate(address) {
+    if (!this.deployers.has(address)) {
+      this.deployers.set(address, {
+        address,
+        launches: [],
+        flagged: false,
+        flagReason: null,
+        flaggedAt: null,
+        firstSeenAt: Date.now(),
+        lastLaunchAt: null
+      });
+    }
+
+    return this.deployers.get(address);
+  }
+
+  load() {
+    this.deployers = new Map(database.read(COLLECTION).map(record => [record.address, record]));
+    this.loadedMtimeMs = this.getFileMtime();
+  }
+
+  /**
+   * Reload when another process (the CLI) changed the file
+   */
+  sync() {
+    if (this.getFileMtime() > this.loadedMtimeMs) {
+      this.load();
+    }
+  }
+
+  save() {
+    database.write(COLLECTION, Array.from(this.deployers.values()));
+    this.loadedMtimeMs = this.getFileMtime();
+  }
+
+  /**
+   * Re-read the file, apply a change and write it back (synchronous throughout)
+   */
+  update(apply) {
+    this.sync();
+    const result = apply();
+    this.save();
+    return result;
+  }
+
+  getFileMtime() {
+    return fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : 0;
+  }
+
+  getStats() {
+    const reputations = this.list();
+    return {
+      deployers: reputations.length,
+      flagged: reputations.filter(reputation => reputation.flagged).length,
+      rejected: reputations.filter(reputation => reputation.reject).length,
+      activeLaunches: reputations.reduce((sum, reputation) => sum + reputation.active, 0)
+    };
+  }
+}
+
+/**
+ * Account whose SOL balance tracks the launch's liquidity
+ */
+function getLiquidityAccount(tokenInfo) {
+  if (tokenInfo.bondingCurveAddress) {
+    return { type: 'bondingCurve', address: tokenInfo.bondingCurveAddress };
+  }
+
+  if (tokenInfo.quoteMint === WSOL_MINT && tokenInfo.quoteVault) {
+    return { type: 'vault', address: tokenInfo.quoteVault };
+  }
+
+  if (tokenInfo.baseMint === WSOL_MINT && tokenInfo.baseVault) {
+    return { type: 'vault', address: tokenInfo.baseVault };
+  }
+
+  return null;
+}
+
+/**
+ * SOL liquidity from a launch's liquidity account
+ * @returns {number|null|undefined} null once a bonding curve has completed, undefined when not readable
+ */
+function readLiquidity({ type }, accountInfo) {
+  if (accountInfo === undefined) return undefined;
+
+  if (type === 'bondingCurve') {
+    const curve = accountInfo ? decodeBondingCurve(accountInfo.data) : null;
+    if (curve?.complete) return null;
+    return curve?.realSol || 0;
+  }
+
+  // Closed vault or not a token account
+  if (!accountInfo || accountInfo.data.length < AccountLayout.span) return undefined;
+  const vault = AccountLayout.decode(accountInfo.data.subarray(0, AccountLayout.span));
+  return Number(vault.amount) / LAMPORTS_PER_SOL;
+}
+
+/**
+ * Raw supply of an LP mint (undefined when not readable)
+ */
+function readSupply(accountInfo) {
+  if (!accountInfo || accountInfo.data.length < MintLayout.span) return undefined;
+  return MintLayout.decode(accountInfo.data.subarray(0, MintLayout.span)).supply;
+}
+
+/**
+ * Percent a raw amount fell from a peak
+ */
+function percentDrop(peak, current) {
+  if (peak <= 0n) return 0;
+  return Number((peak - current) * 10000n / peak) / 100;
+}
+
+export default DeployerReputation;
@@ -0,0 +1,43 @@
+import { RaydiumAmmV4Adapter } from './raydiumAmmV4Adapter.js';
+import { RaydiumCpmmAdapter } from './raydiumCpmmAdapter.js';
+import { RaydiumClmmAdapter } from './raydiumClmmAdapter.js';
+import { OrcaWhirlpoolAdapter } from './orcaWhirlpoolAdapter.js';
+import { MeteoraDlmmAdapter } from './meteoraDlmmAdapter.js';
+import { PumpFunAdapter } from './pumpFunAdapter.js';
+
+/**
+ * Discovery Adapter Registry
+ * Maps config keys under `discovery` to adapter classes
+ */
+
+const adapters = new Map([
+  ['raydiumAmmV4', RaydiumAmmV4Adapter],
+  ['raydiumCpmm', RaydiumCpmmAdapter],
+  ['raydiumClmm', RaydiumClmmAdapter],
+  ['orcaWhirlpool', OrcaWhirlpoolAdapter],
+  ['meteoraDlmm', MeteoraDlmmAdapter],
+  ['pumpfun', PumpFunAdapter]
+]);
+
+/**
+ * Register an additional adapter class under a config key
+ */
+export function registerDiscoveryAdapter(name, AdapterClass) {
+  adapters.set(name, AdapterClass);
+}
+
+/**
+ * Instantiate every adapter not disabled via `discovery.<name>.enabled`
+ */
+export function createDiscoveryAdapters(connection, discoveryConfig = {}) {
+  return Array.from(adapters.entries())
+    .filter(([name]) => discoveryConfig[name]?.enabled !== false)
+    .map(([name, AdapterClass]) => new AdapterClass(connection, discoveryConfig[name] || {}));
+}
+
+/**
+ * Names of all registered adapters
+ */
+export function getRegisteredAdapters() {
+  return Array.from(adapters.keys());
+}
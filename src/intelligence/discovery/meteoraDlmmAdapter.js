@@ -0,0 +1,41 @@
+import { PoolAdapter, adjustPrice } from './poolAdapter.js';
+import { getMintDecimals } from '../decoders/transactionUtils.js';
+import {
+  METEORA_DLMM_PROGRAM_ID,
+  isInitializeLbPairLog,
+  decodeInitializeLbPair,
+  binIdToPrice
+} from '../decoders/meteoraDlmm.js';
+
+/**
+ * Meteora DLMM Adapter
+ * Liquidity-book pairs; liquidity is whatever bins the creation transaction seeded
+ */
+export class MeteoraDlmmAdapter extends PoolAdapter {
+  constructor(connection, config) {
+    super(connection, config);
+    this.name = 'meteoraDlmm';
+    this.launchpad = 'meteora';
+    this.programId = METEORA_DLMM_PROGRAM_ID;
+  }
+
+  matchesLogs(logs) {
+    return isInitializeLbPairLog(logs);
+  }
+
+  async decode({ tx }) {
+    const pool = decodeInitializeLbPair(tx);
+    if (!pool) return null;
+
+    return {
+      ...pool,
+      initialPrice: adjustPrice(
+        binIdToPrice(pool.activeId, pool.binStep),
+        getMintDecimals(tx, pool.baseMint),
+        getMintDecimals(tx, pool.quoteMint)
+      )
+    };
+  }
+}
+
+export default MeteoraDlmmAdapter;
@@ -0,0 +1,41 @@
+import { PoolAdapter, adjustPrice } from './poolAdapter.js';
+import { getMintDecimals } from '../decoders/transactionUtils.js';
+import { sqrtPriceX64ToPrice } from '../decoders/raydiumClmm.js';
+import {
+  ORCA_WHIRLPOOL_PROGRAM_ID,
+  isInitializePoolLog,
+  decodeInitializePool
+} from '../decoders/orcaWhirlpool.js';
+
+/**
+ * Orca Whirlpool Adapter
+ * Concentrated-liquidity pools; liquidity is whatever positions the creation transaction opened
+ */
+export class OrcaWhirlpoolAdapter extends PoolAdapter {
+  constructor(connection, config) {
+    super(connection, config);
+    this.name = 'orcaWhirlpool';
+    this.launchpad = 'orca';
+    this.programId = ORCA_WHIRLPOOL_PROGRAM_ID;
+  }
+
+  matchesLogs(logs) {
+    return isInitializePoolLog(logs);
+  }
+
+  async decode({ tx }) {
+    const pool = decodeInitializePool(tx);
+    if (!pool) return null;
+
+    return {
+      ...pool,
+      initialPrice: adjustPrice(
+        sqrtPriceX64ToPrice(pool.sqrtPriceX64),
+        getMintDecimals(tx, pool.baseMint),
+        getMintDecimals(tx, pool.quoteMint)
+      )
+    };
+  }
+}
+
+export default OrcaWhirlpoolAdapter;
@@ -0,0 +1,104 @@
+import { WSOL_MINT, getTokenBalance } from '../decoders/transactionUtils.js';
+
+/**
+ * Pool Adapter
+ * Base class for per-program discovery adapters. Every adapter turns one
+ * program's launch transactions into the same normalized pool-created event.
+ *
+ * Subclasses provide:
+ * - name, launchpad, programId
+ * - matchesLogs(logs): log filter applied to the program's log subscription
+ * - decode({ logs, ctx, tx }): instruction decoder returning the pool layout (or null)
+ * - extractLiquidity(pool, tx): initial reserves and SOL liquidity (defaults to vault balances)
+ */
+export class PoolAdapter {
+  constructor(connection, config = {}) {
+    this.connection = connection;
+    this.config = config;
+  }
+
+  /**
+   * Whether decode() needs the parsed pool creation transaction
+   */
+  get requiresTransaction() {
+    return true;
+  }
+
+  matchesLogs(logs) {
+    throw new Error(`${this.name}: matchesLogs() not implemented`);
+  }
+
+  async decode({ logs, ctx, tx }) {
+    throw new Error(`${this.name}: decode() not implemented`);
+  }
+
+  /**
+   * Read initial reserves from the vaults' post-transaction balances
+   */
+  extractLiquidity(pool, tx) {
+    const base = getTokenBalance(tx, pool.baseVault);
+    const quote = getTokenBalance(tx, pool.quoteVault);
+
+    const initialReserves = {
+      base: base?.amount || '0',
+      quote: quote?.amount || '0',
+      baseDecimals: base?.decimals ?? null,
+      quoteDecimals: quote?.decimals ?? null,
+      baseUi: base?.uiAmount || 0,
+      quoteUi: quote?.uiAmount || 0
+    };
+
+    return {
+      initialReserves,
+      liquidity: solSideReserve(pool, initialReserves)
+    };
+  }
+
+  /**
+   * Build the normalized pool-created event
+   */
+  toPoolEvent(pool, { logs, ctx, tx }) {
+    const { initialReserves, liquidity } = this.extractLiquidity(pool, tx);
+
+    return {
+      ...pool,
+      dex: this.name,
+      launchpad: this.launchpad,
+      programId: this.programId,
+      tokenMint: tradedMint(pool),
+      poolId: pool.poolId,
+      lpMint: pool.lpMint ?? null,
+      openTime: pool.openTime ?? null,
+      creator: pool.creator ?? null,
+      initialReserves,
+      liquidity,
+      signature: logs.signature,
+      slot: tx?.slot ?? ctx?.slot,
+      blockTime: tx?.blockTime ?? null
+    };
+  }
+}
+
+/**
+ * The traded token is whichever side is not wrapped SOL
+ */
+export function tradedMint(pool) {
+  return pool.baseMint === WSOL_MINT ? pool.quoteMint : pool.baseMint;
+}
+
+/**
+ * SOL-denominated liquidity (0 for pools not paired with SOL)
+ */
+export function solSideReserve(pool, initialReserves) {
+  if (pool.quoteMint === WSOL_MINT) return initialReserves.quoteUi || 0;
+  if (pool.baseMint === WSOL_MINT) return initialReserves.baseUi || 0;
+  return 0;
+}
+
+/**
+ * Decimal-adjusted quote-per-base price from a raw price
+ */
+export function adjustPrice(rawPrice, baseDecimals, quoteDecimals) {
+  if (baseDecimals === null || quoteDecimals === null) return null;
+  return rawPrice * Math.pow(10, baseDecimals - quoteDecimals);
+}
@@ -0,0 +1,89 @@
+import { PublicKey } from '@solana/web3.js';
+import { PoolAdapter } from './poolAdapter.js';
+import {
+  PUMP_FUN_PROGRAM_ID,
+  isCreateLog,
+  decodeCreateEvent,
+  decodeBondingCurve
+} from '../decoders/pumpFun.js';
+
+/**
+ * Pump.fun Adapter
+ * Bonding-curve launches; decoded from the CreateEvent log without fetching the transaction
+ */
+export class PumpFunAdapter extends PoolAdapter {
+  constructor(connection, config) {
+    super(connection, config);
+    this.name = 'pumpfun';
+    this.launchpad = 'pumpfun';
+    this.programId = PUMP_FUN_PROGRAM_ID;
+  }
+
+  get requiresTransaction() {
+    return false;
+  }
+
+  matchesLogs(logs) {
+    return isCreateLog(logs);
+  }
+
+  async decode({ logs }) {
+    const event = decodeCreateEvent(logs.logs);
+    if (!event) return null;
+
+    const bondingCurve = await this.getBondingCurveState(event.bondingCurve);
+    if (!bondingCurve) return null;
+
+    return { event, bondingCurve };
+  }
+
+  /**
+   * Read current bonding-curve state (reserves, completion, creator)
+   */
+  async getBondingCurveState(bondingCurveAddress) {
+    const accountInfo = await this.connection.getAccountInfo(new PublicKey(bondingCurveAddress));
+    if (!accountInfo) return null;
+
+    return decodeBondingCurve(accountInfo.data);
+  }
+
+  extractLiquidity({ bondingCurve }) {
+    return {
+      initialReserves: {
+        virtualTokenReserves: bondingCurve.virtualTokenReserves,
+        virtualSolReserves: bondingCurve.virtualSolReserves,
+        realTokenReserves: bondingCurve.realTokenReserves,
+        realSolReserves: bondingCurve.realSolReserves
+      },
+      liquidity: bondingCurve.realSol
+    };
+  }
+
+  toPoolEvent(pool, { logs, ctx }) {
+    const { event, bondingCurve } = pool;
+    const { initialReserves, liquidity } = this.extractLiquidity(pool);
+
+    return {
+      dex: this.name,
+      launchpad: this.launchpad,
+      programId: this.programId,
+      tokenMint: event.mint,
+      poolId: event.bondingCurve,
+      lpMint: null,
+      openTime: null,
+      name: event.name,
+      symbol: event.symbol,
+      uri: event.uri,
+      creator: event.creator || event.user,
+      bondingCurveAddress: event.bondingCurve,
+      bondingCurve,
+      initialReserves,
+      liquidity,
+      signature: logs.signature,
+      slot: ctx?.slot,
+      blockTime: event.timestamp || Math.floor(Date.now() / 1000)
+    };
+  }
+}
+
+export default PumpFunAdapter;
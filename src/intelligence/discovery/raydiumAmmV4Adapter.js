@@ -0,0 +1,37 @@
+import { PoolAdapter, solSideReserve } from './poolAdapter.js';
+import {
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  isInitialize2Log,
+  decodeInitialize2
+} from '../decoders/raydiumAmmV4.js';
+
+/**
+ * Raydium AMM v4 Adapter
+ * Pool creation via initialize2; reserves come from the instruction amounts
+ */
+export class RaydiumAmmV4Adapter extends PoolAdapter {
+  constructor(connection, config) {
+    super(connection, config);
+    this.name = 'raydiumAmmV4';
+    this.launchpad = 'raydium';
+    this.programId = RAYDIUM_AMM_V4_PROGRAM_ID;
+  }
+
+  matchesLogs(logs) {
+    return isInitialize2Log(logs);
+  }
+
+  async decode({ tx }) {
+    const pool = decodeInitialize2(tx);
+    return pool ? { ...pool, poolId: pool.ammId } : null;
+  }
+
+  extractLiquidity(pool) {
+    return {
+      initialReserves: pool.initialReserves,
+      liquidity: solSideReserve(pool, pool.initialReserves)
+    };
+  }
+}
+
+export default RaydiumAmmV4Adapter;
@@ -0,0 +1,41 @@
+import { PoolAdapter, adjustPrice } from './poolAdapter.js';
+import { getMintDecimals } from '../decoders/transactionUtils.js';
+import {
+  RAYDIUM_CLMM_PROGRAM_ID,
+  isCreatePoolLog,
+  decodeCreatePool,
+  sqrtPriceX64ToPrice
+} from '../decoders/raydiumClmm.js';
+
+/**
+ * Raydium CLMM Adapter
+ * Concentrated-liquidity pools; liquidity is whatever positions the creation transaction opened
+ */
+export class RaydiumClmmAdapter extends PoolAdapter {
+  constructor(connection, config) {
+    super(connection, config);
+    this.name = 'raydiumClmm';
+    this.launchpad = 'raydium';
+    this.programId = RAYDIUM_CLMM_PROGRAM_ID;
+  }
+
+  matchesLogs(logs) {
+    return isCreatePoolLog(logs);
+  }
+
+  async decode({ tx }) {
+    const pool = decodeCreatePool(tx);
+    if (!pool) return null;
+
+    return {
+      ...pool,
+      initialPrice: adjustPrice(
+        sqrtPriceX64ToPrice(pool.sqrtPriceX64),
+        getMintDecimals(tx, pool.baseMint),
+        getMintDecimals(tx, pool.quoteMint)
+      )
+    };
+  }
+}
+
+export default RaydiumClmmAdapter;
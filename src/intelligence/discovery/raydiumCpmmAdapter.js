@@ -0,0 +1,29 @@
+import { PoolAdapter } from './poolAdapter.js';
+import {
+  RAYDIUM_CPMM_PROGRAM_ID,
+  isInitializeLog,
+  decodeInitialize
+} from '../decoders/raydiumCpmm.js';
+
+/**
+ * Raydium CPMM Adapter
+ * Constant-product pools; initialize deposits both sides into the vaults
+ */
+export class RaydiumCpmmAdapter extends PoolAdapter {
+  constructor(connection, config) {
+    super(connection, config);
+    this.name = 'raydiumCpmm';
+    this.launchpad = 'raydium';
+    this.programId = RAYDIUM_CPMM_PROGRAM_ID;
+  }
+
+  matchesLogs(logs) {
+    return isInitializeLog(logs);
+  }
+
+  async decode({ tx }) {
+    return decodeInitialize(tx);
+  }
+}
+
+export default RaydiumCpmmAdapter;
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Discovery Session Recorder
+ * Appends every log notification and the RPC responses discovery depends on
+ * (parsed transactions, account reads) to a JSONL file for offline replay.
+ *
+ * Entry types:
+ * - session:     { startedAt }
+ * - logs:        { programId, logs, ctx }
+ * - transaction: { signature, tx | error }
+ * - account:     { address, accountInfo | error }
+ */
+
+export class DiscoveryRecorder {
+  constructor(filePath) {
+    this.filePath = filePath;
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.stats = {
+      logs: 0,
+      transactions: 0,
+      accounts: 0,
+      writeErrors: 0
+    };
+
+    this.append({ type: 'session', startedAt: new Date().toISOString() });
+    logger.info(`🎙️  Recording discovery session to ${filePath}`);
+  }
+
+  /**
+   * Append one entry (timestamped) to the session file
+   */
+  append(entry) {
+    try {
+      const line = JSON.stringify({ t: Date.now(), ...entry }, (key, value) =>
+        typeof value === 'bigint' ? value.toString() : value
+      );
+      fs.appendFileSync(this.filePath, line + '\n');
+    } catch (error) {
+      this.stats.writeErrors++;
+      logger.error('Error writing discovery recording:', error);
+    }
+  }
+
+  recordLogs(programId, logs, ctx) {
+    this.stats.logs++;
+    this.append({ type: 'logs', programId: programId.toString(), logs, ctx });
+  }
+
+  recordTransaction(signature, tx, error = null) {
+    this.stats.transactions++;
+    this.append(error
+      ? { type: 'transaction', signature, error: error.message }
+      : { type: 'transaction', signature, tx });
+  }
+
+  recordAccountInfo(address, accountInfo, error = null) {
+    this.stats.accounts++;
+
+    if (error) {
+      this.append({ type: 'account', address: address.toString(), error: error.message });
+      return;
+    }
+
+    this.append({
+      type: 'account',
+      address: address.toString(),
+      accountInfo: accountInfo && {
+        data: Buffer.from(accountInfo.data).toString('base64'),
+        executable: accountInfo.executable,
+        lamports: accountInfo.lamports,
+        owner: accountInfo.owner.toString(),
+        rentEpoch: accountInfo.rentEpoch
+      }
+    });
+  }
+
+  /**
+   * Wrap a connection so log subscriptions and the RPC reads discovery makes are recorded.
+   * All other methods pass through untouched.
+   */
+  wrap(connection) {
+    const recorder = this;
+
+    const recorded = {
+      onLogs(filter, callback, commitment) {
+        return connection.onLogs(filter, (logs, ctx) => {
+          recorder.recordLogs(filter, logs, ctx);
+          return callback(logs, ctx);
+        }, commitment);
+      },
+
+      async getParsedTransaction(signature, options) {
+        try {
+          const tx = await connection.getParsedTransaction(signature, options);
+          recorder.recordTransaction(signature, tx);
+          return tx;
+        } catch (error) {
+          recorder.recordTransaction(signature, null, error);
+          throw error;
+        }
+      },
+
+      async getAccountInfo(address, commitmentOrConfig) {
+        try {
+          const accountInfo = await connection.getAccountInfo(address, commitmentOrConfig);
+          recorder.recordAccountInfo(address, accountInfo);
+          return accountInfo;
+        } catch (error) {
+          recorder.recordAccountInfo(address, null, error);
+          throw error;
+        }
+      }
+    };
+
+    return new Proxy(connection, {
+      get(target, prop) {
+        if (Object.hasOwn(recorded, prop)) return recorded[prop];
+
+        const value = Reflect.get(target, prop);
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+    });
+  }
+}
+
+export default DiscoveryRecorder;
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import { PublicKey } from '@solana/web3.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Discovery Session Replay
+ * Feeds a recorded session (see sessionRecorder.js) back through TokenDiscovery
+ * with recorded RPC responses served from memory - no network access.
+ */
+
+/**
+ * Read a recorded session file
+ * Truncated or corrupt lines (e.g. from a crash mid-write) are skipped
+ */
+export function readSession(filePath) {
+  const entries = [];
+  let corrupt = 0;
+
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      corrupt++;
+    }
+  }
+
+  if (corrupt > 0) {
+    logger.warn(`Skipped ${corrupt} unreadable lines in ${filePath}`);
+  }
+
+  return entries;
+}
+
+/**
+ * Connection stand-in that serves recorded responses
+ * Repeated reads of the same key are served in recording order; the last response is reused
+ */
+export class ReplayConnection {
+  constructor(entries) {
+    this.transactions = new Map();
+    this.accounts = new Map();
+    this.subscriptions = new Map();
+    this.nextSubscriptionId = 0;
+    this.stats = {
+      transactionsServed: 0,
+      accountsServed: 0,
+      misses: 0
+    };
+
+    for (const entry of entries) {
+      if (entry.type === 'transaction') {
+        this.enqueue(this.transactions, entry.signature, entry);
+      } else if (entry.type === 'account') {
+        this.enqueue(this.accounts, entry.address, entry);
+      }
+    }
+  }
+
+  enqueue(map, key, entry) {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  }
+
+  take(map, key) {
+    const queue = map.get(key);
+    if (!queue) return null;
+    return queue.length > 1 ? queue.shift() : queue[0];
+  }
+
+  onLogs(filter, callback) {
+    const id = this.nextSubscriptionId++;
+    this.subscriptions.set(id, { programId: filter.toString(), callback });
+    return id;
+  }
+
+  async removeOnLogsListener(id) {
+    this.subscriptions.delete(id);
+  }
+
+  async getParsedTransaction(signature) {
+    const entry = this.take(this.transactions, signature);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (entry.error) throw new Error(entry.error);
+
+    this.stats.transactionsServed++;
+    return entry.tx;
+  }
+
+  async getAccountInfo(address) {
+    const entry = this.take(this.accounts, address.toString());
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (entry.error) throw new Error(entry.error);
+    if (!entry.accountInfo) return null;
+
+    this.stats.accountsServed++;
+    return {
+      ...entry.accountInfo,
+      data: Buffer.from(entry.accountInfo.data, 'base64'),
+      owner: new PublicKey(entry.accountInfo.owner)
+    };
+  }
+}
+
+/**
+ * Replays recorded log notifications into the subscriptions TokenDiscovery registered
+ */
+export class DiscoveryReplayer {
+  /**
+   * @param {Array} entries - Session entries from readSession()
+   * @param {Object} options - { speed: 1 = real time, 10 = 10x faster, 0 = no delays }
+   */
+  constructor(entries, options = {}) {
+    this.entries = entries;
+    this.connection = new ReplayConnection(entries);
+    this.speed = options.speed ?? 1;
+    this.stats = {
+      notifications: 0,
+      unsubscribed: 0
+    };
+  }
+
+  /**
+   * Deliver every recorded notification, one at a time, preserving recorded spacing
+   * Each handler is awaited so runs are deterministic
+   */
+  async replay() {
+    const notifications = this.entries.filter(entry => entry.type === 'logs');
+    if (notifications.length === 0) return this.stats;
+
+    const sessionStart = notifications[0].t;
+    const replayStart = Date.now();
+
+    for (const notification of notifications) {
+      if (this.speed > 0) {
+        const dueAt = replayStart + (notification.t - sessionStart) / this.speed;
+        const wait = dueAt - Date.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+      }
+
+      const subscriptions = Array.from(this.connection.subscriptions.values())
+        .filter(subscription => subscription.programId === notification.programId);
+
+      if (subscriptions.length === 0) {
+        this.stats.unsubscribed++;
+        continue;
+      }
+
+      this.stats.notifications++;
+      for (const subscription of subscriptions) {
+        await subscription.callback(notification.logs, notification.ctx);
+      }
+    }
+
+    return this.stats;
+  }
+}
+
+export default DiscoveryReplayer;
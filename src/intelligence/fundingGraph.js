@@ -0,0 +1,216 @@
+import { PublicKey } from '@solana/web3.js';
+import { logger } from '../utils/logger.js';
+import { getAllInstructions } from './decoders/transactionUtils.js';
+
+/**
+ * Funding Graph
+ * Walks back from holder wallets to whoever first funded them with SOL, up to
+ * fundingGraph.depth hops, and groups holders that share an ancestor.
+ *
+ * A wallet's first funder never changes, so lookups are cached per address and
+ * shared across tokens. Busy wallets (a full page of signatures, e.g. exchange
+ * hot wallets) end the walk and never form a cluster.
+ *
+ * The same lookup serves token accounts: their first transaction gives the
+ * slot they appeared in and the rent payer (HolderAnalysis bundle detection).
+ */
+
+const SIGNATURE_PAGE = 1000;
+const UNRESOLVED_TTL_MS = 600000;
+
+export class FundingGraph {
+  constructor(connection, config = {}) {
+    const options = config.fundingGraph || {};
+
+    this.connection = connection;
+    this.depth = options.depth ?? 3;
+    this.maxHolders = options.maxHolders || 20;
+    this.maxCacheSize = options.cacheMaxSize || 5000;
+    this.ignoredFunders = new Set(options.ignoredFunders || []);
+
+    this.cache = new Map(); // address -> { funder, busy, firstSlot, expiresAt }
+    this.stats = {
+      lookups: 0,
+      cacheHits: 0,
+      rpcLookups: 0
+    };
+  }
+
+  /**
+   * Trace the top holders' funding and group them by shared ancestor
+   * @param {Array} holders - [{ address, balance }], largest first
+   * @param {number} totalSupply
+   * @returns {Object} { depth, holdersTraced, edges, ancestorsOf, clusters }
+   */
+  async buildGraph(holders, totalSupply) {
+    const traced = holders.slice(0, this.maxHolders);
+    const ancestorsOf = {};
+    const edges = [];
+
+    for (const holder of traced) {
+      const ancestors = await this.getAncestors(holder.address);
+      ancestorsOf[holder.address] = ancestors;
+
+      let child = holder.address;
+      for (const ancestor of ancestors) {
+        edges.push({ from: ancestor, to: child });
+        child = ancestor;
+      }
+    }
+
+    return {
+      depth: this.depth,
+      holdersTraced: traced.length,
+      edges: dedupeEdges(edges),
+      ancestorsOf,
+      clusters: this.findClusters(traced, ancestorsOf, totalSupply)
+    };
+  }
+
+  /**
+   * Holders sharing an ancestor; when several ancestors cover the same holders,
+   * only the closest one is kept
+   */
+  findClusters(holders, ancestorsOf, totalSupply) {
+    const byAncestor = new Map(); // ancestor -> { holders: Set, hops }
+
+    for (const holder of holders) {
+      ancestorsOf[holder.address].forEach((ancestor, index) => {
+        if (!byAncestor.has(ancestor)) byAncestor.set(ancestor, { holders: new Set(), hops: 0 });
+
+        const entry = byAncestor.get(ancestor);
+        entry.holders.add(holder.address);
+        entry.hops = Math.max(entry.hops, index + 1);
+      });
+    }
+
+    const balances = new Map(holders.map(holder => [holder.address, holder.balance]));
+    const seen = new Set();
+
+    return Array.from(byAncestor.entries())
+      .filter(([, entry]) => entry.holders.size >= 2)
+      .sort((a, b) => a[1].hops - b[1].hops)
+      .filter(([, entry]) => {
+        const key = Array.from(entry.holders).sort().join(',');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(([ancestor, entry]) => {
+        const members = Array.from(entry.holders);
+        const combinedBalance = members.reduce((sum, address) => sum + balances.get(address), 0);
+
+        return {
+          ancestor,
+          hops: entry.hops,
+          count: members.length,
+          holders: members,
+          combinedBalance,
+          percentage: totalSupply > 0 ? (combinedBalance / totalSupply) * 100 : 0
+        };
+      })
+      .sort((a, b) => b.combinedBalance - a.combinedBalance);
+  }
+
+  /**
+   * Funding chain above a wallet: [parent, grandparent, ...]
+   */
+  async getAncestors(address) {
+    const ancestors = [];
+    let current = address;
+
+    for (let hop = 0; hop < this.depth; hop++) {
+      const { funder } = await this.getFunder(current);
+      if (!funder || funder === address || ancestors.includes(funder) || this.ignoredFunders.has(funder)) break;
+
+      // Hubs fund everyone - sharing one says nothing
+      const { busy } = await this.getFunder(funder);
+      if (busy) break;
+
+      ancestors.push(funder);
+      current = funder;
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Sender of an account's first incoming SOL or rent (cached)
+   * @returns {Object} { funder: string|null, busy: boolean, firstSlot: number|null }
+   */
+  async getFunder(address) {
+    this.stats.lookups++;
+
+    const cached = this.cache.get(address);
+    if (cached && (cached.expiresAt === null || cached.expiresAt > Date.now())) {
+      this.stats.cacheHits++;
+      return cached;
+    }
+
+    let result;
+    try {
+      result = await this.resolveFunder(address);
+    } catch (error) {
+      logger.debug(`Funding lookup failed for ${address}: ${error.message}`);
+      return { funder: null, busy: false, firstSlot: null };
+    }
+
+    // Resolved funders are permanent; a wallet without history may still get funded
+    this.cache.set(address, {
+      ...result,
+      expiresAt: result.funder || result.busy ? null : Date.now() + UNRESOLVED_TTL_MS
+    });
+
+    while (this.cache.size > this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return result;
+  }
+
+  async resolveFunder(address) {
+    this.stats.rpcLookups++;
+
+    const signatures = await this.connection.getSignaturesForAddress(new PublicKey(address), { limit: SIGNATURE_PAGE });
+    if (signatures.length === SIGNATURE_PAGE) return { funder: null, busy: true, firstSlot: null };
+    if (signatures.length === 0) return { funder: null, busy: false, firstSlot: null };
+
+    const first = signatures[signatures.length - 1];
+    const tx = await this.connection.getParsedTransaction(first.signature, {
+      maxSupportedTransactionVersion: 0
+    });
+    if (!tx) return { funder: null, busy: false, firstSlot: first.slot };
+
+    // A SOL transfer or account creation into the address, or the payer of its associated token account
+    const transfer = getAllInstructions(tx).find(ix => {
+      const info = ix.parsed?.info;
+      if (!info) return false;
+
+      return (ix.program === 'system' &&
+        (ix.parsed.type === 'transfer' || ix.parsed.type === 'createAccount') &&
+        (info.destination === address || info.newAccount === address)) ||
+        (ix.program === 'spl-associated-token-account' && info.account === address);
+    });
+
+    return { funder: transfer?.parsed.info.source || null, busy: false, firstSlot: first.slot };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cached: this.cache.size
+    };
+  }
+}
+
+function dedupeEdges(edges) {
+  const seen = new Set();
+  return edges.filter(edge => {
+    const key = `${edge.from}>${edge.to}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export default FundingGraph;
@@ -1,6 +1,8 @@
 import { Connection, PublicKey } from '@solana/web3.js';
-import { TOKEN_PROGRAM_ID } from '@solana/spl-token';
+import { AccountLayout } from '@solana/spl-token';
 import { logger } from '../utils/logger.js';
+import { FundingGraph } from './fundingGraph.js';
+import { enumerateTokenHolders, createHolderLabeler } from './tokenHolders.js';
 
 /**
  * Holder Analysis Module
@@ -12,18 +14,21 @@ export class HolderAnalysis {
     this.connection = connection;
     this.config = config;
     this.holderCache = new Map();
+    this.fundingGraph = new FundingGraph(connection, config);
   }
 
   /**
    * Comprehensive holder analysis
+   * @param {string} tokenMint
+   * @param {Object} poolInfo - Discovered pool (creation slot, vaults, creator) for cluster detection
    */
-  async analyzeHolders(tokenMint) {
+  async analyzeHolders(tokenMint, poolInfo = null) {
     logger.info(`Analyzing holders for ${tokenMint}...`);
 
     try {
-      // Get all token holders
+      // Get all token holders (pool, curve, burn and exchange accounts are labeled separately)
       logger.debug(`📊 Fetching token holders from RPC...`);
-      const holders = await this.getTokenHolders(tokenMint);
+      const { holders, labeled, totalAccounts } = await this.getTokenHolders(tokenMint, poolInfo);
 
       if (!holders || holders.length === 0) {
         logger.warn(`⚠️ No holders found for ${tokenMint}`);
@@ -34,28 +39,25 @@ export class HolderAnalysis {
         };
       }
 
-      logger.info(`✅ Found ${holders.length} holders`);
+      logger.info(`✅ Found ${holders.length} holders (${totalAccounts} token accounts, ${describeLabeled(labeled)})`);
 
-      // For tokens with >1000 holders, use sampled analysis (performance optimization)
-      const useSampling = holders.length > 1000;
-      const analysisHolders = useSampling ? holders.slice(0, 1000) : holders;
-
-      if (useSampling) {
-        logger.info(`⚡ Large token detected (${holders.length} holders) - analyzing top 1000 for performance`);
-      }
-
-      // Calculate distribution metrics (use full holder list for percentiles, sampled for Gini)
+      // Calculate distribution metrics
       logger.info(`📈 Calculating distribution metrics...`);
-      const distribution = this.calculateDistribution(holders, analysisHolders);
+      const distribution = this.calculateDistribution(holders);
 
       // Identify whales and their behavior (always use full list for whale detection)
       logger.info(`🐋 Identifying whales...`);
       const whales = this.identifyWhales(holders, distribution.totalSupply);
       logger.info(`🐋 Found ${whales.count} whales (${whales.totalPercentage.toFixed(1)}% of supply)`);
 
-      // Calculate concentration risk (use sampled data for large tokens)
+      // Find bundled buyers, snipers and wallets funded by the same parent
+      logger.info(`🕸️ Detecting holder clusters...`);
+      const clusters = await this.detectClusters(holders, distribution.totalSupply, poolInfo);
+      logger.info(`🕸️ ${clusters.clusteredPercentage.toFixed(1)}% of supply held by clustered wallets (${clusters.riskLevel})`);
+
+      // Calculate concentration risk
       logger.info(`⚖️ Calculating concentration risk...`);
-      const concentration = this.calculateConcentration(analysisHolders, distribution.totalSupply, useSampling);
+      const concentration = this.calculateConcentration(holders, distribution.totalSupply, clusters);
       logger.info(`⚖️ Concentration calculated`);
 
       // Analyze holder age
@@ -66,14 +68,18 @@ export class HolderAnalysis {
       const analysis = {
         tokenMint,
         totalHolders: holders.length,
+        totalAccounts,
+        labeledAccounts: summarizeLabeled(labeled),
         distribution,
         whales,
         concentration,
+        clusters,
         ageAnalysis,
         healthScore: this.calculateHealthScore({
           distribution,
           concentration,
-          whales
+          whales,
+          clusters
         }),
         analyzedAt: Date.now()
       };
@@ -96,44 +102,12 @@ export class HolderAnalysis {
   }
 
   /**
-   * Get all token holders with balances
+   * Get all token holders with balances (Token and Token-2022, one entry per owner)
+   * @returns {Object} { holders, labeled, totalAccounts }
    */
-  async getTokenHolders(tokenMint) {
+  async getTokenHolders(tokenMint, poolInfo = null) {
     try {
-      const mintPubkey = new PublicKey(tokenMint);
-
-      // Get all token accounts for this mint
-      const accounts = await this.connection.getParsedProgramAccounts(
-        TOKEN_PROGRAM_ID,
-        {
-          filters: [
-            {
-              dataSize: 165 // Token account size
-            },
-            {
-              memcmp: {
-                offset: 0,
-                bytes: mintPubkey.toBase58()
-              }
-            }
-          ]
-        }
-      );
-
-      const holders = accounts
-        .map(acc => {
-          const info = acc.account.data.parsed.info;
-          return {
-            address: info.owner,
-            balance: info.tokenAmount.uiAmount,
-            decimals: info.tokenAmount.decimals,
-            account: acc.pubkey.toBase58()
-          };
-        })
-        .filter(h => h.balance > 0)
-        .sort((a, b) => b.balance - a.balance);
-
-      return holders;
+      return await enumerateTokenHolders(this.connection, tokenMint, { poolInfo, config: this.config });
 
     } catch (error) {
       logger.error('Error getting token holders:', error);
@@ -143,22 +117,17 @@ export class HolderAnalysis {
 
   /**
    * Calculate holder distribution metrics
-   * @param {Array} holders - Full holder list (for percentiles)
-   * @param {Array} analysisHolders - Sampled holders (for expensive calculations like Gini)
+   * @param {Array} holders - Full holder list, largest first
    */
-  calculateDistribution(holders, analysisHolders = null) {
+  calculateDistribution(holders) {
     const totalSupply = holders.reduce((sum, h) => sum + h.balance, 0);
 
-    // Calculate percentiles (use full holder list - these are cheap O(n) operations)
     const top1 = holders.slice(0, 1).reduce((sum, h) => sum + h.balance, 0) / totalSupply;
     const top5 = holders.slice(0, 5).reduce((sum, h) => sum + h.balance, 0) / totalSupply;
     const top10 = holders.slice(0, 10).reduce((sum, h) => sum + h.balance, 0) / totalSupply;
     const top20 = holders.slice(0, 20).reduce((sum, h) => sum + h.balance, 0) / totalSupply;
     const top100 = holders.slice(0, Math.min(100, holders.length)).reduce((sum, h) => sum + h.balance, 0) / totalSupply;
 
-    // Use sampled data for expensive Gini calculation (O(n²) complexity)
-    const giniHolders = analysisHolders || holders;
-
     return {
       totalSupply,
       top1Percentage: top1,
@@ -166,8 +135,7 @@ export class HolderAnalysis {
       top10Percentage: top10,
       top20Percentage: top20,
       top100Percentage: top100,
-      giniCoefficient: this.calculateGini(giniHolders, totalSupply),
-      sampled: giniHolders.length < holders.length
+      giniCoefficient: this.calculateGini(holders, totalSupply)
     };
   }
 
@@ -178,19 +146,12 @@ export class HolderAnalysis {
   calculateGini(holders, totalSupply) {
     if (holders.length === 0) return 1;
 
-    const n = holders.length;
-    let sumOfDifferences = 0;
-
-    for (let i = 0; i < n; i++) {
-      for (let j = 0; j < n; j++) {
-        sumOfDifferences += Math.abs(holders[i].balance - holders[j].balance);
-      }
-    }
-
-    const meanBalance = totalSupply / n;
-    const gini = sumOfDifferences / (2 * n * n * meanBalance);
+    // Sorted form of sum|xi - xj| / (2 * n^2 * mean), O(n log n) instead of O(n^2)
+    const balances = holders.map(h => h.balance).sort((a, b) => a - b);
+    const n = balances.length;
+    const weightedSum = balances.reduce((sum, balance, i) => sum + (2 * (i + 1) - n - 1) * balance, 0);
 
-    return gini;
+    return weightedSum / (n * totalSupply);
   }
 
   /**
@@ -218,16 +179,26 @@ export class HolderAnalysis {
 
   /**
    * Calculate concentration risk metrics
-   * @param {Array} holders - Holder list (may be sampled for large tokens)
+   * @param {Array} holders - Full holder list
    * @param {Number} totalSupply - Total token supply
-   * @param {Boolean} sampled - Whether using sampled data
+   * @param {Object} clusters - detectClusters() result; clustered wallets count as one holder
    */
-  calculateConcentration(holders, totalSupply, sampled = false) {
-    const herfindahlIndex = holders.reduce((sum, h) => {
-      const marketShare = h.balance / totalSupply;
+  calculateConcentration(holders, totalSupply, clusters = null) {
+    const herfindahl = (balances) => balances.reduce((sum, balance) => {
+      const marketShare = balance / totalSupply;
       return sum + (marketShare * marketShare);
     }, 0);
 
+    const addressIndex = herfindahl(holders.map(h => h.balance));
+
+    // Merge each cluster's wallets into a single holder
+    const merged = new Map();
+    for (const holder of holders) {
+      const key = clusters?.clusterOf?.[holder.address] || holder.address;
+      merged.set(key, (merged.get(key) || 0) + holder.balance);
+    }
+    const herfindahlIndex = herfindahl(Array.from(merged.values()));
+
     // Categorize concentration
     let riskLevel;
     if (herfindahlIndex > 0.25) riskLevel = 'EXTREME';
@@ -237,10 +208,159 @@ export class HolderAnalysis {
 
     return {
       herfindahlIndex,
+      addressHerfindahlIndex: addressIndex,
+      clusterAdjusted: herfindahlIndex !== addressIndex,
       riskLevel,
-      description: this.getConcentrationDescription(riskLevel),
-      sampled
+      description: this.getConcentrationDescription(riskLevel)
+    };
+  }
+
+  /**
+   * Detect coordinated holders among the largest wallets:
+   * - bundled: token account created in the pool-creation slot
+   * - snipers: token account created within holderClusters.earlySlotWindow slots of pool creation
+   * - funding groups: wallets sharing a SOL funding ancestor (fundingGraph.depth hops)
+   *   or whose token accounts were paid for by the same wallet
+   * Returns supply shares (0-100) and clusterOf (holder -> cluster id) for concentration.
+   */
+  async detectClusters(holders, totalSupply, poolInfo = null) {
+    const options = this.config.holderClusters || {};
+    const maxHoldersChecked = options.maxHoldersChecked || 20;
+    const earlySlotWindow = options.earlySlotWindow ?? 3;
+    const minGroupSize = options.minGroupSize || 2;
+
+    const empty = {
+      checkedHolders: 0,
+      bundled: { count: 0, percentage: 0, holders: [] },
+      snipers: { count: 0, percentage: 0, holders: [] },
+      fundingGroups: [],
+      fundingGraph: null,
+      clusteredPercentage: 0,
+      largestClusterPercentage: 0,
+      clusterOf: {},
+      riskLevel: 'LOW'
     };
+
+    if (options.enabled === false || totalSupply === 0) return empty;
+
+    // Pool accounts are already excluded; other program-owned accounts aren't buyers either
+    const candidates = holders
+      .filter(h => isWallet(h.address))
+      .slice(0, maxHoldersChecked);
+
+    const fundingGraph = await this.fundingGraph.buildGraph(candidates, totalSupply);
+
+    const origins = [];
+    for (const holder of candidates) {
+      try {
+        const origin = await this.getHolderOrigin(holder);
+        origin.funders.push(...(fundingGraph.ancestorsOf[holder.address] || []));
+        origins.push({ holder, ...origin });
+      } catch (error) {
+        logger.debug(`Could not trace holder ${holder.address}: ${error.message}`);
+      }
+    }
+
+    const creationSlot = poolInfo?.slot ?? null;
+    const percentOf = (list) => (list.reduce((sum, h) => sum + h.balance, 0) / totalSupply) * 100;
+    const describe = (list) => ({
+      count: list.length,
+      percentage: percentOf(list),
+      holders: list.map(h => h.address)
+    });
+
+    const bundled = creationSlot === null ? [] : origins
+      .filter(o => o.firstSlot === creationSlot)
+      .map(o => o.holder);
+    const snipers = creationSlot === null ? [] : origins
+      .filter(o => o.firstSlot > creationSlot && o.firstSlot - creationSlot <= earlySlotWindow)
+      .map(o => o.holder);
+
+    // Group by funding ancestor or token-account payer (the creator funding a wallet counts too)
+    const byFunder = new Map();
+    for (const origin of origins) {
+      for (const funder of new Set(origin.funders)) {
+        if (funder === origin.holder.address) continue;
+        if (!byFunder.has(funder)) byFunder.set(funder, []);
+        byFunder.get(funder).push(origin.holder);
+      }
+    }
+
+    // Ancestors further up often cover the same wallets - keep the closest one
+    const seenGroups = new Set();
+    const fundingGroups = Array.from(byFunder.entries())
+      .filter(([funder, list]) => list.length >= minGroupSize || funder === poolInfo?.creator)
+      .filter(([funder, list]) => {
+        const key = list.map(h => h.address).sort().join(',');
+        if (seenGroups.has(key) && funder !== poolInfo?.creator) return false;
+        seenGroups.add(key);
+        return true;
+      })
+      .map(([funder, list]) => ({
+        funder,
+        fundedByCreator: funder === poolInfo?.creator,
+        ...describe(list)
+      }))
+      .sort((a, b) => b.percentage - a.percentage);
+
+    // Union the groups: every clustered wallet maps to one cluster id
+    const clusterOf = {};
+    const join = (list, id) => {
+      const existing = list.map(h => clusterOf[h.address]).find(Boolean);
+      const clusterId = existing || id;
+      list.forEach(h => {
+        const previous = clusterOf[h.address];
+        if (previous && previous !== clusterId) {
+          Object.keys(clusterOf).forEach(address => {
+            if (clusterOf[address] === previous) clusterOf[address] = clusterId;
+          });
+        }
+        clusterOf[h.address] = clusterId;
+      });
+    };
+
+    if (bundled.length >= minGroupSize) join(bundled, 'bundle');
+    fundingGroups.forEach(group => join(candidates.filter(h => group.holders.includes(h.address)), `funder:${group.funder}`));
+
+    const clusteredHolders = candidates.filter(h => clusterOf[h.address] || snipers.includes(h));
+    const clusterShares = new Map();
+    candidates.forEach(h => {
+      if (!clusterOf[h.address]) return;
+      clusterShares.set(clusterOf[h.address], (clusterShares.get(clusterOf[h.address]) || 0) + h.balance);
+    });
+
+    const clusteredPercentage = percentOf(clusteredHolders);
+    const largestClusterPercentage = clusterShares.size > 0
+      ? (Math.max(...clusterShares.values()) / totalSupply) * 100
+      : 0;
+
+    const maxClusterPercent = options.maxClusterPercent ?? 30;
+    let riskLevel = 'LOW';
+    if (clusteredPercentage >= maxClusterPercent) riskLevel = 'HIGH';
+    else if (clusteredPercentage >= maxClusterPercent / 2) riskLevel = 'MODERATE';
+
+    return {
+      checkedHolders: origins.length,
+      creationSlot,
+      bundled: describe(bundled),
+      snipers: describe(snipers),
+      fundingGroups,
+      fundingGraph,
+      clusteredPercentage,
+      largestClusterPercentage,
+      clusterOf,
+      riskLevel
+    };
+  }
+
+  /**
+   * When a holder's token account appeared and who paid for it, through the
+   * funding graph's per-address cache
+   * @returns {Object} { firstSlot, funders: string[] }
+   */
+  async getHolderOrigin(holder) {
+    const { funder, firstSlot } = await this.fundingGraph.getFunder(holder.account);
+    return { firstSlot, funders: funder ? [funder] : [] };
   }
 
   /**
@@ -341,7 +461,7 @@ export class HolderAnalysis {
   /**
    * Calculate overall holder health score (0-100)
    */
-  calculateHealthScore({ distribution, concentration, whales }) {
+  calculateHealthScore({ distribution, concentration, whales, clusters }) {
     let score = 100;
 
     // Penalize high concentration
@@ -361,43 +481,147 @@ export class HolderAnalysis {
     if (whales.totalPercentage > 80) score -= 20;
     else if (whales.totalPercentage > 60) score -= 10;
 
+    // Penalize supply held by bundled, sniping or commonly funded wallets
+    if (clusters?.riskLevel === 'HIGH') score -= 30;
+    else if (clusters?.riskLevel === 'MODERATE') score -= 15;
+
     return Math.max(0, Math.min(100, score));
   }
 
   /**
-   * Monitor whale activity
+   * Monitor whale token accounts and report decoded balance changes
+   * @param {string} tokenMint
+   * @param {Array} whales - [{ address, accounts }] as returned by getTokenHolders
+   * @param {Function} callback - Receives { address, account, slot, previousBalance, balance, delta,
+   *   supplyPercent, isSell, soldIntoPool, signature }
+   * @param {Object} options - { totalSupply, poolInfo } (supply is fetched when omitted)
+   * @returns {Array<number>} Subscription ids (pass to stopMonitoringWhales)
    */
-  async monitorWhales(tokenMint, whaleAddresses, callback) {
-    logger.info(`Monitoring ${whaleAddresses.length} whales for ${tokenMint}`);
+  async monitorWhales(tokenMint, whales, callback, { totalSupply = null, poolInfo = null } = {}) {
+    logger.info(`Monitoring ${whales.length} whales for ${tokenMint}`);
+
+    const supply = await this.connection.getTokenSupply(new PublicKey(tokenMint));
+    const decimals = supply.value.decimals;
+    const circulating = totalSupply ?? supply.value.uiAmount;
+    const labelFor = createHolderLabeler(poolInfo, this.config.holderEnumeration);
 
     const subscriptions = [];
 
-    for (const address of whaleAddresses) {
-      try {
-        const pubkey = new PublicKey(address);
-
-        const subscriptionId = this.connection.onAccountChange(
-          pubkey,
-          (accountInfo, context) => {
-            callback && callback({
-              address,
-              slot: context.slot,
-              accountInfo
-            });
-          },
-          'confirmed'
-        );
-
-        subscriptions.push(subscriptionId);
+    for (const whale of whales) {
+      for (const account of whale.accounts || [whale.account]) {
+        try {
+          const pubkey = new PublicKey(account);
+          let previousAmount = await this.getTokenAccountAmount(pubkey);
+
+          const subscriptionId = this.connection.onAccountChange(
+            pubkey,
+            async (accountInfo, context) => {
+              // Closed accounts come through with empty data
+              const amount = accountInfo.data.length >= AccountLayout.span
+                ? AccountLayout.decode(accountInfo.data.subarray(0, AccountLayout.span)).amount
+                : 0n;
+
+              const before = previousAmount;
+              previousAmount = amount;
+              if (amount === before) return;
+
+              const delta = Number(amount - before) / Math.pow(10, decimals);
+              const isSell = amount < before;
+              const transfer = isSell
+                ? await this.findTransferDestination(tokenMint, account, context.slot, labelFor)
+                : { soldIntoPool: false, signature: null };
+
+              try {
+                callback && await callback({
+                  address: whale.address,
+                  account,
+                  slot: context.slot,
+                  previousBalance: Number(before) / Math.pow(10, decimals),
+                  balance: Number(amount) / Math.pow(10, decimals),
+                  delta,
+                  supplyPercent: circulating > 0 ? (Math.abs(delta) / circulating) * 100 : 0,
+                  isSell,
+                  ...transfer
+                });
+              } catch (error) {
+                logger.error(`Whale event handler failed for ${whale.address}:`, error);
+              }
+            },
+            'confirmed'
+          );
 
-      } catch (error) {
-        logger.error(`Error monitoring whale ${address}:`, error);
+          subscriptions.push(subscriptionId);
+
+        } catch (error) {
+          logger.error(`Error monitoring whale ${whale.address}:`, error);
+        }
       }
     }
 
     return subscriptions;
   }
 
+  /**
+   * Remove whale subscriptions returned by monitorWhales
+   */
+  async stopMonitoringWhales(subscriptions) {
+    for (const subscriptionId of subscriptions) {
+      try {
+        await this.connection.removeAccountChangeListener(subscriptionId);
+      } catch (error) {
+        logger.debug(`Failed to remove whale subscription ${subscriptionId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Raw token amount of an account (0 when it doesn't exist)
+   */
+  async getTokenAccountAmount(pubkey) {
+    try {
+      const balance = await this.connection.getTokenAccountBalance(pubkey);
+      return BigInt(balance.value.amount);
+    } catch (error) {
+      return 0n;
+    }
+  }
+
+  /**
+   * Whether tokens that left a whale account went into the pool (a sell) or elsewhere
+   * @returns {Object} { soldIntoPool, signature }
+   */
+  async findTransferDestination(tokenMint, account, slot, labelFor) {
+    try {
+      const signatures = await this.connection.getSignaturesForAddress(new PublicKey(account), { limit: 5 });
+      const match = signatures.find(sig => sig.slot === slot) || signatures[0];
+      if (!match) return { soldIntoPool: false, signature: null };
+
+      const tx = await this.connection.getParsedTransaction(match.signature, {
+        maxSupportedTransactionVersion: 0
+      });
+      if (!tx?.meta) return { soldIntoPool: false, signature: match.signature };
+
+      const accountKeys = tx.transaction.message.accountKeys.map(key => (key.pubkey || key).toString());
+      const before = new Map((tx.meta.preTokenBalances || [])
+        .filter(balance => balance.mint === tokenMint)
+        .map(balance => [balance.accountIndex, BigInt(balance.uiTokenAmount.amount)]));
+
+      const soldIntoPool = (tx.meta.postTokenBalances || [])
+        .filter(balance => balance.mint === tokenMint)
+        .filter(balance => BigInt(balance.uiTokenAmount.amount) > (before.get(balance.accountIndex) ?? 0n))
+        .some(balance => {
+          const label = labelFor(accountKeys[balance.accountIndex], balance.owner);
+          return label === 'pool' || label === 'bondingCurve';
+        });
+
+      return { soldIntoPool, signature: match.signature };
+
+    } catch (error) {
+      logger.debug(`Could not resolve whale transfer for ${account}: ${error.message}`);
+      return { soldIntoPool: false, signature: null };
+    }
+  }
+
   /**
    * Get cached analysis
    */
@@ -424,3 +648,28 @@ export class HolderAnalysis {
     }, 600000);
   }
 }
+
+/**
+ * On-curve addresses are wallets; PDAs (pool authorities, curves, vault owners) are not
+ */
+function isWallet(address) {
+  try {
+    return PublicKey.isOnCurve(new PublicKey(address).toBytes());
+  } catch (error) {
+    return false;
+  }
+}
+
+function summarizeLabeled(labeled) {
+  return Object.fromEntries(Object.entries(labeled).map(([label, { count, balance, accounts }]) => [
+    label,
+    { count, balance, accounts: accounts.slice(0, 10) }
+  ]));
+}
+
+function describeLabeled(labeled) {
+  const parts = Object.entries(labeled)
+    .filter(([, { count }]) => count > 0)
+    .map(([label, { count }]) => `${count} ${label}`);
+  return parts.length > 0 ? `excluded ${parts.join(', ')}` : 'none excluded';
+}
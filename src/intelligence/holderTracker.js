@@ -0,0 +1,270 @@
+import { logger } from '../utils/logger.js';
+import { enumerateTokenHolders } from './tokenHolders.js';
+
+/**
+ * Holder Tracker
+ * Keeps a time series of the holder base (holder count, top-10 share, Gini)
+ * for tokens we hold, refreshed on an interval, and raises signals when
+ * holders leave quickly or the supply concentrates - distribution events that
+ * often lead price.
+ *
+ * Each refresh is compared with the samples inside holderTracking.windowMs:
+ * holder count against the window's peak, top-10 share and Gini against the
+ * window's low.
+ *
+ * A refresh enumerates every token account of the mint, so tokens come due
+ * refreshIntervalMs after their last sample and at most one is refreshed per
+ * staggerMs tick - positions opened together don't hit the RPC together.
+ * Enumerations are shared with whale watch and analysis through the
+ * tokenHolders cache.
+ */
+
+export const HOLDER_SIGNALS = {
+  HOLDER_DROP: 'HOLDER_DROP',
+  CONCENTRATION_SPIKE: 'CONCENTRATION_SPIKE'
+};
+
+export class HolderTracker {
+  /**
+   * @param {Connection} connection
+   * @param {HolderAnalysis} holderAnalysis - Supplies the distribution metrics (top-10 share, Gini)
+   * @param {Object} config - Bot config (uses the holderTracking section)
+   */
+  constructor(connection, holderAnalysis, config = {}) {
+    const options = config.holderTracking || {};
+
+    this.connection = connection;
+    this.holderAnalysis = holderAnalysis;
+    this.config = config;
+
+    this.enabled = options.enabled !== false;
+    this.refreshIntervalMs = options.refreshIntervalMs || 120000;
+    this.staggerMs = Math.min(options.staggerMs || 10000, this.refreshIntervalMs);
+    this.windowMs = options.windowMs || 600000;
+    this.maxSamples = options.maxSamples || 240;
+    this.holderDropPercent = options.holderDropPercent ?? 15;
+    this.top10SpikePercent = options.top10SpikePercent ?? 10;
+    this.giniSpike = options.giniSpike ?? 0.05;
+
+    this.tracked = new Map(); // tokenMint -> { poolInfo, series, pendingSignals, lastSignalAt, startedAt, nextRefreshAt }
+    this.refreshInterval = null;
+    this.refreshing = false;
+    this.stats = {
+      refreshes: 0,
+      failures: 0,
+      signals: 0
+    };
+  }
+
+  start() {
+    if (!this.enabled || this.refreshInterval) return;
+
+    this.refreshInterval = setInterval(() => {
+      this.refreshDue().catch(error => logger.error('Holder tracking refresh failed:', error));
+    }, this.staggerMs);
+
+    logger.info(`👥 Holder tracking started - refreshing every ${this.refreshIntervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  }
+
+  /**
+   * Start tracking a token we now hold; the first sample is taken right away
+   * @param {string} tokenMint
+   * @param {Object} poolInfo - Discovered pool, so its vaults aren't counted as holders
+   */
+  async track(tokenMint, poolInfo = null) {
+    if (!this.enabled || this.tracked.has(tokenMint)) return;
+
+    this.tracked.set(tokenMint, {
+      poolInfo,
+      series: [],
+      pendingSignals: [],
+      lastSignalAt: {},
+      startedAt: Date.now(),
+      nextRefreshAt: Date.now() + this.refreshIntervalMs
+    });
+
+    logger.info(`👥 Tracking holders of ${tokenMint}`);
+    await this.refresh(tokenMint);
+  }
+
+  /**
+   * Stop tracking (position closed)
+   */
+  untrack(tokenMint) {
+    if (this.tracked.delete(tokenMint)) {
+      logger.debug(`Stopped tracking holders of ${tokenMint}`);
+    }
+  }
+
+  isTracking(tokenMint) {
+    return this.tracked.has(tokenMint);
+  }
+
+  /**
+   * Refresh the most overdue token, if any is due
+   */
+  async refreshDue() {
+    // A slow RPC can make one refresh outlast the tick
+    if (this.refreshing) return;
+
+    const now = Date.now();
+    let due = null;
+    for (const [tokenMint, entry] of this.tracked) {
+      if (entry.nextRefreshAt <= now && (!due || entry.nextRefreshAt < due.entry.nextRefreshAt)) {
+        due = { tokenMint, entry };
+      }
+    }
+    if (!due) return;
+
+    this.refreshing = true;
+    try {
+      await this.refresh(due.tokenMint);
+    } finally {
+      this.refreshing = false;
+    }
+  }
+
+  /**
+   * Take one sample and check it against the window
+   * @returns {Object|null} The sample, or null if the refresh failed
+   */
+  async refresh(tokenMint) {
+    const entry = this.tracked.get(tokenMint);
+    if (!entry) return null;
+
+    // Failed refreshes wait a full interval too, rather than retrying every tick
+    entry.nextRefreshAt = Date.now() + this.refreshIntervalMs;
+
+    let sample;
+    try {
+      const { holders } = await enumerateTokenHolders(this.connection, tokenMint, {
+        poolInfo: entry.poolInfo,
+        config: this.config
+      });
+      sample = this.createSample(holders);
+    } catch (error) {
+      this.stats.failures++;
+      logger.debug(`Holder refresh failed for ${tokenMint}: ${error.message}`);
+      return null;
+    }
+
+    // Untracked while the RPC call was in flight
+    if (!this.tracked.has(tokenMint)) return null;
+
+    this.stats.refreshes++;
+    entry.series.push(sample);
+    if (entry.series.length > this.maxSamples) {
+      entry.series.splice(0, entry.series.length - this.maxSamples);
+    }
+
+    for (const signal of this.detectSignals(entry, sample)) {
+      this.raiseSignal(tokenMint, entry, signal);
+    }
+
+    logger.debug(`👥 ${tokenMint}: ${sample.holderCount} holders | top 10 ${sample.top10Share.toFixed(1)}% | Gini ${sample.gini.toFixed(3)}`);
+
+    return sample;
+  }
+
+  createSample(holders) {
+    if (holders.length === 0) {
+      return { timestamp: Date.now(), holderCount: 0, top10Share: 0, gini: 0 };
+    }
+
+    const distribution = this.holderAnalysis.calculateDistribution(holders);
+
+    return {
+      timestamp: Date.now(),
+      holderCount: holders.length,
+      top10Share: distribution.top10Percentage * 100,
+      gini: distribution.giniCoefficient
+    };
+  }
+
+  /**
+   * Compare the latest sample with the earlier samples still inside the window
+   */
+  detectSignals(entry, sample) {
+    const window = entry.series.filter(s => s !== sample && s.timestamp >= sample.timestamp - this.windowMs);
+    if (window.length === 0) return [];
+
+    const signals = [];
+
+    const peakHolders = Math.max(...window.map(s => s.holderCount));
+    const holderDrop = peakHolders > 0 ? ((peakHolders - sample.holderCount) / peakHolders) * 100 : 0;
+
+    if (holderDrop >= this.holderDropPercent) {
+      signals.push({
+        type: HOLDER_SIGNALS.HOLDER_DROP,
+        reason: `Holders down ${holderDrop.toFixed(1)}% (${peakHolders} → ${sample.holderCount}) within ${Math.round(this.windowMs / 60000)} min`,
+        holderDropPercent: holderDrop
+      });
+    }
+
+    const lowTop10 = Math.min(...window.map(s => s.top10Share));
+    const lowGini = Math.min(...window.map(s => s.gini));
+    const top10Rise = sample.top10Share - lowTop10;
+    const giniRise = sample.gini - lowGini;
+
+    if (top10Rise >= this.top10SpikePercent || giniRise >= this.giniSpike) {
+      signals.push({
+        type: HOLDER_SIGNALS.CONCENTRATION_SPIKE,
+        reason: `Concentration spiked: top 10 ${lowTop10.toFixed(1)}% → ${sample.top10Share.toFixed(1)}%, Gini ${lowGini.toFixed(3)} → ${sample.gini.toFixed(3)}`,
+        top10Rise,
+        giniRise
+      });
+    }
+
+    return signals;
+  }
+
+  raiseSignal(tokenMint, entry, signal) {
+    // One signal per type per window - a slow bleed shouldn't repeat every refresh
+    const last = entry.lastSignalAt[signal.type];
+    if (last && Date.now() - last < this.windowMs) return;
+
+    entry.lastSignalAt[signal.type] = Date.now();
+    entry.pendingSignals.push({ ...signal, tokenMint, timestamp: Date.now() });
+    this.stats.signals++;
+
+    logger.warn(`👥 ${signal.type} on ${tokenMint}: ${signal.reason}`);
+  }
+
+  /**
+   * Signals raised since the last call (exit logic drains them on each check)
+   * @returns {Array} [{ type, reason, tokenMint, timestamp, ... }]
+   */
+  consumeSignals(tokenMint) {
+    const entry = this.tracked.get(tokenMint);
+    if (!entry || entry.pendingSignals.length === 0) return [];
+
+    return entry.pendingSignals.splice(0);
+  }
+
+  /**
+   * Recorded samples for a token: [{ timestamp, holderCount, top10Share, gini }]
+   */
+  getSeries(tokenMint) {
+    return this.tracked.get(tokenMint)?.series.slice() || [];
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      tracking: Array.from(this.tracked.entries()).map(([tokenMint, entry]) => ({
+        tokenMint,
+        samples: entry.series.length,
+        latest: entry.series[entry.series.length - 1] || null
+      }))
+    };
+  }
+}
+
+export default HolderTracker;
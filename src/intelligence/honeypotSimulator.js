@@ -0,0 +1,284 @@
+import { PublicKey, LAMPORTS_PER_SOL, ComputeBudgetProgram } from '@solana/web3.js';
+import { AccountLayout, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Honeypot Simulator
+ * Simulates a small buy and an immediate sell of the received tokens and
+ * measures what comes back. Both swaps go into one transaction that only
+ * goes through simulateTransaction - nothing is ever signed or broadcast.
+ *
+ * The buy and the sell run as the same wallet in the same transaction, so the
+ * sell is exactly what a new buyer would face: tokens that block sells from
+ * new buyers while letting insiders out fail here. Signatures aren't verified,
+ * so the payer can be any funded wallet (`honeypot.simulationPayer`); it only
+ * needs the SOL for the buy.
+ */
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Buy and sell together, with account creation on both sides
+const COMPUTE_UNIT_LIMIT = 1_400_000;
+
+// Base fee of the one (unverified) signature
+const SIGNATURE_FEE_LAMPORTS = 5000;
+
+// Payer needs the buy amount plus rent for the token and wSOL accounts and fees
+const PAYER_RESERVE_LAMPORTS = 10_000_000;
+
+export class HoneypotSimulator {
+  /**
+   * @param {Connection} connection
+   * @param {TransactionBuilder} transactionBuilder
+   * @param {Object} config - Bot config (uses the honeypot section)
+   * @param {string} walletPublicKey - Payer when no simulationPayer is configured
+   */
+  constructor(connection, transactionBuilder, config, walletPublicKey) {
+    const options = config.honeypot || {};
+
+    this.connection = connection;
+    this.transactionBuilder = transactionBuilder;
+    this.payer = process.env.HONEYPOT_SIMULATION_PAYER || options.simulationPayer || walletPublicKey;
+
+    this.enabled = options.enabled !== false;
+    this.buyAmountSol = options.buyAmountSol || 0.01;
+    this.slippageBps = options.slippageBps || 2000;
+    this.timeoutMs = options.timeoutMs || 10000;
+
+    this.stats = {
+      simulated: 0,
+      honeypots: 0,
+      inconclusive: 0,
+      timedOut: 0
+    };
+  }
+
+  /**
+   * Simulate a buy -> sell round trip
+   * @param {string} tokenMint
+   * @param {Object} poolInfo - Discovered pool
+   * @returns {Promise<Object>} { tested, sellSucceeded, isHoneypot, roundTripTaxPercent, ... }
+   */
+  async simulateRoundTrip(tokenMint, poolInfo = null) {
+    if (!this.enabled) {
+      return this.inconclusive('Honeypot simulation disabled');
+    }
+
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    let timer;
+
+    try {
+      // Aborting stops the Jupiter requests in flight and every step not started yet
+      const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          this.stats.timedOut++;
+          resolve(this.inconclusive(`Simulation timed out after ${this.timeoutMs}ms`));
+        }, this.timeoutMs);
+      });
+
+      const roundTrip = this.runRoundTrip(tokenMint, poolInfo, controller.signal);
+      // Swallow the abort of a round trip the timeout already answered for
+      roundTrip.catch(() => {});
+
+      const result = await Promise.race([roundTrip, timeout]);
+      result.durationMs = Date.now() - startedAt;
+
+      if (result.isHoneypot) {
+        this.stats.honeypots++;
+        logger.warn(`🍯 Honeypot simulation: sell of ${tokenMint} failed - ${result.error}`);
+      } else if (result.tested) {
+        logger.info(`🍯 Honeypot simulation: ${tokenMint} round trip returned ${result.solOut.toFixed(6)} of ${result.solIn.toFixed(6)} SOL (tax ${result.roundTripTaxPercent.toFixed(1)}%)`);
+      } else {
+        this.stats.inconclusive++;
+        logger.debug(`Honeypot simulation inconclusive for ${tokenMint}: ${result.reason}`);
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error(`Honeypot simulation error for ${tokenMint}:`, error);
+      this.stats.inconclusive++;
+      return this.inconclusive(error.message);
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async runRoundTrip(tokenMint, poolInfo, signal) {
+    this.stats.simulated++;
+
+    const mintPubkey = new PublicKey(tokenMint);
+    const payerPubkey = new PublicKey(this.payer);
+
+    const mintAccount = await this.connection.getAccountInfo(mintPubkey);
+    signal.throwIfAborted();
+    if (!mintAccount) {
+      return this.inconclusive('Mint account not found');
+    }
+
+    const tokenAccount = getAssociatedTokenAddressSync(mintPubkey, payerPubkey, false, mintAccount.owner);
+    const [payerBefore, tokenAccountBefore] = await this.connection.getMultipleAccountsInfo([payerPubkey, tokenAccount]);
+    signal.throwIfAborted();
+
+    const buyLamports = Math.floor(this.buyAmountSol * LAMPORTS_PER_SOL);
+    if (!payerBefore || payerBefore.lamports < buyLamports + PAYER_RESERVE_LAMPORTS) {
+      return this.inconclusive(`Simulation payer ${this.payer} can't fund a ${this.buyAmountSol} SOL buy (set honeypot.simulationPayer to a funded wallet)`);
+    }
+
+    // 1. Quotes: buy SOL -> token, then sell the least the buy can receive
+    const buyQuote = await this.transactionBuilder.getJupiterQuote(SOL_MINT, tokenMint, buyLamports, this.slippageBps, { signal });
+    if (!buyQuote) {
+      return this.inconclusive('No buy route');
+    }
+
+    // The buy's slippage check guarantees at least otherAmountThreshold arrives, transfer fees included
+    const sellAmount = BigInt(buyQuote.otherAmountThreshold);
+    const sellQuote = await this.transactionBuilder.getJupiterQuote(tokenMint, SOL_MINT, sellAmount.toString(), this.slippageBps, { signal });
+    if (!sellQuote) {
+      // Buyable but unroutable back to SOL
+      return this.honeypot({ buyLamports, buyQuote }, 'No sell route', []);
+    }
+
+    // 2. One transaction: buy, then sell as the same wallet
+    const [buy, sell] = await Promise.all([
+      this.transactionBuilder.getJupiterSwapInstructions(this.payer, buyQuote, { signal }),
+      this.transactionBuilder.getJupiterSwapInstructions(this.payer, sellQuote, { signal })
+    ]);
+    signal.throwIfAborted();
+
+    const buyInstructions = [...buy.setupInstructions, buy.swapInstruction, ...buy.cleanupInstructions];
+    const sellInstructions = [...sell.setupInstructions, sell.swapInstruction, ...sell.cleanupInstructions];
+    const instructions = [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: COMPUTE_UNIT_LIMIT }),
+      ...buyInstructions,
+      ...sellInstructions
+    ];
+    const firstSellIndex = 1 + buyInstructions.length;
+
+    let transaction;
+    try {
+      transaction = await this.transactionBuilder.buildVersionedTransaction(
+        instructions,
+        payerPubkey,
+        [...buy.addressLookupTableAccounts, ...sell.addressLookupTableAccounts]
+      );
+      transaction.serialize();
+    } catch (error) {
+      return this.inconclusive(`Round trip doesn't fit one transaction: ${error.message}`);
+    }
+    signal.throwIfAborted();
+
+    let simulation;
+    try {
+      simulation = await this.transactionBuilder.simulateVersionedTransaction(transaction, {
+        accounts: [payerPubkey.toBase58(), tokenAccount.toBase58()]
+      });
+    } catch (error) {
+      const failedIndex = error.simulationError?.InstructionError?.[0];
+      if (failedIndex === undefined || failedIndex < firstSellIndex) {
+        // Trading not open yet, or buys blocked - not a sell honeypot, but worth seeing
+        return { ...this.inconclusive('Buy simulation failed'), buySucceeded: false, error: error.message, logs: error.logs || [] };
+      }
+      return this.honeypot({ buyLamports, buyQuote }, error.message, error.logs || []);
+    }
+
+    const [payerAfter, tokenAccountAfter] = simulation.accounts || [];
+    if (!payerAfter) {
+      return this.inconclusive('Simulation returned no payer state');
+    }
+
+    // Tokens left over after selling the minimum are part of what the buy received
+    const tokensLeft = decodeTokenAmount(tokenAccountAfter) - decodeTokenAmount(toSimulatedAccount(tokenAccountBefore));
+    const tokensReceived = sellAmount + tokensLeft;
+
+    // SOL back: payer and token account (its rent) balance change, plus what was spent on the buy and the fee
+    const lamportsBefore = payerBefore.lamports + (tokenAccountBefore?.lamports || 0);
+    const lamportsAfter = payerAfter.lamports + (tokenAccountAfter?.lamports || 0);
+    const solOutLamports = Math.max(lamportsAfter - lamportsBefore + buyLamports + SIGNATURE_FEE_LAMPORTS, 0);
+
+    // SOL spent on the share of the tokens that was sold
+    const soldLamports = tokensReceived > 0n ? Number(sellAmount * BigInt(buyLamports) / tokensReceived) : buyLamports;
+
+    return {
+      tested: true,
+      buySucceeded: true,
+      sellSucceeded: true,
+      isHoneypot: false,
+      solIn: soldLamports / LAMPORTS_PER_SOL,
+      solOut: solOutLamports / LAMPORTS_PER_SOL,
+      tokensReceived: tokensReceived.toString(),
+      roundTripTaxPercent: lossPercent(solOutLamports, soldLamports),
+      // Shortfall against the quotes - hidden transfer taxes show up here
+      buyTaxPercent: lossPercent(tokensReceived, BigInt(buyQuote.outAmount)),
+      sellTaxPercent: lossPercent(solOutLamports, Number(sellQuote.outAmount)),
+      payer: this.payer,
+      error: null,
+      logs: []
+    };
+  }
+
+  honeypot({ buyLamports, buyQuote }, error, logs) {
+    return {
+      tested: true,
+      buySucceeded: true,
+      sellSucceeded: false,
+      isHoneypot: true,
+      solIn: buyLamports / LAMPORTS_PER_SOL,
+      solOut: 0,
+      tokensReceived: buyQuote.otherAmountThreshold,
+      roundTripTaxPercent: 100,
+      buyTaxPercent: null,
+      sellTaxPercent: 100,
+      payer: this.payer,
+      error,
+      logs
+    };
+  }
+
+  inconclusive(reason) {
+    return {
+      tested: false,
+      reason,
+      buySucceeded: null,
+      sellSucceeded: null,
+      isHoneypot: false,
+      roundTripTaxPercent: null,
+      error: null,
+      logs: []
+    };
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+/**
+ * AccountInfo in the shape simulateTransaction returns accounts (base64 data)
+ */
+function toSimulatedAccount(account) {
+  return account ? { ...account, data: [account.data.toString('base64'), 'base64'] } : null;
+}
+
+/**
+ * Token amount from a simulated account state (base64 SPL token account)
+ */
+function decodeTokenAmount(account) {
+  if (!account?.data) return 0n;
+
+  const data = Buffer.from(account.data[0], 'base64');
+  if (data.length < AccountLayout.span) return 0n;
+
+  return AccountLayout.decode(data).amount;
+}
+
+function lossPercent(received, expected) {
+  if (!expected) return 0;
+  const ratio = Number(received) / Number(expected);
+  return Math.max((1 - ratio) * 100, 0);
+}
+
+export default HoneypotSimulator;
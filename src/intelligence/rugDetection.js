@@ -1,23 +1,122 @@
 import { Connection, PublicKey } from '@solana/web3.js';
-import { TOKEN_PROGRAM_ID } from '@solana/spl-token';
 import { logger } from '../utils/logger.js';
+import { RAYDIUM_AMM_V4_PROGRAM_ID, decodeAmmLpReserve } from './decoders/raydiumAmmV4.js';
+import { RAYDIUM_CPMM_PROGRAM_ID, decodePoolLpSupply } from './decoders/raydiumCpmm.js';
+import { INCINERATOR_ADDRESS, LP_LOCKERS } from './decoders/lpLockers.js';
+import { enumerateTokenHolders } from './tokenHolders.js';
 
 /**
  * Rug Pull Detection Module
  * Analyzes token contracts for common rug pull indicators
  */
 
+// Token-2022 mint extensions (jsonParsed names) and how they can trap or tax a holder.
+// assess(state) returns null when the extension is present but inert (e.g. no delegate set).
+const TOKEN_2022_EXTENSION_RISKS = {
+  permanentDelegate: {
+    assess: (state) => state?.delegate && {
+      severity: 'CRITICAL',
+      impact: -100,
+      message: `Permanent delegate ${state.delegate} can transfer or burn any holder's tokens`
+    }
+  },
+  transferHook: {
+    assess: (state) => state?.programId && {
+      severity: 'CRITICAL',
+      impact: -100,
+      message: `Transfer hook program ${state.programId} runs on every transfer and can block sells`
+    }
+  },
+  nonTransferable: {
+    assess: () => ({
+      severity: 'CRITICAL',
+      impact: -100,
+      message: 'Token is non-transferable - it cannot be sold'
+    })
+  },
+  defaultAccountState: {
+    assess: (state) => state?.accountState === 'frozen' && {
+      severity: 'CRITICAL',
+      impact: -40,
+      message: 'New token accounts start frozen - the issuer must thaw buyers'
+    }
+  },
+  pausableConfig: {
+    assess: (state) => state?.authority && {
+      severity: 'HIGH',
+      impact: -30,
+      message: `Pause authority ${state.authority} can halt all transfers${state.paused ? ' (currently paused)' : ''}`
+    }
+  },
+  confidentialTransferMint: {
+    assess: () => ({
+      severity: 'MEDIUM',
+      impact: -15,
+      message: 'Confidential transfers hide balances - holder analysis is unreliable'
+    })
+  },
+  confidentialTransferFeeConfig: {
+    assess: () => ({
+      severity: 'LOW',
+      impact: -5,
+      message: 'Confidential transfer fees are configured'
+    })
+  },
+  mintCloseAuthority: {
+    assess: (state) => state?.closeAuthority && {
+      severity: 'MEDIUM',
+      impact: -10,
+      message: `Close authority ${state.closeAuthority} can close the mint once supply is zero`
+    }
+  },
+  interestBearingConfig: {
+    assess: () => ({
+      severity: 'LOW',
+      impact: -5,
+      message: 'Interest-bearing mint - displayed amounts drift from raw balances'
+    })
+  },
+  scaledUiAmountConfig: {
+    assess: () => ({
+      severity: 'LOW',
+      impact: -5,
+      message: 'Scaled UI amount - displayed amounts can be rescaled by the issuer'
+    })
+  }
+};
+
+// Descriptive extensions that carry no holder risk
+const INERT_EXTENSIONS = new Set([
+  'metadataPointer',
+  'tokenMetadata',
+  'groupPointer',
+  'tokenGroup',
+  'groupMemberPointer',
+  'tokenGroupMember'
+]);
+
 export class RugDetection {
-  constructor(connection, config) {
+  /**
+   * @param {Connection} connection
+   * @param {Object} config
+   * @param {Object} services - Optional collaborators
+   * @param {HoneypotSimulator} services.honeypotSimulator - Round-trip swap simulator
+   * @param {DeployerReputation} services.deployerReputation - Deployer launch history
+   */
+  constructor(connection, config, services = {}) {
     this.connection = connection;
     this.config = config;
+    this.honeypotSimulator = services.honeypotSimulator || null;
+    this.deployerReputation = services.deployerReputation || null;
   }
 
   /**
    * Comprehensive rug detection analysis
    * Returns safety score (0-100) and detected risks
+   * @param {string} tokenMint
+   * @param {Object} poolInfo - Discovered pool (LP mint, pool program) for liquidity lock checks
    */
-  async analyzeToken(tokenMint) {
+  async analyzeToken(tokenMint, poolInfo = null) {
     logger.info(`Analyzing token ${tokenMint} for rug risks...`);
 
     const risks = [];
@@ -48,8 +147,23 @@ export class RugDetection {
         safetyScore -= 40;
       }
 
-      // 3. Analyze holder distribution
-      const holderAnalysis = await this.analyzeHolderDistribution(tokenMint);
+      // 3. Check Token-2022 extensions (each detected extension is scored separately)
+      const tokenExtensions = await this.checkTokenExtensions(tokenMint);
+      for (const extension of tokenExtensions.extensions) {
+        if (extension.impact === 0) continue;
+
+        risks.push({
+          severity: extension.severity,
+          type: `TOKEN_2022_${toRiskType(extension.extension)}`,
+          message: extension.message,
+          impact: extension.impact,
+          hardReject: extension.hardReject
+        });
+        safetyScore += extension.impact;
+      }
+
+      // 4. Analyze holder distribution
+      const holderAnalysis = await this.analyzeHolderDistribution(tokenMint, poolInfo);
       if (holderAnalysis.topHolderPercentage > 0.3) {
         risks.push({
           severity: 'HIGH',
@@ -60,19 +174,91 @@ export class RugDetection {
         safetyScore -= 20;
       }
 
-      // 4. Check liquidity lock status
-      const liquidityStatus = await this.checkLiquidityLock(tokenMint);
-      if (!liquidityStatus.isLocked && !liquidityStatus.isBurned) {
+      // 5. Check liquidity lock status
+      const liquidityStatus = await this.checkLiquidityLock(tokenMint, poolInfo);
+      if (liquidityStatus.programControlled) {
+        // Bonding-curve liquidity is held by the launch program, not a withdrawable LP
+      } else if (liquidityStatus.lockTooShort) {
+        risks.push({
+          severity: 'HIGH',
+          type: 'LIQUIDITY_LOCK_TOO_SHORT',
+          message: `Liquidity lock ends ${new Date(liquidityStatus.unlockAt * 1000).toISOString()} (< ${liquidityStatus.minLockDays} days)`,
+          impact: -25
+        });
+        safetyScore -= 25;
+      } else if (!liquidityStatus.isLocked && !liquidityStatus.isBurned) {
         risks.push({
           severity: 'HIGH',
           type: 'LIQUIDITY_NOT_LOCKED',
-          message: 'Liquidity is not locked or burned - rug pull possible',
+          message: liquidityStatus.applicable === false
+            ? liquidityStatus.message
+            : `Only ${liquidityStatus.protectedPercent.toFixed(1)}% of LP is burned or locked - rug pull possible`,
           impact: -25
         });
         safetyScore -= 25;
       }
 
-      // 5. Check token age
+      // 6. Simulate a buy -> sell round trip (sell-blocked and high-tax tokens)
+      const honeypot = await this.checkHoneypot(tokenMint, poolInfo);
+      if (honeypot.isHoneypot) {
+        risks.push({
+          severity: 'CRITICAL',
+          type: 'HONEYPOT_SELL_BLOCKED',
+          message: `Simulated sell failed: ${honeypot.error}`,
+          impact: -100,
+          hardReject: true
+        });
+        safetyScore -= 100;
+      } else if (honeypot.roundTripTaxPercent >= honeypot.maxTaxPercent) {
+        risks.push({
+          severity: 'CRITICAL',
+          type: 'HONEYPOT_HIGH_TAX',
+          message: `Simulated round trip loses ${honeypot.roundTripTaxPercent.toFixed(1)}% (max ${honeypot.maxTaxPercent}%)`,
+          impact: -100,
+          hardReject: true
+        });
+        safetyScore -= 100;
+      } else if (honeypot.roundTripTaxPercent >= honeypot.warnTaxPercent) {
+        risks.push({
+          severity: 'HIGH',
+          type: 'HIGH_ROUND_TRIP_TAX',
+          message: `Simulated round trip loses ${honeypot.roundTripTaxPercent.toFixed(1)}%`,
+          impact: -20
+        });
+        safetyScore -= 20;
+      } else if (!honeypot.tested) {
+        risks.push({
+          severity: 'LOW',
+          type: 'HONEYPOT_UNTESTED',
+          message: `Round-trip simulation inconclusive: ${honeypot.reason}`,
+          impact: -5
+        });
+        safetyScore -= 5;
+      }
+
+      // 7. Deployer reputation (previous launches, manual flags)
+      const deployer = this.checkDeployer(poolInfo);
+      if (deployer.reject) {
+        risks.push({
+          severity: 'CRITICAL',
+          type: 'DEPLOYER_BLACKLISTED',
+          message: `Deployer risk ${deployer.riskScore}/100: ${deployer.reasons.join('; ')}`,
+          impact: -100,
+          hardReject: true
+        });
+        safetyScore -= 100;
+      } else if (deployer.riskScore >= deployer.warnRiskScore) {
+        const impact = -Math.round(deployer.riskScore / 4);
+        risks.push({
+          severity: 'HIGH',
+          type: 'RISKY_DEPLOYER',
+          message: `Deployer risk ${deployer.riskScore}/100: ${deployer.reasons.join('; ')}`,
+          impact
+        });
+        safetyScore += impact;
+      }
+
+      // 8. Check token age
       const tokenAge = await this.getTokenAge(tokenMint);
       if (tokenAge < 3600) { // Less than 1 hour old
         risks.push({
@@ -84,7 +270,7 @@ export class RugDetection {
         safetyScore -= 10;
       }
 
-      // 6. Check total holders count
+      // 9. Check total holders count
       if (holderAnalysis.totalHolders < this.config.entry?.minHolders || 50) {
         risks.push({
           severity: 'MEDIUM',
@@ -95,16 +281,31 @@ export class RugDetection {
         safetyScore -= 15;
       }
 
+      // Hard rejects (extensions, honeypots) override the score entirely
+      const hardRejectReasons = risks
+        .filter(risk => risk.hardReject)
+        .map(risk => risk.message);
+
+      if (hardRejectReasons.length > 0) {
+        safetyScore = 0;
+        logger.warn(`⛔ Token ${tokenMint} hard-rejected: ${hardRejectReasons.join('; ')}`);
+      }
+
       const analysis = {
         tokenMint,
         safetyScore: Math.max(0, safetyScore),
         risks,
         recommendation: this.getRecommendation(safetyScore),
+        hardRejected: hardRejectReasons.length > 0,
+        hardRejectReasons,
         details: {
           mintAuthority,
           freezeAuthority,
+          tokenExtensions,
           holderAnalysis,
           liquidityStatus,
+          honeypot,
+          deployer,
           tokenAge
         },
         analyzedAt: Date.now()
@@ -184,37 +385,56 @@ export class RugDetection {
   }
 
   /**
-   * Analyze holder distribution to detect whale concentration
+   * Detect Token-2022 mint extensions and assess each one
+   * Hard-reject list and transfer fee ceiling come from tokenExtensions in strategy.json
    */
-  async analyzeHolderDistribution(tokenMint) {
+  async checkTokenExtensions(tokenMint) {
+    const options = this.config.tokenExtensions || {};
+    const hardReject = new Set(options.hardReject || ['permanentDelegate', 'transferHook']);
+    const maxTransferFeeBps = options.maxTransferFeeBps ?? 100;
+
     try {
       const mintPubkey = new PublicKey(tokenMint);
+      const mintInfo = await this.connection.getParsedAccountInfo(mintPubkey);
 
-      // Get all token accounts for this mint
-      const accounts = await this.connection.getParsedProgramAccounts(
-        TOKEN_PROGRAM_ID,
-        {
-          filters: [
-            {
-              dataSize: 165 // Token account size
-            },
-            {
-              memcmp: {
-                offset: 0,
-                bytes: mintPubkey.toBase58()
-              }
-            }
-          ]
-        }
-      );
+      if (!mintInfo.value) {
+        throw new Error('Mint account not found');
+      }
 
-      const holders = accounts
-        .map(acc => ({
-          owner: acc.account.data.parsed.info.owner,
-          balance: acc.account.data.parsed.info.tokenAmount.uiAmount
-        }))
-        .filter(h => h.balance > 0)
-        .sort((a, b) => b.balance - a.balance);
+      const parsed = mintInfo.value.data.parsed;
+      const isToken2022 = mintInfo.value.data.program === 'spl-token-2022';
+      const extensions = (parsed.info.extensions || []).map(({ extension, state }) => {
+        const assessment = extension === 'transferFeeConfig'
+          ? assessTransferFee(state, maxTransferFeeBps)
+          : assessExtension(extension, state);
+
+        return {
+          extension,
+          ...assessment,
+          hardReject: assessment.impact < 0 && hardReject.has(extension),
+          state
+        };
+      });
+
+      return {
+        isToken2022,
+        extensions
+      };
+
+    } catch (error) {
+      logger.error('Error checking token extensions:', error);
+      return { isToken2022: false, extensions: [], error: error.message };
+    }
+  }
+
+  /**
+   * Analyze holder distribution to detect whale concentration
+   * Pool vaults, bonding curves, burn addresses and exchanges aren't counted as holders
+   */
+  async analyzeHolderDistribution(tokenMint, poolInfo = null) {
+    try {
+      const { holders: tokenHolders } = await enumerateTokenHolders(this.connection, tokenMint, { poolInfo, config: this.config });
+      const holders = tokenHolders.map(h => ({ owner: h.address, balance: h.balance }));
 
       const totalSupply = holders.reduce((sum, h) => sum + h.balance, 0);
       const topHolderPercentage = holders.length > 0 ? holders[0].balance / totalSupply : 0;
@@ -252,33 +472,177 @@ export class RugDetection {
 
   /**
    * Check if liquidity is locked or burned
+   * Measures the LP supply that was burned (supply reduction or incinerator) and
+   * held by known locker programs. Locks ending sooner than filters.minLiquidityLockDays
+   * don't count as protection.
    */
-  async checkLiquidityLock(tokenMint) {
-    // This is complex and depends on the DEX
-    // For Raydium, check if LP tokens are in a known lock contract or burned
-    // For now, return a placeholder
+  async checkLiquidityLock(tokenMint, poolInfo = null) {
+    const minLockDays = this.config.filters?.minLiquidityLockDays ?? 0;
+    const minProtectedPercent = this.config.filters?.minLiquidityProtectedPercent ?? 90;
+
+    const result = {
+      applicable: true,
+      programControlled: false,
+      isLocked: false,
+      isBurned: false,
+      lockTooShort: false,
+      lpMint: poolInfo?.lpMint || null,
+      burnedPercent: 0,
+      lockedPercent: 0,
+      protectedPercent: 0,
+      unlockAt: null,
+      lockDuration: 0,
+      minLockDays,
+      locks: []
+    };
 
-    try {
-      // TODO: Implement actual liquidity lock checking
-      // Check common lock programs: Token Vesting, Bonfida, etc.
+    if (poolInfo?.launchpad === 'pumpfun') {
+      return { ...result, applicable: false, programControlled: true, message: 'Bonding-curve liquidity is held by the pump.fun program' };
+    }
 
+    if (!poolInfo?.lpMint) {
       return {
-        isLocked: false,
-        isBurned: false,
-        lockDuration: 0,
-        message: 'Liquidity lock check not fully implemented'
+        ...result,
+        applicable: false,
+        message: poolInfo
+          ? 'Pool has no fungible LP mint (concentrated-liquidity positions can be withdrawn at any time)'
+          : 'Pool unknown - cannot locate LP mint'
       };
+    }
+
+    try {
+      const lpMint = new PublicKey(poolInfo.lpMint);
+
+      const supply = await this.connection.getTokenSupply(lpMint);
+      const currentSupply = BigInt(supply.value.amount);
+
+      // LP ever issued, as tracked by the pool; burns reduce the mint supply but not this counter
+      const issued = await this.getPoolLpIssued(poolInfo) ?? currentSupply;
+      if (issued === 0n) {
+        return { ...result, message: 'No LP issued' };
+      }
+
+      let burned = issued > currentSupply ? issued - currentSupply : 0n;
+
+      // LP parked with the incinerator is burned too
+      const largest = await this.connection.getTokenLargestAccounts(lpMint);
+      const largestAccounts = largest.value.filter(account => BigInt(account.amount) > 0n);
+      if (largestAccounts.length > 0) {
+        const parsedAccounts = await this.connection.getMultipleParsedAccounts(largestAccounts.map(account => account.address));
+        parsedAccounts.value.forEach((account, i) => {
+          if (account?.data?.parsed?.info?.owner === INCINERATOR_ADDRESS) {
+            burned += BigInt(largestAccounts[i].amount);
+          }
+        });
+      }
+
+      // LP held by locker programs, with each lock's unlock date
+      const now = Math.floor(Date.now() / 1000);
+      let locked = 0n;
+      let qualifiedLocked = 0n;
+
+      for (const locker of LP_LOCKERS) {
+        const lockAccounts = await this.connection.getProgramAccounts(new PublicKey(locker.programId), {
+          filters: [{ memcmp: { offset: locker.mintOffset, bytes: poolInfo.lpMint } }]
+        });
+
+        for (const { pubkey, account } of lockAccounts) {
+          const lock = locker.decode(account.data);
+          if (!lock || (lock.unlockAt !== null && lock.unlockAt <= now)) continue;
+
+          const lockDays = lock.unlockAt === null ? Infinity : (lock.unlockAt - now) / 86400;
+          locked += lock.lockedAmount;
+          if (lockDays >= minLockDays) {
+            qualifiedLocked += lock.lockedAmount;
+          }
+
+          result.locks.push({
+            locker: locker.name,
+            account: pubkey.toBase58(),
+            amount: lock.lockedAmount.toString(),
+            percent: toPercent(lock.lockedAmount, issued),
+            unlockAt: lock.unlockAt,
+            lockDays: lockDays === Infinity ? null : Math.floor(lockDays)
+          });
+        }
+      }
+
+      const unlockTimes = result.locks.map(lock => lock.unlockAt).filter(time => time !== null);
+
+      result.burnedPercent = toPercent(burned, issued);
+      result.lockedPercent = toPercent(locked, issued);
+      result.protectedPercent = Math.min(toPercent(burned + qualifiedLocked, issued), 100);
+      result.unlockAt = unlockTimes.length > 0 ? Math.min(...unlockTimes) : null;
+      result.lockDuration = result.unlockAt ? Math.max(result.unlockAt - now, 0) : 0;
+
+      result.isBurned = result.burnedPercent >= minProtectedPercent;
+      result.isLocked = !result.isBurned && qualifiedLocked > 0n && result.protectedPercent >= minProtectedPercent;
+      // Enough LP is locked, but not for long enough
+      result.lockTooShort = !result.isBurned && !result.isLocked &&
+        toPercent(burned + locked, issued) >= minProtectedPercent;
+
+      return result;
 
     } catch (error) {
       logger.error('Error checking liquidity lock:', error);
       return {
-        isLocked: false,
-        isBurned: false,
+        ...result,
         error: error.message
       };
     }
   }
 
+  /**
+   * LP supply tracked by the pool account (null when the pool program doesn't track it)
+   */
+  async getPoolLpIssued(poolInfo) {
+    const decoders = {
+      [RAYDIUM_AMM_V4_PROGRAM_ID]: (data) => decodeAmmLpReserve(data)?.lpReserve,
+      [RAYDIUM_CPMM_PROGRAM_ID]: (data) => decodePoolLpSupply(data)?.lpSupply
+    };
+
+    const decode = decoders[poolInfo.programId];
+    if (!decode || !poolInfo.poolId) return null;
+
+    const accountInfo = await this.connection.getAccountInfo(new PublicKey(poolInfo.poolId));
+    if (!accountInfo) return null;
+
+    return decode(accountInfo.data) ?? null;
+  }
+
+  /**
+   * Round-trip swap simulation with the configured tax thresholds
+   */
+  async checkHoneypot(tokenMint, poolInfo = null) {
+    const options = this.config.honeypot || {};
+    const thresholds = {
+      maxTaxPercent: options.maxRoundTripTaxPercent ?? 25,
+      warnTaxPercent: options.warnRoundTripTaxPercent ?? 10
+    };
+
+    if (!this.honeypotSimulator) {
+      return { tested: false, reason: 'No simulator configured', isHoneypot: false, roundTripTaxPercent: null, ...thresholds };
+    }
+
+    const result = await this.honeypotSimulator.simulateRoundTrip(tokenMint, poolInfo);
+    return { ...result, ...thresholds };
+  }
+
+  /**
+   * Reputation of the token's deployer wallets
+   */
+  checkDeployer(poolInfo = null) {
+    if (!this.deployerReputation) {
+      return { riskScore: 0, reject: false, known: false, reasons: [], deployers: [], warnRiskScore: Infinity };
+    }
+
+    const addresses = poolInfo?.deployers || [poolInfo?.creator];
+    return {
+      ...this.deployerReputation.assess(addresses),
+      warnRiskScore: this.deployerReputation.warnRiskScore
+    };
+  }
+
   /**
    * Get token age in seconds
    */
@@ -338,3 +702,58 @@ export class RugDetection {
     };
   }
 }
+
+/**
+ * Score a non-fee extension from the risk table
+ */
+function assessExtension(extension, state) {
+  if (INERT_EXTENSIONS.has(extension)) {
+    return { severity: 'INFO', impact: 0, message: `${extension} (no holder risk)` };
+  }
+
+  const rule = TOKEN_2022_EXTENSION_RISKS[extension];
+  if (!rule) {
+    return { severity: 'LOW', impact: -5, message: `Unrecognized Token-2022 extension: ${extension}` };
+  }
+
+  return rule.assess(state) || { severity: 'INFO', impact: 0, message: `${extension} present but inactive` };
+}
+
+/**
+ * Transfer fees tax every buy and sell; an authority can raise them later
+ */
+function assessTransferFee(state, maxTransferFeeBps) {
+  const feeBps = Math.max(
+    state?.olderTransferFee?.transferFeeBasisPoints || 0,
+    state?.newerTransferFee?.transferFeeBasisPoints || 0
+  );
+  const canChange = Boolean(state?.transferFeeConfigAuthority);
+
+  if (feeBps > maxTransferFeeBps) {
+    return {
+      severity: 'HIGH',
+      impact: -30,
+      feeBps,
+      message: `Transfer fee ${(feeBps / 100).toFixed(2)}% exceeds ${(maxTransferFeeBps / 100).toFixed(2)}% maximum`
+    };
+  }
+
+  if (feeBps > 0 || canChange) {
+    return {
+      severity: 'MEDIUM',
+      impact: -10,
+      feeBps,
+      message: `Transfer fee ${(feeBps / 100).toFixed(2)}%${canChange ? ' (fee authority can raise it)' : ''}`
+    };
+  }
+
+  return { severity: 'INFO', impact: 0, feeBps, message: 'Transfer fee extension with zero fee and no authority' };
+}
+
+function toPercent(part, total) {
+  return total > 0n ? Number((part * 10000n) / total) / 100 : 0;
+}
+
+function toRiskType(extension) {
+  return extension.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
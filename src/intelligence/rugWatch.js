@@ -0,0 +1,282 @@
+import { PublicKey } from '@solana/web3.js';
+import { AccountLayout, MintLayout, AccountState, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Rug Watch
+ * Watches the pool and mint of every open position and fires as soon as the
+ * exit liquidity is pulled or the token's authorities change under us:
+ * - LP mint supply shrinking (liquidity withdrawn and LP burned)
+ * - the paired (SOL) vault draining, on pools without an LP mint to watch
+ * - mint or freeze authority appearing on a mint that had none
+ * - new supply minted
+ * - our own token account getting frozen
+ *
+ * Only LIQUIDITY_REMOVED proves the liquidity was pulled: a drained vault can
+ * just as well be holders dumping, so it fires LIQUIDITY_DRAINED instead.
+ * Every trigger carries liquidityRemaining, the share of the paired vault
+ * (or LP supply) left versus its peak, null when the vault isn't watched.
+ *
+ * Each token fires once; the subscriptions are dropped right before onTrigger runs.
+ */
+
+export const RUG_TRIGGERS = {
+  LIQUIDITY_REMOVED: 'RUG_LIQUIDITY_REMOVED',
+  LIQUIDITY_DRAINED: 'RUG_LIQUIDITY_DRAINED',
+  MINT_AUTHORITY_ENABLED: 'RUG_MINT_AUTHORITY_ENABLED',
+  FREEZE_AUTHORITY_ENABLED: 'RUG_FREEZE_AUTHORITY_ENABLED',
+  ACCOUNT_FROZEN: 'RUG_ACCOUNT_FROZEN'
+};
+
+export class RugWatch {
+  /**
+   * @param {Connection} connection
+   * @param {Object} config - Bot config (uses the rugWatch section)
+   * @param {Function} onTrigger - (tokenMint, { type, reason, liquidityRemaining }) => Promise, routes the position out
+   */
+  constructor(connection, config = {}, onTrigger = null) {
+    const options = config.rugWatch || {};
+
+    this.connection = connection;
+    this.onTrigger = onTrigger;
+
+    this.enabled = options.enabled !== false;
+    this.liquidityDropPercent = options.liquidityDropPercent ?? 50;
+    this.lpWithdrawPercent = options.lpWithdrawPercent ?? 10;
+
+    this.watched = new Map(); // tokenMint -> { subscriptions, triggered }
+    this.stats = {
+      watched: 0,
+      triggers: 0
+    };
+  }
+
+  /**
+   * Subscribe to the pool vaults, LP mint and token mint of a position
+   * @param {string} tokenMint
+   * @param {Object} poolInfo - Discovered pool (vaults, mints, LP mint)
+   * @param {Object} options - { owner } wallet holding the position (watches its token account for freezes)
+   */
+  async track(tokenMint, poolInfo = null, { owner = null } = {}) {
+    if (!this.enabled || this.watched.has(tokenMint)) return;
+
+    const entry = { subscriptions: [], triggered: false, lpWatched: false, vault: null };
+    this.watched.set(tokenMint, entry);
+
+    let targets;
+    let accounts;
+    try {
+      targets = this.getTargets(tokenMint, poolInfo);
+      if (owner) {
+        targets.push(await this.getTokenAccountTarget(tokenMint, owner));
+      }
+
+      accounts = await this.connection.getMultipleAccountsInfo(targets.map(target => new PublicKey(target.address)));
+    } catch (error) {
+      if (this.watched.get(tokenMint) === entry) this.watched.delete(tokenMint);
+      throw error;
+    }
+
+    // Position closed while we were reading the baseline
+    if (this.watched.get(tokenMint) !== entry) return;
+
+    targets.forEach((target, index) => {
+      const baseline = accounts[index] ? target.decode(accounts[index].data) : null;
+      if (!baseline) return;
+
+      const state = { ...target, baseline, peak: baseline, current: baseline };
+      if (target.kind === 'lpMint') entry.lpWatched = true;
+      if (target.kind === 'vault') entry.vault = state;
+
+      entry.subscriptions.push(this.connection.onAccountChange(
+        new PublicKey(target.address),
+        (accountInfo) => this.handleChange(tokenMint, state, accountInfo),
+        'confirmed'
+      ));
+    });
+
+    this.stats.watched++;
+    logger.info(`🛡️ Rug watch on ${tokenMint}: ${entry.subscriptions.length} accounts (${targets.map(t => t.kind).join(', ')})`);
+  }
+
+  /**
+   * Drop the subscriptions (position closed)
+   */
+  async untrack(tokenMint) {
+    const entry = this.watched.get(tokenMint);
+    if (!entry) return;
+
+    this.watched.delete(tokenMint);
+
+    for (const subscriptionId of entry.subscriptions) {
+      try {
+        await this.connection.removeAccountChangeListener(subscriptionId);
+      } catch (error) {
+        logger.debug(`Failed to remove rug watch subscription ${subscriptionId}: ${error.message}`);
+      }
+    }
+  }
+
+  async stop() {
+    for (const tokenMint of Array.from(this.watched.keys())) {
+      await this.untrack(tokenMint);
+    }
+  }
+
+  /**
+   * Accounts to watch, each with a decoder for the fields we compare
+   */
+  getTargets(tokenMint, poolInfo) {
+    const targets = [{ kind: 'mint', address: tokenMint, decode: decodeMint }];
+
+    if (poolInfo?.lpMint) {
+      targets.push({ kind: 'lpMint', address: poolInfo.lpMint, decode: decodeMint });
+    }
+
+    // Buys drain the token side, so only the paired side measures liquidity
+    const pairedVault = poolInfo?.baseMint === tokenMint ? poolInfo?.quoteVault : poolInfo?.baseVault;
+    if (pairedVault) {
+      targets.push({ kind: 'vault', address: pairedVault, decode: decodeTokenAccount });
+    }
+
+    return targets;
+  }
+
+  /**
+   * Our associated token account (Token or Token-2022, whichever owns the mint)
+   */
+  async getTokenAccountTarget(tokenMint, owner) {
+    const mintPubkey = new PublicKey(tokenMint);
+    const mintAccount = await this.connection.getAccountInfo(mintPubkey);
+    const tokenAccount = getAssociatedTokenAddressSync(mintPubkey, new PublicKey(owner), false, mintAccount?.owner);
+
+    return { kind: 'tokenAccount', address: tokenAccount.toBase58(), decode: decodeTokenAccount };
+  }
+
+  handleChange(tokenMint, state, accountInfo) {
+    const entry = this.watched.get(tokenMint);
+    if (!entry || entry.triggered) return;
+
+    const current = state.decode(accountInfo.data);
+    const trigger = this.detect(state, current, entry);
+
+    state.current = current;
+    if (state.kind === 'vault' && current && current.amount > state.peak.amount) {
+      state.peak = current;
+    }
+
+    if (trigger) {
+      this.fire(tokenMint, entry, trigger);
+    }
+  }
+
+  /**
+   * Compare an account update with the state when the watch started
+   * @param {Object} entry - Watch of the token (lpWatched: the LP mint decides on liquidity)
+   * @returns {Object|null} { type, reason, liquidityRemaining? }
+   */
+  detect(state, current, entry = {}) {
+    const { kind, baseline, peak } = state;
+
+    if (kind === 'mint') {
+      if (!current) return null;
+      if (!baseline.mintAuthority && current.mintAuthority) {
+        return { type: RUG_TRIGGERS.MINT_AUTHORITY_ENABLED, reason: `Mint authority re-enabled (${current.mintAuthority})` };
+      }
+      if (current.supply > baseline.supply && current.mintAuthority) {
+        return { type: RUG_TRIGGERS.MINT_AUTHORITY_ENABLED, reason: `Supply minted: ${baseline.supply} → ${current.supply}` };
+      }
+      if (!baseline.freezeAuthority && current.freezeAuthority) {
+        return { type: RUG_TRIGGERS.FREEZE_AUTHORITY_ENABLED, reason: `Freeze authority enabled (${current.freezeAuthority})` };
+      }
+      return null;
+    }
+
+    if (kind === 'lpMint') {
+      const remaining = current ? current.supply : 0n;
+      const withdrawn = percentDrop(baseline.supply, remaining);
+      if (withdrawn >= this.lpWithdrawPercent) {
+        return {
+          type: RUG_TRIGGERS.LIQUIDITY_REMOVED,
+          reason: `${withdrawn.toFixed(1)}% of LP supply withdrawn`,
+          liquidityRemaining: 1 - withdrawn / 100
+        };
+      }
+      return null;
+    }
+
+    if (kind === 'vault') {
+      // With an LP mint, withdrawals show up there; the vault alone can't tell a pull from a dump
+      if (entry.lpWatched) return null;
+
+      const remaining = current ? current.amount : 0n;
+      const drained = percentDrop(peak.amount, remaining);
+      if (drained >= this.liquidityDropPercent) {
+        return {
+          type: RUG_TRIGGERS.LIQUIDITY_DRAINED,
+          reason: `Pool vault down ${drained.toFixed(1)}% from its peak`,
+          liquidityRemaining: 1 - drained / 100
+        };
+      }
+      return null;
+    }
+
+    if (kind === 'tokenAccount' && current?.state === AccountState.Frozen) {
+      return { type: RUG_TRIGGERS.ACCOUNT_FROZEN, reason: 'Our token account was frozen' };
+    }
+
+    return null;
+  }
+
+  fire(tokenMint, entry, trigger) {
+    entry.triggered = true;
+    if (trigger.liquidityRemaining === undefined) {
+      trigger.liquidityRemaining = entry.vault
+        ? 1 - percentDrop(entry.vault.peak.amount, entry.vault.current ? entry.vault.current.amount : 0n) / 100
+        : null;
+    }
+    this.stats.triggers++;
+
+    logger.error(`🚨 RUG WATCH ${trigger.type} on ${tokenMint}: ${trigger.reason}`);
+
+    this.untrack(tokenMint)
+      .then(() => this.onTrigger?.(tokenMint, trigger))
+      .catch(error => logger.error(`Rug watch exit failed for ${tokenMint}:`, error));
+  }
+
+  isWatching(tokenMint) {
+    return this.watched.has(tokenMint);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      watching: Array.from(this.watched.keys())
+    };
+  }
+}
+
+function decodeMint(data) {
+  if (!data || data.length < MintLayout.span) return null;
+
+  const mint = MintLayout.decode(data.subarray(0, MintLayout.span));
+  return {
+    supply: mint.supply,
+    mintAuthority: mint.mintAuthorityOption ? mint.mintAuthority.toBase58() : null,
+    freezeAuthority: mint.freezeAuthorityOption ? mint.freezeAuthority.toBase58() : null
+  };
+}
+
+function decodeTokenAccount(data) {
+  if (!data || data.length < AccountLayout.span) return null;
+
+  const account = AccountLayout.decode(data.subarray(0, AccountLayout.span));
+  return { amount: account.amount, state: account.state };
+}
+
+function percentDrop(from, to) {
+  if (!from || from <= 0n || to >= from) return 0;
+  return Number(((from - to) * 10000n) / from) / 100;
+}
+
+export default RugWatch;
@@ -0,0 +1,207 @@
+import fs from 'fs';
+import { logger } from '../../utils/logger.js';
+import { SentimentProvider } from './sentimentProvider.js';
+
+/**
+ * Lexicon Sentiment
+ * Built-in sentiment provider: sums the weights (-4..4) of known words,
+ * phrases, crypto slang and emojis, then adjusts for
+ * - negation ("not bullish", "don't buy") flipping the next few terms
+ * - boosters and dampeners ("very", "kinda") scaling the next term
+ * - ALL CAPS emphasis and exclamation marks
+ *
+ * Terms are whole tokens, so "rug" no longer matches "drug" and "$RUG" (a
+ * cashtag) is not read as a rug call.
+ *
+ * Custom terms come from `social.sentiment.lexicon` ({ term: weight }, null
+ * removes a built-in term) and the JSON files in `social.sentiment.lexiconFiles`.
+ */
+
+export const DEFAULT_LEXICON = {
+  // Crypto slang - positive
+  'moon': 2, 'mooning': 2.5, 'to the moon': 3, 'lfg': 2.5, 'wagmi': 2.5, 'gem': 2, 'hidden gem': 2.5,
+  'bullish': 2.5, 'pump': 1.5, 'pumping': 2, 'ath': 2, 'breakout': 2, 'send it': 2.5, 'sending': 2,
+  'ape': 1.5, 'aped': 1.5, 'aping': 1.5, 'based': 1.5, 'hodl': 1.5, 'diamond hands': 2, 'safu': 2,
+  'alpha': 1, 'early': 1.5, 'undervalued': 2, 'buy': 1, 'buying': 1, 'gains': 2, 'gain': 1.5,
+  'profit': 1.5, 'legit': 2, 'rocket': 2, '100x': 2.5, '10x': 2, 'gm': 0.5, 'fren': 0.5,
+  'ser': 0, // address term: recognized, carries no sentiment
+
+  // General - positive
+  'good': 1.5, 'great': 2, 'love': 2, 'amazing': 2.5, 'strong': 1.5, 'solid': 1.5, 'huge': 1.5, 'win': 1.5,
+
+  // Crypto slang - negative
+  'rug': -3.5, 'rugged': -3.5, 'rugging': -3.5, 'rugpull': -3.5, 'rug pull': -3.5, 'scam': -3.5,
+  'scammer': -3.5, 'honeypot': -3.5, 'exit scam': -3.5, 'dev sold': -3, 'drained': -3, 'fraud': -3.5,
+  'dump': -2, 'dumping': -2.5, 'dumped': -2, 'sell': -1, 'selling': -1.5, 'sold': -1, 'bearish': -2.5,
+  'ngmi': -2.5, 'rekt': -2.5, 'jeet': -1.5, 'jeets': -1.5, 'paper hands': -1, 'bundled': -2, 'cabal': -1.5,
+  'fake': -2.5, 'avoid': -2.5, 'warning': -2, 'crash': -2.5, 'dead': -2.5, 'bagholder': -2,
+
+  // General - negative
+  'bad': -2, 'trash': -2.5, 'loss': -2, 'lost': -2, 'down': -1, 'red': -1, 'worst': -3, 'hate': -2.5,
+
+  // Emojis
+  '🚀': 2, '💎': 1.5, '🔥': 1.5, '📈': 2, '💰': 1.5, '🌕': 2, '🙌': 1, '✅': 1, '🤑': 2, '😍': 2,
+  '⚠': -2, '🚨': -2, '📉': -2, '💀': -2, '🤡': -2, '🚩': -2.5, '❌': -1.5, '😭': -1.5, '🩸': -2
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'dont', "don't", 'doesnt', "doesn't", 'didnt', "didn't", 'isnt', "isn't",
+  'wasnt', "wasn't", 'aint', "ain't", 'wont', "won't", 'cant', "can't", 'without', 'nothing', 'nobody', 'nor'
+]);
+
+const BOOSTERS = {
+  'very': 1.5, 'super': 1.5, 'so': 1.3, 'really': 1.3, 'extremely': 1.8, 'insanely': 1.8, 'massively': 1.8,
+  'absolutely': 1.5, 'totally': 1.5, 'mega': 1.5, 'hella': 1.5, 'fucking': 1.5, 'literally': 1.2,
+  'slightly': 0.5, 'kinda': 0.5, 'somewhat': 0.5, 'maybe': 0.6, 'bit': 0.6, 'little': 0.6, 'prob': 0.7
+};
+
+// Clause breaks end a negation's scope ("don't buy, dev sold")
+const CLAUSE_BREAKS = new Set([',', '.', ';', ':', '?', 'but']);
+
+const NEGATION_SCOPE = 3; // Tokens after a negation that get flipped
+const NEGATION_FACTOR = -0.75;
+const CAPS_FACTOR = 1.3;
+const EXCLAMATION_BOOST = 0.1; // Per "!", up to 3
+const NORMALIZATION_ALPHA = 15; // score = sum / sqrt(sum^2 + alpha)
+const FULL_CONFIDENCE_TERMS = 3;
+
+// Words (with $ for cashtags and ' for contractions), emojis, "!" and clause punctuation
+const TOKEN_PATTERN = /[\p{L}\p{N}_$'’]+|\p{Extended_Pictographic}|[!,.;:?]/gu;
+
+export class LexiconSentimentProvider extends SentimentProvider {
+  /**
+   * @param {Object} config - social.sentiment ({ lexicon, lexiconFiles })
+   */
+  constructor(config = {}) {
+    super(config);
+
+    this.lexicon = new Map(Object.entries(DEFAULT_LEXICON));
+    for (const file of config.lexiconFiles || []) {
+      this.extend(readLexicon(file));
+    }
+    this.extend(config.lexicon || {});
+
+    this.maxPhraseLength = Math.max(...Array.from(this.lexicon.keys()).map(term => term.split(' ').length));
+  }
+
+  get name() {
+    return 'lexicon';
+  }
+
+  /**
+   * Add or override terms (a null weight removes the term)
+   */
+  extend(terms) {
+    for (const [term, weight] of Object.entries(terms)) {
+      const key = term.toLowerCase().trim();
+      if (weight === null) {
+        this.lexicon.delete(key);
+      } else if (Number.isFinite(weight)) {
+        this.lexicon.set(key, weight);
+      } else {
+        logger.warn(`Ignoring sentiment lexicon term "${term}": weight must be a number`);
+      }
+    }
+  }
+
+  /**
+   * @returns {Object} { score (-1..1), confidence (0..1), matches: [{ term, weight }] }
+   */
+  score(text) {
+    const tokens = tokenize(text || '');
+    const hasLowercase = tokens.some(token => /\p{Ll}/u.test(token.raw));
+    const matches = [];
+
+    let negationLeft = 0;
+    let booster = 1;
+    let exclamations = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (token.text === '!') {
+        exclamations++;
+        continue;
+      }
+      if (CLAUSE_BREAKS.has(token.text)) {
+        negationLeft = 0;
+        booster = 1;
+        continue;
+      }
+      if (NEGATIONS.has(token.text)) {
+        negationLeft = NEGATION_SCOPE;
+        continue;
+      }
+      if (BOOSTERS[token.text]) {
+        booster *= BOOSTERS[token.text];
+        continue;
+      }
+
+      const match = this.matchAt(tokens, i);
+      if (match) {
+        let weight = match.weight * booster;
+        // Caps only emphasize when the rest of the text isn't shouted too
+        if (hasLowercase && isAllCaps(token.raw)) weight *= CAPS_FACTOR;
+        if (negationLeft > 0) weight *= NEGATION_FACTOR;
+
+        matches.push({ term: match.term, weight });
+        i += match.length - 1;
+      }
+
+      booster = 1;
+      negationLeft = Math.max(0, negationLeft - (match?.length || 1));
+    }
+
+    const sentimentMatches = matches.filter(match => match.weight !== 0);
+    let sum = sentimentMatches.reduce((total, match) => total + match.weight, 0);
+    sum *= 1 + EXCLAMATION_BOOST * Math.min(3, exclamations);
+
+    const positive = sentimentMatches.filter(match => match.weight > 0).reduce((total, match) => total + match.weight, 0);
+    const negative = -sentimentMatches.filter(match => match.weight < 0).reduce((total, match) => total + match.weight, 0);
+
+    // Confident when several terms matched and they agree
+    const coverage = Math.min(1, sentimentMatches.length / FULL_CONFIDENCE_TERMS);
+    const agreement = positive + negative > 0 ? Math.abs(positive - negative) / (positive + negative) : 0;
+
+    return {
+      score: sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA),
+      confidence: coverage * agreement,
+      matches
+    };
+  }
+
+  /**
+   * Longest lexicon phrase starting at token i
+   */
+  matchAt(tokens, i) {
+    for (let length = Math.min(this.maxPhraseLength, tokens.length - i); length > 0; length--) {
+      const term = tokens.slice(i, i + length).map(token => token.text).join(' ');
+      if (this.lexicon.has(term)) {
+        return { term, weight: this.lexicon.get(term), length };
+      }
+    }
+    return null;
+  }
+}
+
+function tokenize(text) {
+  return Array.from(text.matchAll(TOKEN_PATTERN), ([raw]) => ({
+    raw,
+    text: raw.toLowerCase().replace(/’/g, "'")
+  }));
+}
+
+function isAllCaps(word) {
+  return word.length > 1 && /\p{Lu}/u.test(word) && !/\p{Ll}/u.test(word);
+}
+
+function readLexicon(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    logger.warn(`Failed to load sentiment lexicon ${file}: ${error.message}`);
+    return {};
+  }
+}
+
+export default LexiconSentimentProvider;
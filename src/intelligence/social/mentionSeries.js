@@ -0,0 +1,205 @@
+/**
+ * Mention Series
+ * Rolling per-token time series of social mentions, engagement and unique
+ * authors in fixed buckets, and the momentum derived from it:
+ * - velocity: rate over the last velocity window (per minute)
+ * - acceleration: change in velocity against the window before it (per minute²)
+ * - growth: velocity against the baseline rate over the baseline window before that
+ *
+ * A single search snapshot can't tell a pump that is starting from one that
+ * is fading; the shape of the series can.
+ */
+
+export const MOMENTUM_TRENDS = {
+  RISING: 'RISING',
+  STEADY: 'STEADY',
+  FADING: 'FADING'
+};
+
+const METRICS = ['mentions', 'engagement', 'uniqueAuthors'];
+
+export class MentionSeries {
+  /**
+   * @param {Object} config - Bot config (uses social.momentum)
+   */
+  constructor(config = {}) {
+    const options = config.social?.momentum || {};
+
+    this.bucketMs = (options.bucketSeconds || 60) * 1000;
+    this.velocityWindowMs = (options.velocityWindowMinutes || 5) * 60000;
+    this.baselineWindowMs = (options.baselineWindowMinutes || 30) * 60000;
+    this.retentionMs = Math.max(
+      (options.retentionMinutes || 120) * 60000,
+      2 * this.velocityWindowMs + this.baselineWindowMs
+    );
+    this.minMentions = options.minMentions ?? 5;
+
+    this.series = new Map(); // key -> { buckets: Map(start -> bucket), seen: Map(id -> timestamp) }
+  }
+
+  /**
+   * Record one mention (tweets seen both in a search and on the stream count once)
+   * @param {string} key - Token mint (or symbol when the mint is unknown)
+   * @param {Object} mention - { id, timestamp, authorId, engagement }
+   * @returns {boolean} Whether the mention was new
+   */
+  record(key, { id = null, timestamp = Date.now(), authorId = null, engagement = 0 } = {}) {
+    if (!key || timestamp < Date.now() - this.retentionMs) return false;
+
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { buckets: new Map(), seen: new Map() };
+      this.series.set(key, entry);
+    }
+
+    if (id) {
+      if (entry.seen.has(id)) return false;
+      entry.seen.set(id, timestamp);
+    }
+
+    const start = Math.floor(timestamp / this.bucketMs) * this.bucketMs;
+    let bucket = entry.buckets.get(start);
+    if (!bucket) {
+      bucket = { start, mentions: 0, engagement: 0, authors: new Set() };
+      entry.buckets.set(start, bucket);
+    }
+
+    bucket.mentions++;
+    bucket.engagement += engagement;
+    if (authorId) bucket.authors.add(String(authorId));
+
+    this.prune(entry);
+    return true;
+  }
+
+  prune(entry) {
+    const cutoff = Date.now() - this.retentionMs;
+
+    for (const start of entry.buckets.keys()) {
+      if (start + this.bucketMs < cutoff) entry.buckets.delete(start);
+    }
+    for (const [id, timestamp] of entry.seen) {
+      if (timestamp < cutoff) entry.seen.delete(id);
+    }
+  }
+
+  remove(key) {
+    this.series.delete(key);
+  }
+
+  /**
+   * Buckets as { start, mentions, engagement, uniqueAuthors }, oldest first
+   */
+  getSeries(key) {
+    const entry = this.series.get(key);
+    if (!entry) return [];
+
+    this.prune(entry);
+    return Array.from(entry.buckets.values())
+      .sort((a, b) => a.start - b.start)
+      .map(bucket => ({
+        start: bucket.start,
+        mentions: bucket.mentions,
+        engagement: bucket.engagement,
+        uniqueAuthors: bucket.authors.size
+      }));
+  }
+
+  /**
+   * Velocity, acceleration and growth per metric, and a socialMomentum score
+   * (0-100, 50 = activity holding steady)
+   * @returns {Object} { available, socialMomentum, trend, mentions: { velocity, acceleration, growth }, ... }
+   */
+  getMomentum(key, now = Date.now()) {
+    const entry = this.series.get(key);
+    if (entry) this.prune(entry);
+
+    const buckets = entry ? Array.from(entry.buckets.values()) : [];
+    const totalMentions = buckets.reduce((sum, bucket) => sum + bucket.mentions, 0);
+
+    if (totalMentions < this.minMentions) {
+      return {
+        available: false,
+        message: `Not enough mentions (${totalMentions}/${this.minMentions})`,
+        totalMentions,
+        socialMomentum: null,
+        trend: null
+      };
+    }
+
+    const velocityMinutes = this.velocityWindowMs / 60000;
+    const baselineMinutes = this.baselineWindowMs / 60000;
+
+    const current = aggregate(buckets, now - this.velocityWindowMs, now);
+    const previous = aggregate(buckets, now - 2 * this.velocityWindowMs, now - this.velocityWindowMs);
+    const baseline = aggregate(buckets, now - this.velocityWindowMs - this.baselineWindowMs, now - this.velocityWindowMs);
+
+    const metrics = Object.fromEntries(METRICS.map(metric => {
+      const velocity = current[metric] / velocityMinutes;
+      const previousVelocity = previous[metric] / velocityMinutes;
+      const baselineRate = baseline[metric] / baselineMinutes;
+
+      return [metric, {
+        velocity,
+        acceleration: (velocity - previousVelocity) / velocityMinutes,
+        growth: baselineRate > 0 ? velocity / baselineRate : (velocity > 0 ? Infinity : 1)
+      }];
+    }));
+
+    // Relative change between the two velocity windows (-1..1)
+    const mentionChange = relativeChange(current.mentions, previous.mentions);
+    const engagementChange = relativeChange(current.engagement, previous.engagement);
+    const change = (mentionChange + engagementChange) / 2;
+
+    // Share of mentions from distinct authors in the current window (0..1)
+    const breadth = current.mentions > 0 ? current.uniqueAuthors / current.mentions : 0;
+
+    return {
+      available: true,
+      totalMentions,
+      ...metrics,
+      breadth,
+      trend: change > 0.1 ? MOMENTUM_TRENDS.RISING : change < -0.1 ? MOMENTUM_TRENDS.FADING : MOMENTUM_TRENDS.STEADY,
+      socialMomentum: scoreMomentum(metrics.mentions.growth, change, breadth)
+    };
+  }
+
+  getStats() {
+    return {
+      tokens: this.series.size,
+      buckets: Array.from(this.series.values()).reduce((sum, entry) => sum + entry.buckets.size, 0)
+    };
+  }
+}
+
+/**
+ * Sum of mentions and engagement, and distinct authors, over [from, to)
+ */
+function aggregate(buckets, from, to) {
+  const inRange = buckets.filter(bucket => bucket.start >= from && bucket.start < to);
+  const authors = new Set(inRange.flatMap(bucket => Array.from(bucket.authors)));
+
+  return {
+    mentions: inRange.reduce((sum, bucket) => sum + bucket.mentions, 0),
+    engagement: inRange.reduce((sum, bucket) => sum + bucket.engagement, 0),
+    uniqueAuthors: authors.size
+  };
+}
+
+function relativeChange(current, previous) {
+  const larger = Math.max(current, previous);
+  return larger > 0 ? (current - previous) / larger : 0;
+}
+
+/**
+ * 50 at steady activity; up to +30 for growth over the baseline (4x = full),
+ * ±20 for acceleration, scaled down when a few authors make most of the noise
+ */
+function scoreMomentum(growth, change, breadth) {
+  const growthPart = Math.max(-1, Math.min(1, Math.log2(Math.max(growth, 1e-6)) / 2));
+  const score = (50 + 30 * growthPart + 20 * change) * (0.7 + 0.3 * breadth);
+
+  return Math.round(Math.max(0, Math.min(100, score)));
+}
+
+export default MentionSeries;
@@ -0,0 +1,56 @@
+/**
+ * Sentiment Provider
+ * Base class for text sentiment scorers used by SocialMonitor. A provider
+ * scores one text at a time; SocialMonitor turns scores into positive /
+ * negative / neutral labels, so providers can be swapped through
+ * `social.sentiment.provider` without touching the platform analyzers.
+ *
+ * Subclasses provide:
+ * - name
+ * - score(text): { score, confidence, ... } (or a Promise of it)
+ *   - score: -1 (very negative) to 1 (very positive)
+ *   - confidence: 0 (no signal) to 1
+ */
+export class SentimentProvider {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  get name() {
+    return 'base';
+  }
+
+  async score(text) {
+    throw new Error(`${this.name}: score() not implemented`);
+  }
+}
+
+/**
+ * Totals over labeled scores ({ score, confidence, label, weight })
+ * Results count by their weight (default 1), e.g. down-weighted shill tweets
+ * @returns {Object} { positive, negative, ratio, averageScore, averageConfidence }
+ *   averageScore is confidence-weighted
+ */
+export function summarizeSentiment(results) {
+  const weightOf = result => result.weight ?? 1;
+  const total = results.reduce((sum, result) => sum + weightOf(result), 0);
+  const count = label => results
+    .filter(result => result.label === label)
+    .reduce((sum, result) => sum + weightOf(result), 0);
+
+  const positive = count('positive');
+  const negative = count('negative');
+  const totalConfidence = results.reduce((sum, result) => sum + result.confidence * weightOf(result), 0);
+
+  return {
+    positive,
+    negative,
+    ratio: total > 0 ? (positive - negative) / total : 0,
+    averageScore: totalConfidence > 0
+      ? results.reduce((sum, result) => sum + result.score * result.confidence * weightOf(result), 0) / totalConfidence
+      : 0,
+    averageConfidence: total > 0 ? totalConfidence / total : 0
+  };
+}
+
+export default SentimentProvider;
@@ -0,0 +1,38 @@
+import { LexiconSentimentProvider } from './lexiconSentiment.js';
+
+/**
+ * Sentiment Provider Registry
+ * Maps `social.sentiment.provider` names to provider classes
+ */
+
+const providers = new Map([
+  ['lexicon', LexiconSentimentProvider]
+]);
+
+/**
+ * Register an additional provider class under a config name
+ */
+export function registerSentimentProvider(name, ProviderClass) {
+  providers.set(name, ProviderClass);
+}
+
+/**
+ * Instantiate the provider named in `social.sentiment.provider` (default: lexicon)
+ */
+export function createSentimentProvider(sentimentConfig = {}) {
+  const name = sentimentConfig.provider || 'lexicon';
+  const ProviderClass = providers.get(name);
+
+  if (!ProviderClass) {
+    throw new Error(`Unknown sentiment provider "${name}" (${getRegisteredSentimentProviders().join(', ')})`);
+  }
+
+  return new ProviderClass(sentimentConfig);
+}
+
+/**
+ * Names of all registered providers
+ */
+export function getRegisteredSentimentProviders() {
+  return Array.from(providers.keys());
+}
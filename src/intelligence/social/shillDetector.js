@@ -0,0 +1,196 @@
+/**
+ * Shill Detector
+ * Flags coordinated promotion in a batch of tweets about one token:
+ * - near-duplicate text (copy-paste campaigns, templated bot replies)
+ * - authors with very new accounts or few followers for how many they follow
+ * - bursts where a handful of authors produce most of the tweets
+ * - contract-address spam (the CA and little else)
+ *
+ * Each tweet gets a weight: 1 when clean, `flaggedWeight` with one signal,
+ * 0 (excluded) from `excludeAtSignals` signals on.
+ */
+
+export const SHILL_SIGNALS = {
+  DUPLICATE_TEXT: 'DUPLICATE_TEXT',
+  NEW_ACCOUNT: 'NEW_ACCOUNT',
+  LOW_FOLLOWER_RATIO: 'LOW_FOLLOWER_RATIO',
+  AUTHOR_BURST: 'AUTHOR_BURST',
+  CA_SPAM: 'CA_SPAM'
+};
+
+// Base58 strings of Solana address length
+const ADDRESS_PATTERN = /\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/g;
+
+export class ShillDetector {
+  /**
+   * @param {Object} config - Bot config (uses social.shillDetection)
+   */
+  constructor(config = {}) {
+    const options = config.social?.shillDetection || {};
+
+    this.enabled = options.enabled !== false;
+    this.duplicateSimilarity = options.duplicateSimilarity ?? 0.8;
+    this.minAccountAgeDays = options.minAccountAgeDays ?? 30;
+    this.minFollowers = options.minFollowers ?? 25;
+    this.minFollowerRatio = options.minFollowerRatio ?? 0.1;
+    this.burstWindowMs = (options.burstWindowMinutes ?? 10) * 60000;
+    this.burstMinTweets = options.burstMinTweets ?? 8;
+    this.burstMaxAuthorRatio = options.burstMaxAuthorRatio ?? 0.3;
+    this.caSpamMaxWords = options.caSpamMaxWords ?? 3;
+    this.flaggedWeight = options.flaggedWeight ?? 0.25;
+    this.excludeAtSignals = options.excludeAtSignals ?? 2;
+  }
+
+  /**
+   * @param {Array} tweets - v2 tweets ({ id, text, author_id, created_at })
+   * @param {Map} users - author_id -> v2 user ({ created_at, public_metrics })
+   * @returns {Object} { weights: Map(id -> 0..1), flags: Map(id -> [signals]), organicRatio, flaggedTweets, excludedTweets, signalCounts }
+   */
+  analyze(tweets, users = new Map()) {
+    const flags = new Map(tweets.map(tweet => [tweet.id, new Set()]));
+
+    if (this.enabled) {
+      this.flagDuplicates(tweets, flags);
+      this.flagAuthors(tweets, users, flags);
+      this.flagBursts(tweets, flags);
+      this.flagAddressSpam(tweets, flags);
+    }
+
+    const weights = new Map();
+    const signalCounts = Object.fromEntries(Object.values(SHILL_SIGNALS).map(signal => [signal, 0]));
+
+    for (const [id, signals] of flags) {
+      signals.forEach(signal => signalCounts[signal]++);
+      weights.set(id, signals.size === 0 ? 1 : signals.size >= this.excludeAtSignals ? 0 : this.flaggedWeight);
+    }
+
+    const flaggedTweets = Array.from(flags.values()).filter(signals => signals.size > 0).length;
+
+    return {
+      weights,
+      flags: new Map(Array.from(flags, ([id, signals]) => [id, Array.from(signals)])),
+      organicRatio: tweets.length > 0 ? (tweets.length - flaggedTweets) / tweets.length : 1,
+      flaggedTweets,
+      excludedTweets: Array.from(weights.values()).filter(weight => weight === 0).length,
+      signalCounts
+    };
+  }
+
+  /**
+   * Tweets whose word shingles overlap another tweet's by duplicateSimilarity (Jaccard)
+   */
+  flagDuplicates(tweets, flags) {
+    const shingles = tweets.map(tweet => toShingles(tweet.text));
+
+    for (let i = 0; i < tweets.length; i++) {
+      for (let j = i + 1; j < tweets.length; j++) {
+        if (jaccard(shingles[i], shingles[j]) >= this.duplicateSimilarity) {
+          flags.get(tweets[i].id).add(SHILL_SIGNALS.DUPLICATE_TEXT);
+          flags.get(tweets[j].id).add(SHILL_SIGNALS.DUPLICATE_TEXT);
+        }
+      }
+    }
+  }
+
+  /**
+   * New accounts and accounts following far more than follow them
+   */
+  flagAuthors(tweets, users, flags) {
+    const minCreatedAt = Date.now() - this.minAccountAgeDays * 86400000;
+
+    for (const tweet of tweets) {
+      const user = users.get(tweet.author_id);
+      if (!user) continue;
+
+      if (user.created_at && Date.parse(user.created_at) > minCreatedAt) {
+        flags.get(tweet.id).add(SHILL_SIGNALS.NEW_ACCOUNT);
+      }
+
+      const followers = user.public_metrics?.followers_count ?? null;
+      const following = user.public_metrics?.following_count ?? 0;
+      if (followers !== null &&
+          (followers < this.minFollowers || followers / Math.max(following, 1) < this.minFollowerRatio)) {
+        flags.get(tweet.id).add(SHILL_SIGNALS.LOW_FOLLOWER_RATIO);
+      }
+    }
+  }
+
+  /**
+   * Windows of burstMinTweets+ tweets written by few distinct authors; the
+   * authors posting repeatedly inside such a window are flagged
+   */
+  flagBursts(tweets, flags) {
+    const timed = tweets
+      .filter(tweet => tweet.created_at)
+      .map(tweet => ({ tweet, time: Date.parse(tweet.created_at) }))
+      .sort((a, b) => a.time - b.time);
+
+    let start = 0;
+    for (let end = 0; end < timed.length; end++) {
+      while (timed[end].time - timed[start].time > this.burstWindowMs) start++;
+
+      const window = timed.slice(start, end + 1);
+      if (window.length < this.burstMinTweets) continue;
+
+      const perAuthor = new Map();
+      window.forEach(({ tweet }) => perAuthor.set(tweet.author_id, (perAuthor.get(tweet.author_id) || 0) + 1));
+      if (perAuthor.size / window.length > this.burstMaxAuthorRatio) continue;
+
+      window
+        .filter(({ tweet }) => perAuthor.get(tweet.author_id) > 1)
+        .forEach(({ tweet }) => flags.get(tweet.id).add(SHILL_SIGNALS.AUTHOR_BURST));
+    }
+  }
+
+  /**
+   * Tweets that are an address (or several) with next to no words around it
+   */
+  flagAddressSpam(tweets, flags) {
+    for (const tweet of tweets) {
+      const addresses = new Set(tweet.text?.match(ADDRESS_PATTERN) || []);
+      if (addresses.size === 0) continue;
+
+      const words = stripNoise(tweet.text.replace(ADDRESS_PATTERN, ' ')).split(' ').filter(Boolean);
+      if (addresses.size > 1 || words.length <= this.caSpamMaxWords) {
+        flags.get(tweet.id).add(SHILL_SIGNALS.CA_SPAM);
+      }
+    }
+  }
+}
+
+/**
+ * Lowercase words without links, @handles, cashtags, numbers and symbols
+ */
+function stripNoise(text = '') {
+  return text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[@$#]\w+/g, ' ')
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Word 3-grams; texts under three words ("LFG") are too short to call duplicates
+ */
+function toShingles(text = '') {
+  const words = stripNoise(text).split(' ').filter(Boolean);
+  if (words.length < 3) return new Set();
+
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - 3; i++) {
+    shingles.add(words.slice(i, i + 3).join(' '));
+  }
+  return shingles;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  a.forEach(item => b.has(item) && shared++);
+  return shared / (a.size + b.size - shared);
+}
+
+export default ShillDetector;
@@ -0,0 +1,204 @@
+import { logger } from '../../utils/logger.js';
+import { summarizeSentiment } from './sentimentProvider.js';
+
+/**
+ * Telegram Activity
+ * Keeps a rolling window of messages and member joins from the configured
+ * group chats and measures, per token (cashtag, symbol or mint mentioned),
+ * message rate, unique posters, joins in the chats discussing it and
+ * message sentiment.
+ */
+
+export class TelegramActivity {
+  /**
+   * @param {Object} source - Update source (see telegramSources.js)
+   * @param {Object} config - Bot config (uses social.telegram)
+   * @param {Object} options - { scoreText } text => Promise<{ score, confidence, label }>
+   */
+  constructor(source, config = {}, { scoreText = async () => ({ score: 0, confidence: 0, label: 'neutral' }) } = {}) {
+    const options = config.social?.telegram || {};
+
+    this.source = source;
+    this.scoreText = scoreText;
+    this.chats = new Set((options.chats || []).map(String));
+    this.windowMs = (options.windowMinutes || 60) * 60000;
+    this.maxMessages = options.maxMessages || 5000;
+
+    this.messages = []; // { chatId, date, authorId, text }
+    this.joins = []; // { chatId, date, count }
+    this.chatInfo = [];
+    this.running = false;
+    this.stats = {
+      updates: 0,
+      ignored: 0
+    };
+  }
+
+  async start() {
+    if (this.running || !this.source) return;
+
+    this.running = true;
+    await this.source.start((update) => this.handleUpdate(update));
+
+    this.chatInfo = await this.source.describeChats();
+    const chatNames = this.chatInfo.map(chat => `${chat.title} (${chat.members})`).join(', ');
+    logger.info(`📨 Telegram activity tracking via ${this.source.name}${chatNames ? `: ${chatNames}` : ''}`);
+  }
+
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    await this.source.stop();
+  }
+
+  handleUpdate(update) {
+    const message = update.message || update.channel_post;
+    if (!message?.chat) return;
+
+    this.stats.updates++;
+
+    const chatId = String(message.chat.id);
+    if (this.chats.size > 0 && !this.chats.has(chatId) && !this.chats.has(`@${message.chat.username}`)) {
+      this.stats.ignored++;
+      return;
+    }
+
+    const date = (message.date || Math.floor(Date.now() / 1000)) * 1000;
+
+    if (message.new_chat_members?.length) {
+      this.joins.push({ chatId, date, count: message.new_chat_members.length });
+    }
+
+    const text = message.text || message.caption;
+    if (text) {
+      this.messages.push({
+        chatId,
+        date,
+        authorId: String(message.from?.id ?? message.sender_chat?.id ?? chatId),
+        text
+      });
+    }
+
+    this.prune();
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+
+    while (this.messages.length > 0 && (this.messages[0].date < cutoff || this.messages.length > this.maxMessages)) {
+      this.messages.shift();
+    }
+    while (this.joins.length > 0 && this.joins[0].date < cutoff) {
+      this.joins.shift();
+    }
+  }
+
+  /**
+   * Activity around a token within the window
+   * @returns {Object} { available, recentMessages, messagesPerHour, uniquePosters, chats, newMemberJoins, ... score }
+   */
+  async analyze(tokenSymbol, tokenMint) {
+    if (!this.running) {
+      return {
+        available: false,
+        message: 'Telegram source not running',
+        score: 0
+      };
+    }
+
+    this.prune();
+
+    const mentions = this.messages.filter(message => mentionsToken(message.text, tokenSymbol, tokenMint));
+    const chatIds = new Set(mentions.map(message => message.chatId));
+    const uniquePosters = new Set(mentions.map(message => message.authorId)).size;
+
+    // Joins only count in chats where the token is being discussed
+    const newMemberJoins = this.joins
+      .filter(join => chatIds.has(join.chatId))
+      .reduce((sum, join) => sum + join.count, 0);
+
+    const sentiment = summarizeSentiment(await Promise.all(mentions.map(message => this.scoreText(message.text))));
+
+    const windowHours = this.windowMs / 3600000;
+    const metrics = {
+      recentMessages: mentions.length,
+      messagesPerHour: mentions.length / windowHours,
+      uniquePosters,
+      chats: chatIds.size,
+      newMemberJoins,
+      positiveMessages: sentiment.positive,
+      negativeMessages: sentiment.negative,
+      sentimentRatio: sentiment.ratio,
+      averageSentiment: sentiment.averageScore,
+      sentimentConfidence: sentiment.averageConfidence
+    };
+
+    return {
+      available: true,
+      source: this.source.name,
+      windowMinutes: this.windowMs / 60000,
+      groupMembers: this.chatInfo.reduce((sum, chat) => sum + chat.members, 0),
+      ...metrics,
+      score: this.calculateScore(metrics)
+    };
+  }
+
+  /**
+   * Telegram activity score (0-100)
+   */
+  calculateScore(metrics) {
+    let score = 0;
+
+    // Message rate (max 35 points)
+    if (metrics.messagesPerHour > 100) score += 35;
+    else if (metrics.messagesPerHour > 50) score += 25;
+    else if (metrics.messagesPerHour > 20) score += 15;
+    else if (metrics.messagesPerHour > 5) score += 5;
+
+    // Unique posters - breadth, not one person spamming (max 25 points)
+    if (metrics.uniquePosters > 50) score += 25;
+    else if (metrics.uniquePosters > 20) score += 15;
+    else if (metrics.uniquePosters > 5) score += 5;
+
+    // New members joining the chats discussing it (max 20 points)
+    if (metrics.newMemberJoins > 100) score += 20;
+    else if (metrics.newMemberJoins > 30) score += 10;
+    else if (metrics.newMemberJoins > 5) score += 5;
+
+    // Sentiment (max 20 points)
+    if (metrics.sentimentRatio > 0.5) score += 20;
+    else if (metrics.sentimentRatio > 0.2) score += 10;
+    else if (metrics.sentimentRatio < -0.2) score -= 10;
+
+    return Math.max(0, Math.min(100, score));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      running: this.running,
+      source: this.source?.name || null,
+      messagesInWindow: this.messages.length,
+      chats: this.chatInfo
+    };
+  }
+}
+
+/**
+ * Cashtag (any case), the mint, or the symbol as a standalone word (exact case)
+ */
+function mentionsToken(text, tokenSymbol, tokenMint) {
+  if (tokenMint && text.includes(tokenMint)) return true;
+  if (!tokenSymbol) return false;
+
+  const symbol = escapeRegExp(tokenSymbol);
+  return new RegExp(`\\$${symbol}(?![\\w])`, 'i').test(text) ||
+    new RegExp(`(^|[^\\w$])${symbol}(?![\\w])`).test(text);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default TelegramActivity;
@@ -0,0 +1,173 @@
+import fs from 'fs';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Telegram Update Sources
+ * Where TelegramActivity gets its updates from. A source calls onUpdate with
+ * raw Telegram Bot API Update objects ({ update_id, message | channel_post }).
+ *
+ * - TelegrafUpdateSource: a bot account added to the configured groups (privacy
+ *   mode off, so it receives every message), long polling
+ * - MockTelegramSource: updates from a JSON / JSONL file or pushed in code, for offline runs
+ */
+
+export class TelegrafUpdateSource {
+  /**
+   * @param {Telegraf} bot
+   * @param {Array} chats - Chat ids or @usernames to read (empty = every chat the bot is in)
+   */
+  constructor(bot, chats = []) {
+    this.bot = bot;
+    this.chats = chats;
+    this.running = false;
+  }
+
+  get name() {
+    return 'telegram';
+  }
+
+  async start(onUpdate) {
+    if (this.running) return;
+
+    this.bot.on(['message', 'channel_post'], (ctx) => onUpdate(ctx.update));
+
+    // Polling runs until stop(); launch() only resolves then
+    this.bot.launch({ allowedUpdates: ['message', 'channel_post'] })
+      .catch(error => {
+        this.running = false;
+        logger.error('Telegram polling stopped:', error);
+      });
+    this.running = true;
+  }
+
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    try {
+      this.bot.stop('shutdown');
+    } catch (error) {
+      logger.debug(`Telegram bot stop: ${error.message}`);
+    }
+  }
+
+  /**
+   * Configured chats the bot can actually read, with member counts
+   * @returns {Promise<Array>} [{ chat, id, title, members }] (unreadable chats are logged and left out)
+   */
+  async describeChats() {
+    const chats = [];
+
+    for (const chat of this.chats) {
+      try {
+        const info = await this.bot.telegram.getChat(chat);
+        const members = await this.bot.telegram.getChatMembersCount(chat);
+        chats.push({ chat, id: info.id, title: info.title || info.username || String(info.id), members });
+      } catch (error) {
+        logger.warn(`📨 Telegram bot cannot read ${chat} (add the bot to the group): ${error.message}`);
+      }
+    }
+
+    return chats;
+  }
+}
+
+export class MockTelegramSource {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSON array or JSONL file of Update objects
+   * @param {Array} options.updates - Updates given in code (used when no file)
+   * @param {number} options.speed - 0 delivers everything at start, otherwise replays the gaps between
+   *   message dates divided by speed
+   * @param {boolean} options.rebase - Shift dates so the last update happens now (default true)
+   */
+  constructor({ file = null, updates = [], speed = 0, rebase = true } = {}) {
+    this.file = file;
+    this.updates = updates;
+    this.speed = speed;
+    this.rebase = rebase;
+    this.timers = [];
+    this.onUpdate = null;
+    this.running = false;
+  }
+
+  get name() {
+    return 'mock';
+  }
+
+  async start(onUpdate) {
+    if (this.running) return;
+
+    this.onUpdate = onUpdate;
+    this.running = true;
+
+    const updates = this.file ? readUpdates(this.file) : this.updates;
+    const shifted = this.rebase ? rebaseDates(updates) : updates;
+    logger.info(`📨 Mock Telegram source: replaying ${shifted.length} updates${this.file ? ` from ${this.file}` : ''}`);
+
+    if (!this.speed) {
+      shifted.forEach(update => onUpdate(update));
+      return;
+    }
+
+    const first = messageDate(shifted[0]) || 0;
+    for (const update of shifted) {
+      const delayMs = ((messageDate(update) || first) - first) * 1000 / this.speed;
+      this.timers.push(setTimeout(() => this.running && onUpdate(update), delayMs));
+    }
+  }
+
+  /**
+   * Deliver an update right away (dates default to now)
+   */
+  push(update) {
+    if (!this.running) return;
+
+    const message = update.message || update.channel_post;
+    if (message && !message.date) message.date = Math.floor(Date.now() / 1000);
+    this.onUpdate(update);
+  }
+
+  async stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+
+  async describeChats() {
+    return [];
+  }
+}
+
+/**
+ * Read updates from a JSON array or a JSONL file (one update per line)
+ */
+export function readUpdates(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8').trim();
+  if (!text) return [];
+
+  if (text.startsWith('[')) {
+    return JSON.parse(text);
+  }
+
+  return text.split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+function messageDate(update) {
+  return (update?.message || update?.channel_post)?.date;
+}
+
+function rebaseDates(updates) {
+  const dates = updates.map(messageDate).filter(Boolean);
+  if (dates.length === 0) return updates;
+
+  const offset = Math.floor(Date.now() / 1000) - Math.max(...dates);
+
+  return updates.map(update => {
+    const key = update.message ? 'message' : update.channel_post ? 'channel_post' : null;
+    if (!key || !update[key].date) return update;
+    return { ...update, [key]: { ...update[key], date: update[key].date + offset } };
+  });
+}
@@ -0,0 +1,294 @@
+import { ETwitterStreamEvent } from 'twitter-api-v2';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Twitter Stream Manager
+ * One shared filtered stream for every token we follow. Each token gets one
+ * stream rule, tagged `<tagPrefix><token>`, shared by all its subscribers and
+ * deleted when the last one leaves; matching tweets fan out to the
+ * subscribers of every rule they matched.
+ *
+ * Rules carrying our prefix that we didn't add (left behind by an earlier run)
+ * are deleted before the first rule is added, so restarts don't pile up rules
+ * against the account's limit. Dropped connections reconnect with
+ * exponential backoff (longer when rate limited).
+ */
+
+const TWEET_FIELDS = ['created_at', 'public_metrics', 'author_id'];
+const USER_FIELDS = ['username', 'public_metrics', 'created_at'];
+
+export class TwitterStreamManager {
+  /**
+   * @param {TwitterApi} client
+   * @param {Object} config - Bot config (uses social.twitterStream)
+   */
+  constructor(client, config = {}) {
+    const options = config.social?.twitterStream || {};
+
+    this.client = client;
+    this.tagPrefix = options.tagPrefix || 'memecoin-trader:';
+    this.maxRules = options.maxRules ?? 25;
+    this.minBackoffMs = options.minBackoffMs ?? 1000;
+    this.rateLimitBackoffMs = options.rateLimitBackoffMs ?? 60000;
+    this.maxBackoffMs = options.maxBackoffMs ?? 300000;
+
+    this.rules = new Map(); // tag -> { tag, value, id, subscribers, ready }
+    this.stream = null;
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.attempts = 0;
+    this.staleRulesCleared = null;
+    this.stopped = false;
+
+    this.stats = {
+      tweets: 0,
+      unmatched: 0,
+      rulesAdded: 0,
+      rulesRemoved: 0,
+      staleRulesRemoved: 0,
+      reconnects: 0
+    };
+  }
+
+  /**
+   * Follow a token; the rule is shared with earlier subscribers of the same key
+   * @param {string} key - Token mint (or symbol)
+   * @param {string} value - Rule query, e.g. "$PEPE OR <mint>"
+   * @param {Function} callback - (tweet, includes) for every matching tweet
+   * @returns {Promise<Function>} Unsubscribe
+   */
+  async subscribe(key, value, callback) {
+    const tag = this.tagPrefix + key;
+    let rule = this.rules.get(tag);
+
+    if (!rule) {
+      if (this.rules.size >= this.maxRules) {
+        throw new Error(`Stream rule limit reached (${this.maxRules}), not following ${key}`);
+      }
+
+      rule = { tag, value, id: null, subscribers: new Set(), ready: null };
+      this.rules.set(tag, rule);
+      rule.ready = this.addRule(rule);
+    }
+
+    rule.subscribers.add(callback);
+
+    try {
+      await rule.ready;
+    } catch (error) {
+      this.rules.delete(tag);
+      throw error;
+    }
+
+    this.stopped = false;
+    this.ensureConnected();
+
+    return () => this.unsubscribe(key, callback);
+  }
+
+  /**
+   * Drop a subscriber; the rule goes with the last one, the stream with the last rule
+   */
+  async unsubscribe(key, callback) {
+    const tag = this.tagPrefix + key;
+    const rule = this.rules.get(tag);
+    if (!rule) return;
+
+    rule.subscribers.delete(callback);
+    if (rule.subscribers.size > 0) return;
+
+    this.rules.delete(tag);
+    if (this.rules.size === 0) {
+      this.disconnect();
+    }
+
+    try {
+      await rule.ready;
+
+      // Followed again while the rule was being set up: the new rule reuses it
+      if (this.rules.has(tag)) return;
+
+      await this.deleteRules([rule.id]);
+      this.stats.rulesRemoved++;
+      logger.info(`🐦 Stream rule removed: ${tag}`);
+    } catch (error) {
+      logger.warn(`Failed to remove stream rule ${tag}: ${error.message}`);
+    }
+  }
+
+  async addRule(rule) {
+    if (!this.staleRulesCleared) {
+      this.staleRulesCleared = this.clearStaleRules();
+    }
+    await this.staleRulesCleared;
+
+    const result = await this.client.v2.updateStreamRules({ add: [{ value: rule.value, tag: rule.tag }] });
+
+    // An identical rule already on the account comes back as a DuplicateRule error carrying its id
+    rule.id = result.data?.[0]?.id || result.errors?.find(error => error.id)?.id || null;
+    if (!rule.id) {
+      throw new Error(`Stream rule rejected: ${result.errors?.map(error => error.title || error.detail).join(', ') || 'no id returned'}`);
+    }
+
+    this.stats.rulesAdded++;
+    logger.info(`🐦 Stream rule added: ${rule.tag} (${rule.value})`);
+  }
+
+  /**
+   * Delete our rules from earlier runs (same prefix, not followed now)
+   */
+  async clearStaleRules() {
+    try {
+      const existing = await this.client.v2.streamRules();
+      const stale = (existing.data || [])
+        .filter(rule => rule.tag?.startsWith(this.tagPrefix) && !this.rules.get(rule.tag)?.id);
+
+      if (stale.length > 0) {
+        await this.deleteRules(stale.map(rule => rule.id));
+        this.stats.staleRulesRemoved += stale.length;
+        logger.info(`🐦 Removed ${stale.length} stale stream rules`);
+      }
+    } catch (error) {
+      logger.warn(`Failed to clear stale stream rules: ${error.message}`);
+    }
+  }
+
+  async deleteRules(ids) {
+    const valid = ids.filter(Boolean);
+    if (valid.length === 0) return;
+
+    await this.client.v2.updateStreamRules({ delete: { ids: valid } });
+  }
+
+  ensureConnected() {
+    if (this.stream || this.connecting || this.reconnectTimer || this.rules.size === 0) return;
+
+    this.connecting = this.connect().finally(() => {
+      this.connecting = null;
+    });
+  }
+
+  async connect() {
+    const stream = this.client.v2.searchStream({
+      'tweet.fields': TWEET_FIELDS,
+      'user.fields': USER_FIELDS,
+      expansions: ['author_id'],
+      autoConnect: false
+    });
+
+    stream.on(ETwitterStreamEvent.Data, (tweet) => this.dispatch(tweet));
+    stream.on(ETwitterStreamEvent.ConnectionLost, () => this.handleDisconnect(stream, new Error('connection lost')));
+    stream.on(ETwitterStreamEvent.ConnectionError, (error) => this.handleDisconnect(stream, error));
+    stream.on(ETwitterStreamEvent.ConnectionClosed, () => this.handleDisconnect(stream, new Error('connection closed')));
+
+    try {
+      // Reconnects are ours, so they share the backoff and see the current rule set
+      await stream.connect({ autoReconnect: false });
+
+      if (this.stopped || this.rules.size === 0) {
+        stream.close();
+        return;
+      }
+
+      this.stream = stream;
+      this.attempts = 0;
+      logger.info(`🐦 Twitter stream connected (${this.rules.size} rules)`);
+    } catch (error) {
+      stream.close();
+      this.scheduleReconnect(error);
+    }
+  }
+
+  handleDisconnect(stream, error) {
+    if (stream !== this.stream) return;
+
+    this.stream = null;
+    stream.close();
+    this.scheduleReconnect(error);
+  }
+
+  scheduleReconnect(error) {
+    if (this.stopped || this.rules.size === 0 || this.reconnectTimer) return;
+
+    const rateLimited = error?.rateLimitError || error?.code === 429;
+    const base = rateLimited ? this.rateLimitBackoffMs : this.minBackoffMs;
+    const delayMs = Math.min(this.maxBackoffMs, base * 2 ** this.attempts) * (0.8 + Math.random() * 0.4);
+    this.attempts++;
+
+    logger.warn(`🐦 Twitter stream down (${error?.message || 'unknown error'}), reconnecting in ${(delayMs / 1000).toFixed(1)}s`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.stats.reconnects++;
+      this.ensureConnected();
+    }, delayMs);
+  }
+
+  /**
+   * Fan a tweet out to the subscribers of every rule it matched
+   */
+  dispatch(tweet) {
+    this.stats.tweets++;
+
+    const rules = (tweet.matching_rules || [])
+      .map(match => this.rules.get(match.tag))
+      .filter(Boolean);
+
+    if (rules.length === 0) {
+      this.stats.unmatched++;
+      return;
+    }
+
+    for (const rule of rules) {
+      for (const callback of rule.subscribers) {
+        try {
+          callback(tweet.data, tweet.includes);
+        } catch (error) {
+          logger.error(`Stream subscriber for ${rule.tag} failed:`, error);
+        }
+      }
+    }
+  }
+
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const stream = this.stream;
+    this.stream = null;
+    stream?.close();
+  }
+
+  /**
+   * Close the stream and delete every rule we added
+   */
+  async stop() {
+    this.stopped = true;
+    this.disconnect();
+
+    const rules = Array.from(this.rules.values());
+    this.rules.clear();
+
+    try {
+      await Promise.allSettled(rules.map(rule => rule.ready));
+      await this.deleteRules(rules.map(rule => rule.id));
+      this.stats.rulesRemoved += rules.filter(rule => rule.id).length;
+    } catch (error) {
+      logger.warn(`Failed to remove stream rules: ${error.message}`);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      connected: Boolean(this.stream),
+      rules: Array.from(this.rules.values()).map(rule => ({
+        tag: rule.tag,
+        value: rule.value,
+        subscribers: rule.subscribers.size
+      }))
+    };
+  }
+}
+
+export default TwitterStreamManager;
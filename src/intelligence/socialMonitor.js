@@ -1,6 +1,13 @@
 import { TwitterApi } from 'twitter-api-v2';
 import { Telegraf } from 'telegraf';
 import { logger } from '../utils/logger.js';
+import { TelegramActivity } from './social/telegramActivity.js';
+import { TelegrafUpdateSource, MockTelegramSource } from './social/telegramSources.js';
+import { createSentimentProvider } from './social/sentimentRegistry.js';
+import { summarizeSentiment } from './social/sentimentProvider.js';
+import { MentionSeries, MOMENTUM_TRENDS } from './social/mentionSeries.js';
+import { ShillDetector } from './social/shillDetector.js';
+import { TwitterStreamManager } from './social/twitterStream.js';
 
 /**
  * Social Sentiment Monitoring Module
@@ -11,8 +18,23 @@ export class SocialMonitor {
   constructor(config) {
     this.config = config;
     this.twitterClient = null;
+    this.twitterStream = null;
     this.telegramBot = null;
+    this.telegramActivity = null;
     this.mentionCache = new Map();
+    this.shillDetector = new ShillDetector(config);
+
+    // Mention series per token, fed by searches and the live stream of open positions
+    const momentumConfig = config.social?.momentum || {};
+    this.mentionSeries = new MentionSeries(config);
+    this.momentumEnabled = momentumConfig.enabled !== false;
+    this.momentumExitBelow = momentumConfig.exitBelow ?? 25;
+    this.monitored = new Map(); // tokenMint -> { tokenSymbol, stream, lastSignalAt }
+
+    const sentimentConfig = config.social?.sentiment || {};
+    this.sentimentProvider = createSentimentProvider(sentimentConfig);
+    this.neutralBand = sentimentConfig.neutralBand ?? 0.05;
+    this.minConfidence = sentimentConfig.minConfidence ?? 0.2;
 
     this.initialize();
   }
@@ -25,6 +47,7 @@ export class SocialMonitor {
     if (process.env.TWITTER_BEARER_TOKEN) {
       try {
         this.twitterClient = new TwitterApi(process.env.TWITTER_BEARER_TOKEN);
+        this.twitterStream = new TwitterStreamManager(this.twitterClient, this.config);
         logger.info('Twitter client initialized');
       } catch (error) {
         logger.warn('Failed to initialize Twitter client:', error.message);
@@ -40,6 +63,42 @@ export class SocialMonitor {
         logger.warn('Failed to initialize Telegram bot:', error.message);
       }
     }
+
+    // Telegram group activity (a recorded update file replaces the bot for offline runs)
+    const telegramConfig = this.config.social?.telegram || {};
+    if (telegramConfig.enabled !== false) {
+      const mockFile = process.env.TELEGRAM_MOCK_UPDATES_FILE || telegramConfig.mockUpdatesFile;
+      const source = mockFile
+        ? new MockTelegramSource({ file: mockFile, speed: telegramConfig.mockReplaySpeed || 0 })
+        : this.telegramBot && new TelegrafUpdateSource(this.telegramBot, telegramConfig.chats || []);
+
+      if (source) {
+        this.telegramActivity = new TelegramActivity(source, this.config, {
+          scoreText: (text) => this.scoreText(text)
+        });
+      }
+    }
+  }
+
+  /**
+   * Start listening to the Telegram groups
+   */
+  async start() {
+    if (!this.telegramActivity) return;
+
+    try {
+      await this.telegramActivity.start();
+    } catch (error) {
+      logger.warn('Failed to start Telegram activity tracking:', error.message);
+    }
+  }
+
+  async stop() {
+    for (const tokenMint of Array.from(this.monitored.keys())) {
+      this.untrack(tokenMint);
+    }
+    await this.twitterStream?.stop();
+    await this.telegramActivity?.stop();
   }
 
   /**
@@ -52,12 +111,16 @@ export class SocialMonitor {
       tokenSymbol,
       tokenMint,
       twitter: await this.analyzeTwitter(tokenSymbol, tokenMint),
-      telegram: await this.analyzeTelegram(tokenSymbol),
+      telegram: await this.analyzeTelegram(tokenSymbol, tokenMint),
+      momentum: null,
       overallScore: 0,
       recommendation: 'NEUTRAL',
       analyzedAt: Date.now()
     };
 
+    // Search results were just added to the series
+    results.momentum = this.getMomentum(tokenMint || tokenSymbol);
+
     // Calculate overall sentiment score (0-100)
     results.overallScore = this.calculateOverallScore(results);
     results.recommendation = this.getRecommendation(results.overallScore);
@@ -77,57 +140,76 @@ export class SocialMonitor {
     }
 
     try {
-      // Search for recent tweets mentioning the token
-      const searchQuery = `${tokenSymbol} OR ${tokenMint} -is:retweet lang:en`;
+      // Search for recent tweets mentioning the token (cashtag when the real symbol is known)
+      const terms = tokenSymbol ? `$${tokenSymbol} OR ${tokenMint}` : tokenMint;
+      const searchQuery = `${terms} -is:retweet lang:en`;
 
       const tweets = await this.twitterClient.v2.search(searchQuery, {
         max_results: 100,
         'tweet.fields': ['created_at', 'public_metrics', 'author_id'],
-        'user.fields': ['username', 'public_metrics']
+        'user.fields': ['username', 'public_metrics', 'created_at'],
+        expansions: ['author_id']
       });
 
       const tweetData = tweets.data?.data || [];
+      const users = new Map((tweets.data?.includes?.users || []).map(user => [user.id, user]));
+
+      // Coordinated promotion counts for less (or nothing) from here on
+      const shill = this.shillDetector.analyze(tweetData, users);
+      const weightOf = tweet => shill.weights.get(tweet.id) ?? 1;
+
+      tweetData
+        .filter(tweet => weightOf(tweet) > 0)
+        .forEach(tweet => this.recordTweet(tokenMint || tokenSymbol, tweet));
 
       // Analyze metrics
       const totalTweets = tweetData.length;
-      const totalEngagement = tweetData.reduce((sum, tweet) => {
+      const organicMentions = tweetData.reduce((sum, tweet) => sum + weightOf(tweet), 0);
+      const engagementOf = tweet => {
         const metrics = tweet.public_metrics || {};
-        return sum + (metrics.like_count || 0) + (metrics.retweet_count || 0) + (metrics.reply_count || 0);
-      }, 0);
-
-      // Simple sentiment analysis based on keywords
-      const positiveTweets = tweetData.filter(t =>
-        this.hasPositiveKeywords(t.text)
-      ).length;
-
-      const negativeTweets = tweetData.filter(t =>
-        this.hasNegativeKeywords(t.text)
-      ).length;
+        return (metrics.like_count || 0) + (metrics.retweet_count || 0) + (metrics.reply_count || 0);
+      };
+      const totalEngagement = tweetData.reduce((sum, tweet) => sum + engagementOf(tweet), 0);
+      const organicEngagement = tweetData.reduce((sum, tweet) => sum + engagementOf(tweet) * weightOf(tweet), 0);
 
-      const sentimentRatio = totalTweets > 0
-        ? (positiveTweets - negativeTweets) / totalTweets
-        : 0;
+      // Per-tweet sentiment from the configured provider
+      const scored = await Promise.all(tweetData.map(async t => ({ ...await this.scoreText(t.text), weight: weightOf(t) })));
+      const sentiment = summarizeSentiment(scored);
+      const positiveTweets = sentiment.positive;
+      const negativeTweets = sentiment.negative;
+      const sentimentRatio = sentiment.ratio;
 
-      // Check for influencer mentions
+      // Check for influencer mentions (unflagged authors only)
       const influencerMentions = tweetData.filter(t => {
-        const authorMetrics = t.author?.public_metrics || {};
-        return (authorMetrics.followers_count || 0) > 10000;
+        const authorMetrics = users.get(t.author_id)?.public_metrics || {};
+        return weightOf(t) === 1 && (authorMetrics.followers_count || 0) > 10000;
       }).length;
 
+      if (shill.flaggedTweets > 0) {
+        logger.info(`🤖 ${shill.flaggedTweets}/${totalTweets} tweets about ${tokenSymbol || tokenMint} look coordinated (organic ratio ${(shill.organicRatio * 100).toFixed(0)}%)`);
+      }
+
       return {
         available: true,
         totalMentions: totalTweets,
+        organicMentions,
+        organicRatio: shill.organicRatio,
+        shillSignals: shill.signalCounts,
+        excludedTweets: shill.excludedTweets,
         totalEngagement,
         averageEngagement: totalTweets > 0 ? totalEngagement / totalTweets : 0,
         positiveTweets,
         negativeTweets,
         sentimentRatio,
+        averageSentiment: sentiment.averageScore,
+        sentimentConfidence: sentiment.averageConfidence,
         influencerMentions,
         score: this.calculateTwitterScore({
-          totalTweets,
-          totalEngagement,
+          totalTweets: organicMentions,
+          totalEngagement: organicEngagement,
           sentimentRatio,
-          influencerMentions
+          influencerMentions,
+          organicRatio: shill.organicRatio
         })
       };
 
@@ -141,51 +223,57 @@ export class SocialMonitor {
   }
 
   /**
-   * Analyze Telegram group activity
+   * Analyze Telegram group activity (messages, posters, joins and sentiment
+   * in the configured groups within the window)
    */
-  async analyzeTelegram(tokenSymbol) {
-    // Telegram analysis is more complex and requires group monitoring
-    // This is a placeholder for future implementation
+  async analyzeTelegram(tokenSymbol, tokenMint) {
+    if (!this.telegramActivity) {
+      return {
+        available: false,
+        message: 'Telegram bot not configured',
+        groupMembers: 0,
+        recentMessages: 0,
+        score: 0
+      };
+    }
 
-    return {
-      available: false,
-      message: 'Telegram analysis not fully implemented',
-      groupMembers: 0,
-      recentMessages: 0,
-      score: 0
-    };
+    return this.telegramActivity.analyze(tokenSymbol, tokenMint);
   }
 
   /**
-   * Check for positive sentiment keywords
+   * Replace the sentiment provider (any object with score(text) => { score, confidence })
    */
-  hasPositiveKeywords(text) {
-    const positiveKeywords = [
-      'moon', 'bullish', 'buy', 'gem', 'pump',
-      'ath', 'breakout', 'up', 'gain', 'profit',
-      '🚀', '💎', '🔥', '📈', '💰'
-    ];
-
-    const lowerText = text.toLowerCase();
-    return positiveKeywords.some(keyword => lowerText.includes(keyword));
+  setSentimentProvider(provider) {
+    this.sentimentProvider = provider;
+    logger.info(`Sentiment provider: ${provider.name || 'custom'}`);
   }
 
   /**
-   * Check for negative sentiment keywords
+   * Score one text with the sentiment provider and label it; scores inside
+   * the neutral band or below the minimum confidence count as neutral
+   * @returns {Promise<Object>} { score (-1..1), confidence (0..1), label, ... }
    */
-  hasNegativeKeywords(text) {
-    const negativeKeywords = [
-      'rug', 'scam', 'dump', 'sell', 'bearish',
-      'warning', 'avoid', 'fake', 'fraud', 'crash',
-      '⚠️', '🚨', '📉'
-    ];
-
-    const lowerText = text.toLowerCase();
-    return negativeKeywords.some(keyword => lowerText.includes(keyword));
+  async scoreText(text) {
+    try {
+      const result = await this.sentimentProvider.score(text || '');
+      const score = Math.max(-1, Math.min(1, result?.score || 0));
+      const confidence = Math.max(0, Math.min(1, result?.confidence || 0));
+
+      let label = 'neutral';
+      if (confidence >= this.minConfidence && Math.abs(score) > this.neutralBand) {
+        label = score > 0 ? 'positive' : 'negative';
+      }
+
+      return { ...result, score, confidence, label };
+    } catch (error) {
+      logger.debug(`Sentiment scoring failed: ${error.message}`);
+      return { score: 0, confidence: 0, label: 'neutral' };
+    }
   }
 
   /**
    * Calculate Twitter engagement score (0-100)
+   * Volume and engagement are the organic (shill-weighted) figures
    */
   calculateTwitterScore(metrics) {
     let score = 0;
@@ -210,26 +298,30 @@ export class SocialMonitor {
     if (metrics.influencerMentions > 5) score += 10;
     else if (metrics.influencerMentions > 2) score += 5;
 
+    // Mostly coordinated promotion (penalty up to 20 points)
+    const minOrganicRatio = this.config.social?.shillDetection?.minOrganicRatio ?? 0.5;
+    if (metrics.organicRatio !== undefined && metrics.organicRatio < minOrganicRatio) {
+      score -= 20 * (1 - metrics.organicRatio / minOrganicRatio);
+    }
+
     return Math.max(0, Math.min(100, score));
   }
 
   /**
    * Calculate overall social score
+   * Weighted average of the available platforms (social.weights), renormalized
+   * over the platforms that returned data
    */
   calculateOverallScore(results) {
-    const scores = [];
+    const weights = { twitter: 0.6, telegram: 0.4, ...this.config.social?.weights };
 
-    if (results.twitter.available) {
-      scores.push(results.twitter.score);
-    }
+    const platforms = ['twitter', 'telegram']
+      .filter(platform => results[platform]?.available && weights[platform] > 0);
 
-    if (results.telegram.available) {
-      scores.push(results.telegram.score);
-    }
+    const totalWeight = platforms.reduce((sum, platform) => sum + weights[platform], 0);
+    if (totalWeight === 0) return 50; // Neutral if no data
 
-    if (scores.length === 0) return 50; // Neutral if no data
-
-    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    return platforms.reduce((sum, platform) => sum + results[platform].score * weights[platform], 0) / totalWeight;
   }
 
   /**
@@ -244,41 +336,37 @@ export class SocialMonitor {
 
   /**
    * Monitor token mentions in real-time
+   * Subscribes to the shared stream (one rule per token, see TwitterStreamManager);
+   * every tweet is added to the token's mention series (keyed by tokenMint when given)
+   * @returns {Promise<Object|null>} Subscription { key, close() }
    */
-  async startMonitoring(tokenSymbol, callback) {
-    if (!this.twitterClient) {
+  async startMonitoring(tokenSymbol, callback, { tokenMint = null } = {}) {
+    if (!this.twitterStream) {
       logger.warn('Cannot start monitoring: Twitter client not available');
-      return;
+      return null;
     }
 
-    try {
-      // Set up Twitter stream for real-time mentions
-      const stream = await this.twitterClient.v2.searchStream({
-        'tweet.fields': ['created_at', 'public_metrics'],
-        expansions: ['author_id']
-      });
+    const key = tokenMint || tokenSymbol;
+    const terms = [tokenSymbol && `$${tokenSymbol}`, tokenMint].filter(Boolean);
 
-      // Add rule for this token
-      await this.twitterClient.v2.updateStreamRules({
-        add: [{ value: tokenSymbol, tag: tokenSymbol }]
-      });
-
-      logger.info(`Started monitoring Twitter for ${tokenSymbol}`);
-
-      stream.on('data', (tweet) => {
-        logger.debug(`New mention: ${tweet.data.text}`);
+    try {
+      const unsubscribe = await this.twitterStream.subscribe(key, `(${terms.join(' OR ')}) -is:retweet`, (tweet) => {
+        logger.debug(`New mention: ${tweet.text}`);
+        this.recordTweet(key, tweet);
         callback && callback({
           platform: 'twitter',
           tokenSymbol,
-          tweet: tweet.data
+          tweet
         });
       });
 
-      stream.on('error', (error) => {
-        logger.error('Twitter stream error:', error);
-      });
+      logger.info(`Started monitoring Twitter for ${tokenSymbol || tokenMint}`);
 
-      return stream;
+      return {
+        key,
+        close: () => unsubscribe()
+          .catch(error => logger.warn(`Failed to stop monitoring ${key}: ${error.message}`))
+      };
 
     } catch (error) {
       logger.error('Error starting Twitter monitoring:', error);
@@ -286,6 +374,154 @@ export class SocialMonitor {
     }
   }
 
+  /**
+   * Add a tweet to a token's mention series
+   */
+  recordTweet(key, tweet) {
+    const metrics = tweet.public_metrics || {};
+
+    this.mentionSeries.record(key, {
+      id: tweet.id,
+      timestamp: tweet.created_at ? Date.parse(tweet.created_at) : Date.now(),
+      authorId: tweet.author_id,
+      engagement: (metrics.like_count || 0) + (metrics.retweet_count || 0) + (metrics.reply_count || 0) + (metrics.quote_count || 0)
+    });
+  }
+
+  /**
+   * Mention velocity, acceleration and the socialMomentum score (0-100) for a token
+   */
+  getMomentum(key) {
+    return this.mentionSeries.getMomentum(key);
+  }
+
+  /**
+   * Stream mentions of an open position so its momentum stays current
+   * @param {string} tokenMint
+   * @param {Object} poolInfo - Discovered token info (uses symbol, null when unresolved)
+   */
+  async track(tokenMint, poolInfo = null) {
+    if (!this.momentumEnabled || !this.twitterStream || this.monitored.has(tokenMint)) return;
+
+    // Not tokenSymbol: that falls back to the truncated mint, which is no cashtag
+    const tokenSymbol = poolInfo?.symbol || null;
+    const entry = { tokenSymbol, subscription: null, lastSignalAt: 0 };
+    this.monitored.set(tokenMint, entry);
+
+    entry.subscription = await this.startMonitoring(tokenSymbol, null, { tokenMint });
+
+    // Position closed while the rule was being added
+    if (this.monitored.get(tokenMint) !== entry) {
+      entry.subscription?.close();
+    }
+  }
+
+  untrack(tokenMint) {
+    const entry = this.monitored.get(tokenMint);
+    if (!entry) return;
+
+    this.monitored.delete(tokenMint);
+    entry.subscription?.close();
+    this.mentionSeries.remove(tokenMint);
+  }
+
+  /**
+   * Exit signal when an open position's social momentum is fading below social.momentum.exitBelow
+   * (at most once per velocity window)
+   * @returns {Array} [{ type, reason, momentum }]
+   */
+  consumeSignals(tokenMint) {
+    const entry = this.monitored.get(tokenMint);
+    if (!entry) return [];
+
+    const momentum = this.getMomentum(tokenMint);
+    if (!momentum.available || momentum.trend !== MOMENTUM_TRENDS.FADING || momentum.socialMomentum >= this.momentumExitBelow) {
+      return [];
+    }
+
+    if (Date.now() - entry.lastSignalAt < this.mentionSeries.velocityWindowMs) return [];
+    entry.lastSignalAt = Date.now();
+
+    return [{
+      type: 'SOCIAL_MOMENTUM_FADING',
+      reason: `Social momentum fading (${momentum.socialMomentum}/100, ${momentum.mentions.velocity.toFixed(1)} mentions/min)`,
+      momentum
+    }];
+  }
+
+  /**
+   * Sentiment for the entry decision within social.entryAnalysis.budgetMs
+   * Fresh cached results are used as-is; an analysis that overruns the budget
+   * keeps running and caches its result for the next evaluation (e.g. a
+   * scheduled entry's refresh), while this one gets the neutral default.
+   * @returns {Promise<Object>} Sentiment results with source 'live', 'cached' or 'default'
+   */
+  async getEntrySentiment(tokenSymbol, tokenMint) {
+    const options = this.config.social?.entryAnalysis || {};
+    const budgetMs = options.budgetMs ?? 1500;
+
+    const cached = this.getCachedSentiment(tokenMint, options.cacheMaxAgeMs ?? 300000);
+    if (cached) {
+      // A cached analysis that found nothing is still the neutral fallback
+      return hasSocialData(cached)
+        ? { ...cached, source: 'cached' }
+        : { ...cached, source: 'default', reason: 'no social data returned (cached)' };
+    }
+
+    if (options.enabled === false) {
+      return this.defaultSentiment(tokenSymbol, tokenMint, 'entry analysis disabled');
+    }
+    if (!this.twitterClient && !this.telegramActivity) {
+      return this.defaultSentiment(tokenSymbol, tokenMint, 'no social sources configured');
+    }
+
+    const startedAt = Date.now();
+    const analysis = this.analyzeSentiment(tokenSymbol, tokenMint)
+      .then(results => {
+        this.cacheSentiment(tokenMint, results);
+        return results;
+      });
+
+    let timer = null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), budgetMs);
+    });
+
+    try {
+      const results = await Promise.race([analysis, timeout]);
+      if (!results) {
+        analysis.catch(error => logger.debug(`Late social analysis for ${tokenMint} failed: ${error.message}`));
+        return this.defaultSentiment(tokenSymbol, tokenMint, `over ${budgetMs}ms budget`);
+      }
+
+      // Neither platform returned data: the score is the neutral fallback, not a measurement
+      if (!hasSocialData(results)) {
+        return { ...results, source: 'default', reason: 'no social data returned' };
+      }
+
+      logger.debug(`Social analysis for ${tokenMint} took ${Date.now() - startedAt}ms`);
+      return { ...results, source: 'live' };
+    } catch (error) {
+      logger.warn(`Social analysis failed for ${tokenMint}: ${error.message}`);
+      return this.defaultSentiment(tokenSymbol, tokenMint, error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  defaultSentiment(tokenSymbol, tokenMint, reason) {
+    return {
+      tokenSymbol,
+      tokenMint,
+      overallScore: 50,
+      recommendation: this.getRecommendation(50),
+      momentum: null,
+      source: 'default',
+      reason,
+      analyzedAt: Date.now()
+    };
+  }
+
   /**
    * Get cached sentiment data
    */
@@ -300,15 +536,38 @@ export class SocialMonitor {
     return cached;
   }
 
+  getStats() {
+    return {
+      twitter: Boolean(this.twitterClient),
+      twitterStream: this.twitterStream?.getStats() || null,
+      sentimentProvider: this.sentimentProvider.name || 'custom',
+      telegram: this.telegramActivity?.getStats() || null,
+      cachedTokens: this.mentionCache.size,
+      momentum: {
+        ...this.mentionSeries.getStats(),
+        streaming: Array.from(this.monitored.keys())
+      }
+    };
+  }
+
   /**
    * Cache sentiment data
    */
   cacheSentiment(tokenMint, data) {
     this.mentionCache.set(tokenMint, data);
 
-    // Clean old cache entries
+    // Clean old cache entries (unless re-cached since)
     setTimeout(() => {
-      this.mentionCache.delete(tokenMint);
-    }, 600000); // Remove after 10 minutes
+      if (this.mentionCache.get(tokenMint) === data) {
+        this.mentionCache.delete(tokenMint);
+      }
+    }, 600000).unref(); // Remove after 10 minutes
   }
 }
+
+/**
+ * Whether Twitter or Telegram returned anything for an analysis
+ */
+function hasSocialData(results) {
+  return Boolean(results.twitter?.available || results.telegram?.available);
+}
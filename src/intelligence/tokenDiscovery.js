@@ -1,18 +1,36 @@
 import { Connection, PublicKey } from '@solana/web3.js';
 import { logger } from '../utils/logger.js';
+import { createDiscoveryAdapters } from './discovery/adapterRegistry.js';
+import { DiscoveryRecorder } from './discovery/sessionRecorder.js';
+import { TokenMetadataResolver } from './tokenMetadata.js';
 import fs from 'fs';
 import path from 'path';
 
 /**
  * Token Discovery Module
- * Monitors Raydium and Jupiter for new token launches
+ * Monitors launch programs for new tokens through per-program adapters
+ * (Raydium AMM v4/CPMM/CLMM, Orca Whirlpool, Meteora DLMM, pump.fun)
  */
 
 export class TokenDiscovery {
-  constructor(connection, config) {
+  /**
+   * @param {Object} options - { registry } blacklist checked before a token is queued for analysis
+   */
+  constructor(connection, config, { registry = null } = {}) {
+    // Optionally record the session for offline replay (see replay-discovery.js)
+    const recordFile = process.env.DISCOVERY_RECORD_FILE || config.discovery?.recordFile;
+    this.recorder = recordFile ? new DiscoveryRecorder(recordFile) : null;
+    if (this.recorder) {
+      connection = this.recorder.wrap(connection);
+    }
+
     this.connection = connection;
     this.config = config;
-    this.raydiumProgramId = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
+    this.registry = registry;
+    this.subscriptionIds = [];
+    this.statsInterval = null;
+    this.adapters = createDiscoveryAdapters(connection, config.discovery);
+    this.metadataResolver = new TokenMetadataResolver(connection, config);
     this.discoveredTokens = new Map();
 
     // Read sampling rate from environment (1 = process all events, 10 = process 1 in 10)
@@ -28,6 +46,7 @@ export class TokenDiscovery {
       logsReceived: 0,
       logsProcessed: 0,
       logsSkipped: 0,
+      logsIgnored: 0,
       tokensDiscovered: 0,
       tokensRejected: 0,
       duplicatesSkipped: 0,
@@ -53,206 +72,250 @@ export class TokenDiscovery {
   async start() {
     logger.info('Starting token discovery...');
 
-    // Subscribe to Raydium pool creation events
-    this.connection.onLogs(
-      this.raydiumProgramId,
+    // One log subscription per enabled adapter (swaps and deposits are ignored)
+    for (const adapter of this.adapters) {
+      const subscriptionId = this.subscribeToProgram(
+        new PublicKey(adapter.programId),
+        (logs) => adapter.matchesLogs(logs.logs),
+        (logs, ctx) => this.handlePoolCreation(adapter, logs, ctx)
+      );
+      this.subscriptionIds.push(subscriptionId);
+    }
+
+    // Log stats every 60 seconds
+    this.statsInterval = setInterval(() => {
+      logger.info(`📊 Discovery Stats: ${this.stats.logsReceived} received | ${this.stats.logsIgnored} non-launch | ${this.stats.logsProcessed} processed (1/${this.samplingRate} sampling) | ✅ ${this.stats.tokensDiscovered} NEW | ❌ ${this.stats.tokensRejected} rejected | 🔄 ${this.stats.duplicatesSkipped} duplicates`);
+    }, 60000);
+
+    logger.info(`Token discovery active - monitoring ${this.adapters.map(adapter => adapter.name).join(', ')}`);
+    const samplingPercent = ((1 / this.samplingRate) * 100).toFixed(0);
+    logger.info(`⚡ Sampling: Processing 1 in ${this.samplingRate} events (${samplingPercent}%) - Min liquidity: ${this.config.entry?.minLiquidity || 5} SOL`);
+    logger.info(`📝 Verbose token evaluation log: ${this.verboseLogPath}`);
+  }
+
+  /**
+   * Stop monitoring and remove log subscriptions
+   */
+  async stop() {
+    clearInterval(this.statsInterval);
+    this.statsInterval = null;
+
+    for (const subscriptionId of this.subscriptionIds) {
+      await this.connection.removeOnLogsListener(subscriptionId);
+    }
+    this.subscriptionIds = [];
+  }
+
+  /**
+   * Subscribe to a program's logs with stats tracking and sampling
+   */
+  subscribeToProgram(programId, isRelevant, handler) {
+    return this.connection.onLogs(
+      programId,
       async (logs, ctx) => {
         this.stats.logsReceived++;
         this.stats.lastLogTime = Date.now();
+
+        if (logs.err || !isRelevant(logs)) {
+          this.stats.logsIgnored++;
+          return;
+        }
+
         this.eventCounter++;
-        
+
         // PRACTICE MODE: Sample events (process 1 in 10, 5 SOL filter)
         if (this.eventCounter % this.samplingRate !== 0) {
           this.stats.logsSkipped++;
           return; // Skip this event
         }
-        
+
         this.stats.logsProcessed++;
-        await this.handlePoolCreation(logs, ctx);
+        await handler(logs, ctx);
       },
       'confirmed'
     );
-
-    // Log stats every 60 seconds
-    setInterval(() => {
-      logger.info(`📊 Discovery Stats: ${this.stats.logsReceived} received | ${this.stats.logsProcessed} processed (1/${this.samplingRate} sampling) | ✅ ${this.stats.tokensDiscovered} NEW | ❌ ${this.stats.tokensRejected} rejected | 🔄 ${this.stats.duplicatesSkipped} duplicates`);
-    }, 60000);
-
-    logger.info('Token discovery active - monitoring Raydium pools');
-    const samplingPercent = ((1 / this.samplingRate) * 100).toFixed(0);
-    logger.info(`⚡ Sampling: Processing 1 in ${this.samplingRate} events (${samplingPercent}%) - Min liquidity: ${this.config.entry?.minLiquidity || 5} SOL`);
-    logger.info(`📝 Verbose token evaluation log: ${this.verboseLogPath}`);
   }
 
   /**
    * Handle new pool creation event
    */
-  async handlePoolCreation(logs, ctx) {
+  async handlePoolCreation(adapter, logs, ctx) {
     try {
-      const signature = logs.signature;
-
-      // Parse transaction to extract pool info
-      const poolInfo = await this.parsePoolTransaction(signature);
+      const poolInfo = await this.parsePoolCreation(adapter, logs, ctx);
 
       if (!poolInfo) {
-        this.logToVerboseFile('⚠️  Failed to parse pool transaction - skipping');
+        this.logToVerboseFile(`⚠️  Failed to decode ${adapter.name} launch - skipping`);
         return;
       }
 
-      // Log every pool found
-      this.logToVerboseFile(`\n${'─'.repeat(80)}`);
-      this.logToVerboseFile(`🔎 EVALUATING TOKEN`);
-      this.logToVerboseFile(`   Token Mint: ${poolInfo.tokenMint}`);
-      this.logToVerboseFile(`   Pool ID: ${poolInfo.poolId}`);
-      this.logToVerboseFile(`   Liquidity: ${poolInfo.liquidity.toFixed(4)} SOL`);
-      this.logToVerboseFile(`   Signature: ${signature}`);
+      await this.processDiscoveredPool(poolInfo);
 
-      // Check for duplicates (already discovered this token)
-      if (this.discoveredTokens.has(poolInfo.tokenMint)) {
-        this.stats.duplicatesSkipped++;
-        this.logToVerboseFile(`   🔄 DUPLICATE: Token already discovered - skipping`);
-        return;
-      }
+    } catch (error) {
+      logger.error(`Error handling ${adapter.name} pool creation:`, error);
+      this.logToVerboseFile(`   ❌ ERROR: ${error.message}`);
+    }
+  }
 
-      // Check if meets minimum criteria
-      const meetsMinimumCriteriaResult = this.meetsMinimumCriteria(poolInfo);
-      
-      if (!meetsMinimumCriteriaResult.passed) {
-        this.stats.tokensRejected++;
-        this.logToVerboseFile(`   ❌ REJECTED: ${meetsMinimumCriteriaResult.reason}`);
-        logger.debug(`Pool ${poolInfo.poolId} doesn't meet criteria: ${meetsMinimumCriteriaResult.reason}`);
-        return;
+  /**
+   * Deduplicate, filter and emit a decoded launch
+   */
+  async processDiscoveredPool(poolInfo) {
+    // Log every pool found
+    this.logToVerboseFile(`\n${'─'.repeat(80)}`);
+    this.logToVerboseFile(`🔎 EVALUATING TOKEN (${poolInfo.dex})`);
+    this.logToVerboseFile(`   Token Mint: ${poolInfo.tokenMint}`);
+    this.logToVerboseFile(`   Pool ID: ${poolInfo.poolId}`);
+
+    if (poolInfo.launchpad === 'pumpfun') {
+      this.logToVerboseFile(`   Name/Symbol: ${poolInfo.name} (${poolInfo.symbol})`);
+      this.logToVerboseFile(`   Creator: ${poolInfo.creator}`);
+      this.logToVerboseFile(`   Curve Progress: ${poolInfo.bondingCurve.progressPercent.toFixed(2)}%`);
+    } else {
+      this.logToVerboseFile(`   Base/Quote: ${poolInfo.baseMint} / ${poolInfo.quoteMint}`);
+      this.logToVerboseFile(`   LP Mint: ${poolInfo.lpMint}`);
+      if (poolInfo.openTime) {
+        this.logToVerboseFile(`   Open Time: ${new Date(poolInfo.openTime * 1000).toISOString()}`);
       }
+    }
 
-      // Emit new token event (ONLY ONCE per token)
-      this.stats.tokensDiscovered++;
-      this.logToVerboseFile(`   ✅ ACCEPTED: ${meetsMinimumCriteriaResult.reason}`);
-      this.logToVerboseFile(`   🎯 Token added to discovery queue for analysis!`);
-      
-      logger.info(`🆕 New token discovered: ${poolInfo.tokenMint}`, {
-        poolId: poolInfo.poolId,
-        liquidity: poolInfo.liquidity,
-        tokenMint: poolInfo.tokenMint
-      });
-
-      // Mark as discovered to prevent duplicates
-      this.discoveredTokens.set(poolInfo.tokenMint, {
-        ...poolInfo,
-        discoveredAt: Date.now()
-      });
-
-      // Trigger analysis pipeline
-      this.emit('tokenDiscovered', poolInfo);
+    this.logToVerboseFile(`   Liquidity: ${poolInfo.liquidity.toFixed(4)} SOL`);
+    this.logToVerboseFile(`   Signature: ${poolInfo.signature}`);
 
-    } catch (error) {
-      logger.error('Error handling pool creation:', error);
-      this.logToVerboseFile(`   ❌ ERROR: ${error.message}`);
+    // Check for duplicates (already discovered this token)
+    if (this.discoveredTokens.has(poolInfo.tokenMint)) {
+      this.stats.duplicatesSkipped++;
+      this.logToVerboseFile(`   🔄 DUPLICATE: Token already discovered - skipping`);
+      return;
     }
+
+    // Blacklisted mints and creators never reach analysis
+    const registryCheck = this.registry?.check({
+      tokenMint: poolInfo.tokenMint,
+      deployers: [poolInfo.creator].filter(Boolean)
+    });
+
+    if (registryCheck?.blacklisted) {
+      this.stats.tokensRejected++;
+      this.logToVerboseFile(`   ⛔ BLACKLISTED: ${registryCheck.reasons.join('; ')}`);
+      logger.info(`⛔ Skipping ${poolInfo.tokenMint}: ${registryCheck.reasons.join('; ')}`);
+      this.emit('tokenRejected', { ...poolInfo, rejectionReason: registryCheck.reasons.join('; ') });
+      return;
+    }
+
+    // Check if meets minimum criteria
+    const meetsMinimumCriteriaResult = this.meetsMinimumCriteria(poolInfo);
+
+    if (!meetsMinimumCriteriaResult.passed) {
+      this.stats.tokensRejected++;
+      this.logToVerboseFile(`   ❌ REJECTED: ${meetsMinimumCriteriaResult.reason}`);
+      logger.debug(`Pool ${poolInfo.poolId} doesn't meet criteria: ${meetsMinimumCriteriaResult.reason}`);
+      this.emit('tokenRejected', { ...poolInfo, rejectionReason: meetsMinimumCriteriaResult.reason });
+      return;
+    }
+
+    // Emit new token event (ONLY ONCE per token)
+    this.stats.tokensDiscovered++;
+    this.logToVerboseFile(`   ✅ ACCEPTED: ${meetsMinimumCriteriaResult.reason}`);
+    this.logToVerboseFile(`   🎯 Token added to discovery queue for analysis!`);
+
+    logger.info(`🆕 New token discovered: ${poolInfo.tokenMint}`, {
+      dex: poolInfo.dex,
+      poolId: poolInfo.poolId,
+      liquidity: poolInfo.liquidity,
+      tokenMint: poolInfo.tokenMint,
+      quoteMint: poolInfo.quoteMint,
+      openTime: poolInfo.openTime
+    });
+
+    // Mark as discovered to prevent duplicates
+    this.discoveredTokens.set(poolInfo.tokenMint, {
+      ...poolInfo,
+      discoveredAt: Date.now()
+    });
+
+    // Trigger analysis pipeline
+    this.emit('tokenDiscovered', poolInfo);
   }
 
   /**
-   * Parse pool creation transaction
+   * Decode a launch into the normalized pool event via its adapter
    */
-  async parsePoolTransaction(signature) {
+  async parsePoolCreation(adapter, logs, ctx) {
+    const signature = logs.signature;
+
     try {
-      // Connection is already throttled
-      const tx = await this.connection.getParsedTransaction(signature, {
-        maxSupportedTransactionVersion: 0
-      });
+      let tx = null;
 
-      if (!tx || !tx.meta) {
-        this.logToVerboseFile(`   🔍 DEBUG: Transaction not found or no meta for ${signature}`);
-        return null;
+      if (adapter.requiresTransaction) {
+        tx = await this.fetchPoolTransaction(signature);
+        if (!tx) return null;
       }
 
-      // DIAGNOSTIC: Log what we're seeing
-      const innerInstructions = tx.meta.innerInstructions || [];
-      const postBalances = tx.meta.postTokenBalances || [];
-      const preBalances = tx.meta.preTokenBalances || [];
-      
-      this.logToVerboseFile(`\n${'─'.repeat(80)}`);
-      this.logToVerboseFile(`🔍 DEBUG: Parsing transaction ${signature.slice(0, 16)}...`);
-      this.logToVerboseFile(`   Inner instructions: ${innerInstructions.length}`);
-      this.logToVerboseFile(`   Post token balances: ${postBalances.length}`);
-      this.logToVerboseFile(`   Pre token balances: ${preBalances.length}`);
-
-      // Extract pool information from transaction
-      const accounts = tx.transaction.message.accountKeys;
-      
-      let tokenMint = null;
-      let poolId = null;
-      let liquidity = 0;
-
-      // Try to find any token mints in post balances (more relaxed)
-      for (const balance of postBalances) {
-        if (balance.mint && balance.mint !== 'So11111111111111111111111111111111111111112') {
-          if (!tokenMint) {
-            tokenMint = balance.mint;
-            this.logToVerboseFile(`   Found token mint: ${tokenMint}`);
-          }
-        }
-        // Get SOL liquidity
-        if (balance.mint === 'So11111111111111111111111111111111111111112') {
-          liquidity = balance.uiTokenAmount.uiAmount || 0;
-          this.logToVerboseFile(`   Found SOL liquidity: ${liquidity}`);
-        }
-      }
+      const pool = await adapter.decode({ logs, ctx, tx });
 
-      // Also check pre-balances for liquidity changes
-      for (const balance of preBalances) {
-        if (balance.mint === 'So11111111111111111111111111111111111111112') {
-          const preAmount = balance.uiTokenAmount.uiAmount || 0;
-          const postBalance = postBalances.find(b => b.accountIndex === balance.accountIndex);
-          const postAmount = postBalance?.uiTokenAmount?.uiAmount || 0;
-          const liquidityChange = postAmount - preAmount;
-          if (liquidityChange > 0 && liquidityChange > liquidity) {
-            liquidity = liquidityChange;
-            this.logToVerboseFile(`   Updated liquidity from change: ${liquidity}`);
-          }
-        }
+      if (!pool) {
+        this.logToVerboseFile(`   ❌ No ${adapter.name} pool creation in ${signature.slice(0, 16)}... - skipping`);
+        return null;
       }
 
-      // Parse instructions to find pool details
-      for (const inner of innerInstructions) {
-        for (const ix of inner.instructions) {
-          if (ix.program === 'spl-token' && ix.parsed?.type === 'initializeAccount') {
-            // Found token account initialization
-            const mint = ix.parsed.info.mint;
-            if (mint && mint !== 'So11111111111111111111111111111111111111112') {
-              tokenMint = mint;
-              this.logToVerboseFile(`   Found token mint in instruction: ${tokenMint}`);
-            }
-          }
-        }
-      }
+      const poolInfo = adapter.toPoolEvent(pool, { logs, ctx, tx });
 
-      if (!tokenMint) {
-        this.logToVerboseFile(`   ❌ No token mint found - skipping`);
-        return null;
+      this.logToVerboseFile(`\n${'─'.repeat(80)}`);
+      this.logToVerboseFile(`🔍 DEBUG: Decoded ${adapter.name} launch in ${signature.slice(0, 16)}...`);
+      this.logToVerboseFile(`   Pool ID: ${poolInfo.poolId}`);
+
+      if (poolInfo.launchpad !== 'pumpfun' && poolInfo.liquidity === 0) {
+        this.logToVerboseFile(`   ⚠️  Pool is not paired with SOL or has no initial deposit (quote: ${poolInfo.quoteMint})`);
       }
 
-      this.logToVerboseFile(`   ✅ Parsed successfully: ${tokenMint.slice(0, 16)}... with ${liquidity} SOL`);
+      this.logToVerboseFile(`   ✅ Parsed successfully: ${poolInfo.tokenMint.slice(0, 16)}... with ${poolInfo.liquidity} SOL`);
 
-      return {
-        tokenMint,
-        poolId: poolId || signature.slice(0, 32),
-        liquidity,
-        signature,
-        slot: tx.slot,
-        blockTime: tx.blockTime
-      };
+      return poolInfo;
 
     } catch (error) {
-      this.logToVerboseFile(`   ❌ ERROR parsing: ${error.message}`);
-      logger.error('Error parsing pool transaction:', error);
+      this.logToVerboseFile(`   ❌ ERROR decoding ${adapter.name} launch: ${error.message}`);
+      logger.error(`Error parsing ${adapter.name} launch:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a pool creation transaction (skips missing and failed transactions)
+   */
+  async fetchPoolTransaction(signature) {
+    // Connection is already throttled
+    const tx = await this.connection.getParsedTransaction(signature, {
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (!tx || !tx.meta) {
+      this.logToVerboseFile(`   🔍 DEBUG: Transaction not found or no meta for ${signature}`);
       return null;
     }
+
+    if (tx.meta.err) {
+      this.logToVerboseFile(`   🔍 DEBUG: Transaction ${signature.slice(0, 16)}... failed on-chain - skipping`);
+      return null;
+    }
+
+    return tx;
+  }
+
+  /**
+   * Adapter a discovered token came from (tokenInfo.dex), null when not enabled
+   */
+  getAdapter(name) {
+    return this.adapters.find(adapter => adapter.name === name) || null;
   }
 
   /**
    * Check if pool meets minimum criteria for trading
    */
   meetsMinimumCriteria(poolInfo) {
+    if (poolInfo.launchpad === 'pumpfun') {
+      return this.meetsPumpFunCriteria(poolInfo);
+    }
+
     const minLiquidity = this.config.entry?.minLiquidity || 5;
 
     if (poolInfo.liquidity < minLiquidity) {
@@ -269,26 +332,50 @@ export class TokenDiscovery {
   }
 
   /**
-   * Get token metadata from on-chain data
+   * Bonding-curve launches start with no real liquidity, so they are
+   * filtered on curve state instead of the pool liquidity minimum
    */
-  async getTokenMetadata(tokenMint) {
-    try {
-      const mintPubkey = new PublicKey(tokenMint);
-
-      // Get token supply and decimals (connection is already throttled)
-      const mintInfo = await this.connection.getParsedAccountInfo(mintPubkey);
+  meetsPumpFunCriteria(poolInfo) {
+    const pumpConfig = this.config.discovery?.pumpfun || {};
+    const minRealSol = pumpConfig.minRealSolReserves || 0;
+    const maxProgress = pumpConfig.maxCurveProgress ?? 90;
+    const curve = poolInfo.bondingCurve;
 
-      if (!mintInfo.value) return null;
+    if (curve.complete) {
+      return {
+        passed: false,
+        reason: 'Bonding curve already complete - token is migrating'
+      };
+    }
 
-      const data = mintInfo.value.data.parsed.info;
+    if (curve.progressPercent > maxProgress) {
+      return {
+        passed: false,
+        reason: `Curve progress ${curve.progressPercent.toFixed(2)}% > maximum ${maxProgress}%`
+      };
+    }
 
+    if (curve.realSol < minRealSol) {
       return {
-        decimals: data.decimals,
-        supply: data.supply,
-        mintAuthority: data.mintAuthority,
-        freezeAuthority: data.freezeAuthority
+        passed: false,
+        reason: `Curve reserves ${curve.realSol.toFixed(4)} SOL < minimum ${minRealSol} SOL`
       };
+    }
 
+    return {
+      passed: true,
+      reason: `Curve progress ${curve.progressPercent.toFixed(2)}% with ${curve.realSol.toFixed(4)} SOL - Ready for analysis`
+    };
+  }
+
+  /**
+   * Get token metadata from on-chain data
+   * Mint info (decimals, supply, authorities) plus name/symbol/URI from
+   * Token-2022 metadata extensions or the Metaplex metadata account
+   */
+  async getTokenMetadata(tokenMint) {
+    try {
+      return await this.metadataResolver.getMetadata(tokenMint);
     } catch (error) {
       logger.error('Error fetching token metadata:', error);
       return null;
@@ -0,0 +1,203 @@
+import { PublicKey } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+import { INCINERATOR_ADDRESS } from './decoders/lpLockers.js';
+
+/**
+ * Token Holders
+ * Enumerates every token account of a mint (Token and Token-2022) and splits
+ * them into real holders and labeled accounts that aren't part of the
+ * distribution: pool vaults, bonding curves, burn addresses and exchanges.
+ *
+ * The enumeration is two program-wide getProgramAccounts scans, so raw
+ * results are cached per mint for holderEnumeration.cacheTtlMs and concurrent
+ * callers (rug detection, holder analysis, whale watch, holder tracking)
+ * share one request.
+ */
+
+// Pool vault owners shared by every pool of the program
+const AMM_AUTHORITIES = {
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': 'raydiumAmmV4',
+  'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL': 'raydiumCpmm'
+};
+
+const BURN_ADDRESSES = [INCINERATOR_ADDRESS];
+
+// Major centralized exchange hot wallets (holderEnumeration.exchangeWallets adds more)
+const EXCHANGE_WALLETS = {
+  '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9': 'Binance',
+  '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM': 'Binance',
+  '2ojv9BAiHUrvsm9gxDe7fJSzbNZSJcxZvf8dqmWGHG8S': 'Binance',
+  'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS': 'Coinbase',
+  'GJRs4FwHtemZ5ZE9x3FNvJ8TMwitKTh21yxdRPqn7npE': 'Coinbase',
+  '2AQdpHJ2JpcEgPiATUXjQxA8QmafFegfQwSLWSprPicm': 'Coinbase',
+  '5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD': 'OKX',
+  'is6MTRHEgyFLNTfYcuV4QBWLjrZBfmhVNYR6ccgr8KV': 'OKX',
+  'AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2': 'Bybit',
+  'FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5': 'Kraken',
+  'BmFdpraQhkiDQE6SnfG5omcA1VwzqfXrwtNYBwWTymy6': 'KuCoin',
+  'u6PJ8DtQuPFnfmwHbGFULQ4u4EgjDiyYKjVEsynXq2w': 'Gate.io',
+  'ASTyfSima4LLAdDgoFGkgqoKowG1LZFDr9fAQrg7iaJZ': 'MEXC',
+  'A77HErqtfN1hLLpvZ9pCtu66FEtM8BveoaKbbMoZ4RiR': 'Bitget'
+};
+
+export const HOLDER_LABELS = ['pool', 'bondingCurve', 'burn', 'exchange'];
+
+// Only owner (32..64) and amount (64..72) are needed
+const OWNER_AND_AMOUNT = { offset: 32, length: 40 };
+
+const MAX_CACHED_MINTS = 50;
+const MAX_CACHE_AGE_MS = 5 * 60000;
+
+// tokenMint -> { promise, fetchedAt } (fetchedAt is null while in flight)
+const accountCache = new Map();
+
+/**
+ * @param {Connection} connection
+ * @param {string} tokenMint
+ * @param {Object} options
+ * @param {Object} options.poolInfo - Discovered pool (vaults, pool id, bonding curve)
+ * @param {Object} options.config - Bot config (uses the holderEnumeration section)
+ * @param {number} options.maxAgeMs - Oldest cached enumeration to reuse (default holderEnumeration.cacheTtlMs)
+ * @returns {Promise<Object>} { holders, labeled, totalHolders, totalAccounts, decimals, supply }
+ */
+export async function enumerateTokenHolders(connection, tokenMint, { poolInfo = null, config = {}, maxAgeMs } = {}) {
+  const options = config.holderEnumeration || {};
+
+  const { supply, accounts } = await fetchTokenAccounts(connection, tokenMint, maxAgeMs ?? options.cacheTtlMs ?? 30000);
+  const decimals = supply.value.decimals;
+
+  const labelFor = createHolderLabeler(poolInfo, options);
+  const owners = new Map();
+  const labeled = Object.fromEntries(HOLDER_LABELS.map(label => [label, { count: 0, balance: 0, accounts: [] }]));
+  let totalAccounts = 0;
+
+  for (const { pubkey, account } of accounts) {
+    const data = Buffer.from(account.data);
+    if (data.length < OWNER_AND_AMOUNT.length) continue;
+
+    const amount = data.readBigUInt64LE(32);
+    if (amount === 0n) continue;
+
+    totalAccounts++;
+
+    const owner = new PublicKey(data.subarray(0, 32)).toBase58();
+    const address = pubkey.toBase58();
+    const balance = Number(amount) / Math.pow(10, decimals);
+
+    const label = labelFor(address, owner);
+    if (label) {
+      labeled[label].count++;
+      labeled[label].balance += balance;
+      labeled[label].accounts.push({ account: address, owner, balance });
+      continue;
+    }
+
+    // One holder per owner, however many token accounts it has
+    const holder = owners.get(owner);
+    if (holder) {
+      holder.balance += balance;
+      holder.accounts.push(address);
+      if (balance > holder.largestBalance) {
+        holder.account = address;
+        holder.largestBalance = balance;
+      }
+    } else {
+      owners.set(owner, { address: owner, balance, decimals, account: address, accounts: [address], largestBalance: balance });
+    }
+  }
+
+  const holders = Array.from(owners.values())
+    .map(({ largestBalance, ...holder }) => holder)
+    .sort((a, b) => b.balance - a.balance);
+
+  return {
+    holders,
+    labeled,
+    totalHolders: holders.length,
+    totalAccounts,
+    decimals,
+    supply: supply.value.uiAmount || 0
+  };
+}
+
+/**
+ * Supply and raw token accounts of a mint; reuses a cached scan up to maxAgeMs
+ * old, or the one in flight
+ */
+function fetchTokenAccounts(connection, tokenMint, maxAgeMs) {
+  const now = Date.now();
+  for (const [mint, entry] of accountCache) {
+    if (entry.fetchedAt !== null && now - entry.fetchedAt > MAX_CACHE_AGE_MS) accountCache.delete(mint);
+  }
+
+  const cached = accountCache.get(tokenMint);
+  if (cached && (cached.fetchedAt === null || now - cached.fetchedAt <= maxAgeMs)) {
+    return cached.promise;
+  }
+
+  const entry = { promise: null, fetchedAt: null };
+  entry.promise = scanTokenAccounts(connection, tokenMint).then(
+    (result) => {
+      entry.fetchedAt = Date.now();
+      return result;
+    },
+    (error) => {
+      if (accountCache.get(tokenMint) === entry) accountCache.delete(tokenMint);
+      throw error;
+    }
+  );
+
+  // Re-inserted entries move to the end, so the first one is the least recently fetched
+  accountCache.delete(tokenMint);
+  accountCache.set(tokenMint, entry);
+  if (accountCache.size > MAX_CACHED_MINTS) {
+    accountCache.delete(accountCache.keys().next().value);
+  }
+
+  return entry.promise;
+}
+
+async function scanTokenAccounts(connection, tokenMint) {
+  const mintPubkey = new PublicKey(tokenMint);
+
+  const [supply, tokenAccounts, token2022Accounts] = await Promise.all([
+    connection.getTokenSupply(mintPubkey),
+    connection.getProgramAccounts(TOKEN_PROGRAM_ID, {
+      dataSlice: OWNER_AND_AMOUNT,
+      filters: [
+        { dataSize: 165 },
+        { memcmp: { offset: 0, bytes: mintPubkey.toBase58() } }
+      ]
+    }),
+    // Token-2022 accounts grow with extensions, so no size filter
+    connection.getProgramAccounts(TOKEN_2022_PROGRAM_ID, {
+      dataSlice: OWNER_AND_AMOUNT,
+      filters: [
+        { memcmp: { offset: 0, bytes: mintPubkey.toBase58() } }
+      ]
+    })
+  ]);
+
+  return { supply, accounts: [...tokenAccounts, ...token2022Accounts] };
+}
+
+/**
+ * Label for accounts excluded from the distribution (null = regular holder)
+ * @param {Object} poolInfo - Discovered pool
+ * @param {Object} options - holderEnumeration config section
+ * @returns {Function} (tokenAccount, owner) => label | null
+ */
+export function createHolderLabeler(poolInfo, options = {}) {
+  const poolAccounts = new Set([poolInfo?.baseVault, poolInfo?.quoteVault].filter(Boolean));
+  const poolOwners = new Set([poolInfo?.poolId, ...Object.keys(AMM_AUTHORITIES)].filter(Boolean));
+  const burnAddresses = new Set([...BURN_ADDRESSES, ...(options.burnAddresses || [])]);
+  const exchangeWallets = new Set([...Object.keys(EXCHANGE_WALLETS), ...(options.exchangeWallets || [])]);
+
+  return (account, owner) => {
+    if (poolAccounts.has(account) || poolOwners.has(owner)) return 'pool';
+    if (poolInfo?.bondingCurveAddress && owner === poolInfo.bondingCurveAddress) return 'bondingCurve';
+    if (burnAddresses.has(owner)) return 'burn';
+    if (exchangeWallets.has(owner)) return 'exchange';
+    return null;
+  };
+}
@@ -0,0 +1,248 @@
+import axios from 'axios';
+import { PublicKey } from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ExtensionType,
+  unpackMint,
+  getExtensionData,
+  getExtensionTypes,
+  getMetadataPointerState
+} from '@solana/spl-token';
+import { logger } from '../utils/logger.js';
+import { getMetadataAddress, decodeMetadata } from './decoders/metaplexMetadata.js';
+import { decodeTokenMetadataExtension } from './decoders/token2022Metadata.js';
+
+/**
+ * Token Metadata Resolver
+ * Resolves name, symbol and URI from Token-2022 metadata extensions or
+ * Metaplex metadata PDAs, plus (optionally) the off-chain JSON the URI points to
+ */
+
+export class TokenMetadataResolver {
+  constructor(connection, config = {}) {
+    const options = config.metadata || {};
+
+    this.connection = connection;
+    this.fetchOffChain = options.fetchOffChain === true;
+    this.offChainTimeoutMs = options.offChainTimeoutMs || 3000;
+    this.offChainMaxBytes = options.offChainMaxBytes || 262144;
+    this.ipfsGateway = options.ipfsGateway || 'https://ipfs.io/ipfs/';
+    this.cacheTtlMs = options.cacheTtlMs || 600000;
+    this.maxCacheSize = options.maxCacheSize || 1000;
+
+    this.cache = new Map();         // mint -> { value, expiresAt }
+    this.offChainCache = new Map(); // uri -> { value, expiresAt }
+
+    this.stats = {
+      resolved: 0,
+      token2022: 0,
+      metaplex: 0,
+      missing: 0,
+      cacheHits: 0,
+      offChainFetched: 0,
+      offChainFailed: 0
+    };
+  }
+
+  /**
+   * Get mint info and metadata for a token (cached)
+   * @returns {Object|null} null when the mint account doesn't exist
+   */
+  async getMetadata(tokenMint) {
+    const cached = this.getCached(this.cache, tokenMint);
+    if (cached !== undefined) {
+      this.stats.cacheHits++;
+      return cached;
+    }
+
+    const metadata = await this.resolve(tokenMint);
+    this.setCached(this.cache, tokenMint, metadata);
+    return metadata;
+  }
+
+  /**
+   * Read the mint and its metadata from chain
+   */
+  async resolve(tokenMint) {
+    const mintPubkey = new PublicKey(tokenMint);
+    const accountInfo = await this.connection.getAccountInfo(mintPubkey);
+    if (!accountInfo) return null;
+
+    const isToken2022 = accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID);
+    const mint = unpackMint(mintPubkey, accountInfo, isToken2022 ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID);
+
+    const metadata = {
+      mint: tokenMint,
+      tokenProgram: isToken2022 ? 'token-2022' : 'spl-token',
+      decimals: mint.decimals,
+      supply: mint.supply.toString(),
+      mintAuthority: mint.mintAuthority?.toBase58() || null,
+      freezeAuthority: mint.freezeAuthority?.toBase58() || null,
+      extensions: isToken2022 ? getExtensionTypes(mint.tlvData).map(type => ExtensionType[type]) : [],
+      source: null,
+      name: null,
+      symbol: null,
+      uri: null,
+      updateAuthority: null,
+      isMutable: null,
+      offChain: null
+    };
+
+    // Token-2022 mints can carry metadata themselves; otherwise fall back to Metaplex
+    const onChain = (isToken2022 && this.readToken2022Metadata(mint)) ||
+      await this.readMetaplexMetadata(tokenMint);
+
+    if (onChain) {
+      Object.assign(metadata, onChain);
+      this.stats[onChain.source]++;
+    } else {
+      this.stats.missing++;
+    }
+
+    if (this.fetchOffChain && metadata.uri) {
+      metadata.offChain = await this.fetchOffChainMetadata(metadata.uri);
+    }
+
+    this.stats.resolved++;
+    return metadata;
+  }
+
+  /**
+   * Metadata stored in the mint's TokenMetadata extension
+   * Returns null when the metadata pointer points at another account
+   */
+  readToken2022Metadata(mint) {
+    const pointer = getMetadataPointerState(mint);
+    if (pointer?.metadataAddress && !pointer.metadataAddress.equals(mint.address)) {
+      return null;
+    }
+
+    const data = getExtensionData(ExtensionType.TokenMetadata, mint.tlvData);
+    if (!data) return null;
+
+    const extension = decodeTokenMetadataExtension(data);
+
+    return {
+      source: 'token2022',
+      name: extension.name.trim(),
+      symbol: extension.symbol.trim(),
+      uri: extension.uri.trim(),
+      updateAuthority: extension.updateAuthority,
+      // Without an update authority the fields can never change
+      isMutable: extension.updateAuthority !== null,
+      additionalMetadata: extension.additionalMetadata
+    };
+  }
+
+  /**
+   * Metadata stored in the Metaplex metadata PDA
+   */
+  async readMetaplexMetadata(tokenMint) {
+    const accountInfo = await this.connection.getAccountInfo(getMetadataAddress(tokenMint));
+    if (!accountInfo) return null;
+
+    const metadata = decodeMetadata(accountInfo.data);
+    if (!metadata) return null;
+
+    return {
+      source: 'metaplex',
+      name: metadata.name,
+      symbol: metadata.symbol,
+      uri: metadata.uri,
+      updateAuthority: metadata.updateAuthority,
+      isMutable: metadata.isMutable,
+      creators: metadata.creators
+    };
+  }
+
+  /**
+   * Fetch the off-chain JSON (name, image, socials) with a timeout (cached, failures included)
+   */
+  async fetchOffChainMetadata(uri) {
+    const cached = this.getCached(this.offChainCache, uri);
+    if (cached !== undefined) return cached;
+
+    const url = this.toHttpUrl(uri);
+    let offChain = null;
+
+    if (url) {
+      try {
+        const response = await axios.get(url, {
+          timeout: this.offChainTimeoutMs,
+          maxContentLength: this.offChainMaxBytes,
+          responseType: 'json'
+        });
+
+        const json = response.data || {};
+        const extensions = json.extensions || {};
+
+        offChain = {
+          name: json.name || null,
+          symbol: json.symbol || null,
+          description: json.description || null,
+          image: json.image || null,
+          website: json.website || extensions.website || json.external_url || null,
+          twitter: json.twitter || extensions.twitter || null,
+          telegram: json.telegram || extensions.telegram || null
+        };
+        this.stats.offChainFetched++;
+
+      } catch (error) {
+        this.stats.offChainFailed++;
+        logger.debug(`Off-chain metadata fetch failed for ${uri}: ${error.message}`);
+      }
+    }
+
+    this.setCached(this.offChainCache, uri, offChain);
+    return offChain;
+  }
+
+  /**
+   * Map ipfs:// and ar:// URIs to HTTP gateways; anything else non-HTTP is skipped
+   */
+  toHttpUrl(uri) {
+    if (uri.startsWith('ipfs://')) return this.ipfsGateway + uri.slice('ipfs://'.length);
+    if (uri.startsWith('ar://')) return `https://arweave.net/${uri.slice('ar://'.length)}`;
+    if (uri.startsWith('https://') || uri.startsWith('http://')) return uri;
+    return null;
+  }
+
+  getCached(cache, key) {
+    const entry = cache.get(key);
+    if (!entry) return undefined;
+
+    if (Date.now() > entry.expiresAt) {
+      cache.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  setCached(cache, key, value) {
+    cache.set(key, { value, expiresAt: Date.now() + this.cacheTtlMs });
+
+    // Evict oldest entries (Map keeps insertion order)
+    while (cache.size > this.maxCacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cached: this.cache.size,
+      offChainCached: this.offChainCache.size
+    };
+  }
+}
+
+/**
+ * Human-readable symbol for logs and records (falls back to a shortened mint)
+ */
+export function getDisplaySymbol(tokenInfo) {
+  return tokenInfo.symbol || tokenInfo.tokenSymbol || tokenInfo.tokenMint.slice(0, 8);
+}
+
+export default TokenMetadataResolver;
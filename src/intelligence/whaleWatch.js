@@ -0,0 +1,159 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Whale Watch
+ * Subscribes to the largest holders of every token we hold (through
+ * HolderAnalysis.monitorWhales) and turns their sells into exit signals when
+ * they match a whaleAlerts rule, e.g. "a top-5 holder sold more than 2% of
+ * supply". Subscriptions live exactly as long as the position.
+ */
+
+export const WHALE_SELL = 'WHALE_SELL';
+
+export class WhaleWatch {
+  /**
+   * @param {HolderAnalysis} holderAnalysis
+   * @param {Object} config - Bot config (uses the whaleAlerts section)
+   */
+  constructor(holderAnalysis, config = {}) {
+    const options = config.whaleAlerts || {};
+
+    this.holderAnalysis = holderAnalysis;
+    this.enabled = options.enabled !== false;
+    this.rules = options.rules || [{ topHolders: 5, minSupplyPercent: 2, poolSellsOnly: false }];
+    this.watchTopHolders = options.watchTopHolders || Math.max(...this.rules.map(rule => rule.topHolders));
+
+    this.watched = new Map(); // tokenMint -> { ranks, subscriptions, pendingSignals, events }
+    this.stats = {
+      events: 0,
+      sells: 0,
+      alerts: 0
+    };
+  }
+
+  /**
+   * Subscribe to the top holders of a token we now hold
+   * @param {string} tokenMint
+   * @param {Object} poolInfo - Discovered pool (pool vaults aren't whales, and tell sells apart from transfers)
+   */
+  async track(tokenMint, poolInfo = null) {
+    if (!this.enabled || this.watched.has(tokenMint)) return;
+
+    const entry = { ranks: new Map(), subscriptions: [], pendingSignals: [], events: [] };
+    this.watched.set(tokenMint, entry);
+
+    let whales;
+    let subscriptions;
+    try {
+      const { holders, supply } = await this.holderAnalysis.getTokenHolders(tokenMint, poolInfo);
+      whales = holders.slice(0, this.watchTopHolders);
+      whales.forEach((whale, index) => entry.ranks.set(whale.address, index + 1));
+
+      subscriptions = await this.holderAnalysis.monitorWhales(
+        tokenMint,
+        whales,
+        (event) => this.handleEvent(tokenMint, event),
+        { totalSupply: supply, poolInfo }
+      );
+    } catch (error) {
+      if (this.watched.get(tokenMint) === entry) this.watched.delete(tokenMint);
+      throw error;
+    }
+
+    // Position closed while we were subscribing
+    if (this.watched.get(tokenMint) !== entry) {
+      await this.holderAnalysis.stopMonitoringWhales(subscriptions);
+      return;
+    }
+
+    entry.subscriptions = subscriptions;
+    logger.info(`🐋 Watching top ${whales.length} holders of ${tokenMint} for sells`);
+  }
+
+  /**
+   * Drop the subscriptions (position closed)
+   */
+  async untrack(tokenMint) {
+    const entry = this.watched.get(tokenMint);
+    if (!entry) return;
+
+    this.watched.delete(tokenMint);
+    await this.holderAnalysis.stopMonitoringWhales(entry.subscriptions);
+    logger.debug(`Stopped watching whales of ${tokenMint}`);
+  }
+
+  async stop() {
+    for (const tokenMint of Array.from(this.watched.keys())) {
+      await this.untrack(tokenMint);
+    }
+  }
+
+  handleEvent(tokenMint, event) {
+    const entry = this.watched.get(tokenMint);
+    if (!entry) return;
+
+    const rank = entry.ranks.get(event.address);
+    this.stats.events++;
+    entry.events.push({ ...event, rank, timestamp: Date.now() });
+    if (entry.events.length > 50) entry.events.shift();
+
+    if (!event.isSell) return;
+    this.stats.sells++;
+
+    const rule = this.rules.find(r =>
+      rank <= r.topHolders &&
+      event.supplyPercent >= r.minSupplyPercent &&
+      (!r.poolSellsOnly || event.soldIntoPool)
+    );
+
+    const destination = event.soldIntoPool ? 'into the pool' : 'to another wallet';
+    if (!rule) {
+      logger.debug(`🐋 Top-${rank} holder of ${tokenMint} moved ${event.supplyPercent.toFixed(2)}% of supply ${destination}`);
+      return;
+    }
+
+    this.stats.alerts++;
+    entry.pendingSignals.push({
+      type: WHALE_SELL,
+      reason: `Top-${rank} holder ${event.address.slice(0, 8)}... sold ${event.supplyPercent.toFixed(2)}% of supply ${destination}`,
+      tokenMint,
+      rank,
+      supplyPercent: event.supplyPercent,
+      soldIntoPool: event.soldIntoPool,
+      signature: event.signature,
+      timestamp: Date.now()
+    });
+
+    logger.warn(`🐋 WHALE SELL on ${tokenMint}: top-${rank} holder sold ${event.supplyPercent.toFixed(2)}% of supply ${destination}`);
+  }
+
+  /**
+   * Alerts raised since the last call (exit logic drains them on each check)
+   */
+  consumeSignals(tokenMint) {
+    const entry = this.watched.get(tokenMint);
+    if (!entry || entry.pendingSignals.length === 0) return [];
+
+    return entry.pendingSignals.splice(0);
+  }
+
+  /**
+   * Recent decoded balance changes of a token's watched holders
+   */
+  getEvents(tokenMint) {
+    return this.watched.get(tokenMint)?.events.slice() || [];
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      watching: Array.from(this.watched.entries()).map(([tokenMint, entry]) => ({
+        tokenMint,
+        holders: entry.ranks.size,
+        subscriptions: entry.subscriptions.length
+      }))
+    };
+  }
+}
+
+export default WhaleWatch;
@@ -25,6 +25,9 @@ class PaperTradingManager {
       largestLoss: 0,
     };
 
+    // Called with the token address when a position is fully closed
+    this.onPositionClosed = null;
+
     this.tradesFile = 'paper-trades.json';
     this.loadTrades();
 
@@ -180,6 +183,7 @@ class PaperTradingManager {
     if (percentToSell >= 1.0) {
       // Full exit - close position
       this.positions.delete(tokenAddress);
+      this.onPositionClosed?.(tokenAddress);
     } else {
       // Partial exit - update position
       position.amountSol -= amountToSell;
@@ -100,6 +100,18 @@ class ThrottledConnection extends Connection {
     return this._throttle('getMultipleAccountsInfo', args);
   }
 
+  getMultipleParsedAccounts(...args) {
+    return this._throttle('getMultipleParsedAccounts', args);
+  }
+
+  getTokenSupply(...args) {
+    return this._throttle('getTokenSupply', args);
+  }
+
+  getTokenLargestAccounts(...args) {
+    return this._throttle('getTokenLargestAccounts', args);
+  }
+
   getProgramAccounts(...args) {
     return this._throttle('getProgramAccounts', args);
   }
@@ -0,0 +1,198 @@
+/**
+ * Analysis Queue
+ *
+ * Bounded worker pool for token analysis. Discovered tokens wait in a
+ * priority queue (liquidity + freshness) and at most maxConcurrent
+ * analyses run at once, so launch bursts don't starve the RPC connection.
+ */
+
+import { logger } from './logger.js';
+
+class AnalysisQueue {
+  /**
+   * @param {Function} handler - async (tokenInfo) => void, runs the analysis
+   * @param {Object} options - analysisQueue section of config/default.json
+   */
+  constructor(handler, options = {}) {
+    this.handler = handler;
+    this.maxConcurrent = options.maxConcurrent || 3;
+    this.maxQueueSize = options.maxQueueSize || 50;
+    this.maxTokenAgeMs = options.maxTokenAgeMs || 120000;
+    this.liquidityCap = options.liquidityCap || 100;
+    this.liquidityWeight = options.liquidityWeight ?? 0.6;
+    this.freshnessWeight = options.freshnessWeight ?? 0.4;
+
+    this.queue = [];
+    this.active = new Map();
+    this.stats = {
+      enqueued: 0,
+      started: 0,
+      completed: 0,
+      failed: 0,
+      expired: 0,
+      overflowed: 0,
+      peakDepth: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      lastWaitMs: 0
+    };
+  }
+
+  /**
+   * Queue a discovered token for analysis
+   * @returns {boolean} false if the token was dropped (duplicate, past its analysis window, or queue full)
+   */
+  enqueue(tokenInfo) {
+    if (this.active.has(tokenInfo.tokenMint) || this.queue.some(item => item.tokenInfo.tokenMint === tokenInfo.tokenMint)) {
+      return false;
+    }
+
+    const now = Date.now();
+    const item = {
+      tokenInfo,
+      enqueuedAt: now,
+      // Launch time anchors freshness; fall back to when we saw it
+      launchedAt: tokenInfo.blockTime ? Math.min(tokenInfo.blockTime * 1000, now) : now
+    };
+
+    this.stats.enqueued++;
+
+    if (now - item.launchedAt > this.maxTokenAgeMs) {
+      this.stats.expired++;
+      logger.debug(`⌛ ${tokenInfo.tokenMint} discovered after its analysis window - skipping`);
+      return false;
+    }
+
+    this.queue.push(item);
+    this.pruneExpired(now);
+
+    if (this.queue.length > this.maxQueueSize) {
+      const lowest = this.takeLowestPriority(now);
+      this.stats.overflowed++;
+      logger.warn(`📥 Analysis queue full (${this.maxQueueSize}) - dropped ${lowest.tokenInfo.tokenMint}`);
+
+      if (lowest === item) {
+        return false;
+      }
+    }
+
+    this.stats.peakDepth = Math.max(this.stats.peakDepth, this.queue.length);
+    this.processQueue();
+    return true;
+  }
+
+  /**
+   * Start analyses until the concurrency limit is reached
+   */
+  processQueue() {
+    while (this.active.size < this.maxConcurrent) {
+      const item = this.takeNext();
+      if (!item) return;
+
+      this.run(item);
+    }
+  }
+
+  /**
+   * Run one analysis and refill the pool when it finishes
+   */
+  async run(item) {
+    const waitMs = Date.now() - item.enqueuedAt;
+    this.stats.started++;
+    this.stats.totalWaitMs += waitMs;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+    this.stats.lastWaitMs = waitMs;
+
+    this.active.set(item.tokenInfo.tokenMint, { startedAt: Date.now(), waitMs });
+
+    try {
+      await this.handler(item.tokenInfo);
+      this.stats.completed++;
+    } catch (error) {
+      this.stats.failed++;
+      logger.error(`Analysis failed for ${item.tokenInfo.tokenMint}:`, error);
+    } finally {
+      this.active.delete(item.tokenInfo.tokenMint);
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Remove and return the highest-priority token still inside its analysis window
+   */
+  takeNext() {
+    const now = Date.now();
+    this.pruneExpired(now);
+
+    if (this.queue.length === 0) return null;
+
+    let bestIndex = 0;
+    for (let i = 1; i < this.queue.length; i++) {
+      if (this.getPriority(this.queue[i], now) > this.getPriority(this.queue[bestIndex], now)) {
+        bestIndex = i;
+      }
+    }
+
+    return this.queue.splice(bestIndex, 1)[0];
+  }
+
+  /**
+   * Drop tokens whose analysis window has passed
+   */
+  pruneExpired(now) {
+    this.queue = this.queue.filter(item => {
+      if (now - item.launchedAt <= this.maxTokenAgeMs) return true;
+
+      this.stats.expired++;
+      logger.debug(`⌛ Analysis window expired for ${item.tokenInfo.tokenMint} (waited ${now - item.enqueuedAt}ms)`);
+      return false;
+    });
+  }
+
+  takeLowestPriority(now) {
+    let lowestIndex = 0;
+    for (let i = 1; i < this.queue.length; i++) {
+      if (this.getPriority(this.queue[i], now) < this.getPriority(this.queue[lowestIndex], now)) {
+        lowestIndex = i;
+      }
+    }
+
+    return this.queue.splice(lowestIndex, 1)[0];
+  }
+
+  /**
+   * Priority in [0, 1]: deeper liquidity and fresher launches first
+   */
+  getPriority(item, now = Date.now()) {
+    const liquidityScore = Math.min((item.tokenInfo.liquidity || 0) / this.liquidityCap, 1);
+    const freshnessScore = Math.max(1 - (now - item.launchedAt) / this.maxTokenAgeMs, 0);
+
+    return liquidityScore * this.liquidityWeight + freshnessScore * this.freshnessWeight;
+  }
+
+  /**
+   * Get queue stats
+   */
+  getStats() {
+    const now = Date.now();
+    const waits = this.queue.map(item => now - item.enqueuedAt);
+
+    return {
+      ...this.stats,
+      depth: this.queue.length,
+      active: this.active.size,
+      maxConcurrent: this.maxConcurrent,
+      avgWaitMs: this.stats.started > 0 ? Math.round(this.stats.totalWaitMs / this.stats.started) : 0,
+      oldestQueuedMs: waits.length > 0 ? Math.max(...waits) : 0
+    };
+  }
+
+  /**
+   * Clear the queue (running analyses finish normally)
+   */
+  clear() {
+    this.queue = [];
+  }
+}
+
+export default AnalysisQueue;
@@ -4,7 +4,8 @@ import {
   TransactionMessage,
   SystemProgram,
   ComputeBudgetProgram,
-  PublicKey
+  PublicKey,
+  TransactionInstruction
 } from '@solana/web3.js';
 import {
   createAssociatedTokenAccountInstruction,
@@ -99,6 +100,66 @@ export class TransactionBuilder {
     }
   }
 
+  /**
+   * Get a Jupiter quote
+   * @param {Object} options - { signal } aborts the request
+   * @returns {Promise<Object|null>} Quote, or null when Jupiter has no route
+   */
+  async getJupiterQuote(inputMint, outputMint, amount, slippageBps = 300, { signal } = {}) {
+    const quoteUrl = `https://quote-api.jup.ag/v6/quote?` +
+      `inputMint=${inputMint}&` +
+      `outputMint=${outputMint}&` +
+      `amount=${amount}&` +
+      `slippageBps=${slippageBps}`;
+
+    const quoteResponse = await fetch(quoteUrl, { signal });
+    const quote = await quoteResponse.json();
+
+    if (!quote || quote.error) {
+      logger.debug(`No Jupiter route ${inputMint} -> ${outputMint}: ${quote?.error || 'Unknown error'}`);
+      return null;
+    }
+
+    return quote;
+  }
+
+  /**
+   * Get the instructions of a Jupiter swap, to combine with others in one transaction
+   * @param {string} userPublicKey - Wallet the swap runs as
+   * @param {Object} quote - Jupiter quote
+   * @param {Object} options - { signal } aborts the request
+   * @returns {Promise<Object>} { setupInstructions, swapInstruction, cleanupInstructions, addressLookupTableAccounts }
+   */
+  async getJupiterSwapInstructions(userPublicKey, quote, { signal } = {}) {
+    const response = await fetch('https://quote-api.jup.ag/v6/swap-instructions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        quoteResponse: quote,
+        userPublicKey,
+        wrapAndUnwrapSol: true
+      }),
+      signal
+    });
+
+    const data = await response.json();
+
+    if (!data.swapInstruction) {
+      throw new Error(`Failed to get swap instructions from Jupiter: ${data.error || 'Unknown error'}`);
+    }
+
+    const addressLookupTableAccounts = (await Promise.all(
+      (data.addressLookupTableAddresses || []).map(address => this.connection.getAddressLookupTable(new PublicKey(address)))
+    )).map(result => result.value).filter(Boolean);
+
+    return {
+      setupInstructions: (data.setupInstructions || []).map(toInstruction),
+      swapInstruction: toInstruction(data.swapInstruction),
+      cleanupInstructions: data.cleanupInstruction ? [toInstruction(data.cleanupInstruction)] : [],
+      addressLookupTableAccounts
+    };
+  }
+
   /**
    * Build buy transaction (SOL -> Token)
    */
@@ -354,18 +415,26 @@ export class TransactionBuilder {
   /**
    * Simulate versioned transaction before sending
    * @param {VersionedTransaction} transaction - Transaction to simulate
+   * @param {Object} options
+   * @param {Array<string>} options.accounts - Accounts whose post-simulation state should be returned
    * @returns {Promise<Object>} Simulation result
    */
-  async simulateVersionedTransaction(transaction) {
+  async simulateVersionedTransaction(transaction, options = {}) {
     try {
       const simulation = await this.connection.simulateTransaction(transaction, {
         sigVerify: false,
-        replaceRecentBlockhash: true
+        replaceRecentBlockhash: true,
+        ...(options.accounts && {
+          accounts: { encoding: 'base64', addresses: options.accounts }
+        })
       });
       
       if (simulation.value.err) {
         logger.error('Transaction simulation failed:', simulation.value.err);
-        throw new Error(`Simulation failed: ${JSON.stringify(simulation.value.err)}`);
+        const error = new Error(`Simulation failed: ${JSON.stringify(simulation.value.err)}`);
+        error.simulationError = simulation.value.err;
+        error.logs = simulation.value.logs || [];
+        throw error;
       }
       
       logger.debug('Simulation successful', {
@@ -478,3 +547,18 @@ export class TransactionBuilder {
     throw new Error(`Failed to get recent blockhash after ${maxRetries} attempts: ${lastError.message}`);
   }
 }
+
+/**
+ * Jupiter API instruction ({ programId, accounts, data: base64 }) to a TransactionInstruction
+ */
+function toInstruction({ programId, accounts, data }) {
+  return new TransactionInstruction({
+    programId: new PublicKey(programId),
+    keys: accounts.map(account => ({
+      pubkey: new PublicKey(account.pubkey),
+      isSigner: account.isSigner,
+      isWritable: account.isWritable
+    })),
+    data: Buffer.from(data, 'base64')
+  });
+}